@@ -0,0 +1,285 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const { DEFAULT_TENANT_ID, getTenant, getTenants, runWithTenant, getTenantSetting } = require('./tenants');
+const { getAuthMode, getOAuthStatus } = require('./bitrix-oauth');
+const { getDeliveries, getDelivery, getDeliveryPayload, startDelivery } = require('./deliveries');
+const { validatePayload, DEFAULT_EVENT } = require('./payload-schema');
+const { previewCrmMapping } = require('./crm-pipeline');
+const { getNotifiers, sendNotifications } = require('./notifiers');
+
+/**
+ * Админские endpoint'ы для оператора
+ *
+ * Доступ по токену из ADMIN_TOKEN: заголовок "Authorization: Bearer <токен>".
+ * Если ADMIN_TOKEN не задан, раздел /admin отключен.
+ * Страница /admin/ui открывается без токена: сама она данных не содержит,
+ * токен вводится на ней и передается в заголовке запросов к API.
+ */
+
+// Секретные настройки тенанта не перечисляем в overrides
+const SECRET_SETTINGS = ['WEBHOOK_SECRET', 'BITRIX_CLIENT_SECRET', 'NOTIFY_TELEGRAM_BOT_TOKEN', 'NOTIFY_SMTP_URL'];
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Хост портала из URL вебхука: сам URL содержит токен и наружу не отдается
+ */
+function getBitrixHost(url) {
+  try {
+    return url ? new URL(url).host : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Middleware проверки админского токена
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: 'Админский раздел отключен: ADMIN_TOKEN не установлен'
+    });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    return res.status(401).json({ success: false, error: 'Требуется авторизация' });
+  }
+
+  next();
+}
+
+/**
+ * Создает роутер /admin
+ * @param {Object} deps
+ * @param {Object} deps.deliveryQueue - Очередь доставки из createDeliveryQueue()
+ * @returns {express.Router}
+ */
+function createAdminRouter({ deliveryQueue }) {
+  const router = express.Router();
+
+  /**
+   * Веб-интерфейс: журнал доставок, повторная отправка и проверка маппинга
+   */
+  router.get('/ui', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
+  });
+
+  router.use(requireAdmin);
+
+  /**
+   * Состояние очереди доставки (без payload)
+   */
+  router.get('/queue', (req, res) => {
+    res.json({ success: true, ...deliveryQueue.getStats() });
+  });
+
+  /**
+   * Тенанты: портал, режим авторизации, источники настроек и счетчики вебхуков (без секретов)
+   */
+  router.get('/tenants', (req, res) => {
+    const tenants = getTenants().map(tenant => runWithTenant(tenant, () => {
+      const authMode = getAuthMode();
+      const oauth = authMode === 'oauth' ? getOAuthStatus() : null;
+
+      return {
+        id: tenant.id,
+        authMode,
+        bitrixHost: oauth ? oauth.portal : getBitrixHost(getTenantSetting('BITRIX_WEBHOOK_URL')),
+        oauth,
+        signatureRequired: Boolean(getTenantSetting('WEBHOOK_SECRET')),
+        overrides: Object.keys(tenant.settings).filter(name => !SECRET_SETTINGS.includes(name)),
+        mappingFile: getTenantSetting('MAPPING_FILE') || null,
+        routingRulesFile: getTenantSetting('ROUTING_RULES_FILE') || null,
+        notifiersFile: getTenantSetting('NOTIFIERS_FILE') || null,
+        stats: tenant.stats
+      };
+    }));
+
+    res.json({ success: true, count: tenants.length, tenants });
+  });
+
+  /**
+   * Список доставок, которые не удалось отправить в Bitrix
+   * ?tenant=<id> — только доставки тенанта
+   */
+  router.get('/dead-letters', (req, res) => {
+    const tenantId = req.query.tenant;
+    const deadLetters = deliveryQueue.getDeadLetters()
+      .filter(job => !tenantId || (job.tenantId || DEFAULT_TENANT_ID) === tenantId);
+    res.json({ success: true, count: deadLetters.length, deadLetters });
+  });
+
+  /**
+   * Повторная отправка доставки из dead-letter
+   */
+  router.post('/dead-letters/:id/replay', (req, res) => {
+    const job = deliveryQueue.replayDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Доставка не найдена в dead-letter' });
+    }
+    startDelivery(job.payload, { tenantId: job.tenantId, status: 'queued', jobId: job.id });
+
+    res.json({ success: true, message: 'Доставка возвращена в очередь', jobId: job.id });
+  });
+
+  /**
+   * Удаление доставки из dead-letter без отправки
+   */
+  router.delete('/dead-letters/:id', (req, res) => {
+    if (!deliveryQueue.removeDeadLetter(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Доставка не найдена в dead-letter' });
+    }
+
+    res.json({ success: true, message: 'Доставка удалена из dead-letter' });
+  });
+
+  /**
+   * Последние доставки вебхуков (без payload)
+   * ?tenant=<id>, ?status=<статус>, ?limit=<N> (по умолчанию 50)
+   */
+  router.get('/deliveries', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const deliveries = getDeliveries({ tenantId: req.query.tenant, status: req.query.status, limit });
+    res.json({ success: true, count: deliveries.length, deliveries });
+  });
+
+  /**
+   * Доставка целиком: payload, маппинг, ответ Bitrix, попытки (персональные данные скрыты)
+   */
+  router.get('/deliveries/:id', (req, res) => {
+    const delivery = getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Доставка не найдена' });
+    }
+
+    res.json({ success: true, delivery });
+  });
+
+  /**
+   * Повторная отправка доставки из журнала.
+   * Уже обработанный звонок дедупликация не пропустит: для него нужен { "force": true }
+   */
+  router.post('/deliveries/:id/replay', (req, res) => {
+    const delivery = getDelivery(req.params.id);
+    const payload = getDeliveryPayload(req.params.id);
+    const force = req.body?.force === true;
+
+    if (!delivery || !payload) {
+      return res.status(404).json({ success: false, error: 'Доставка не найдена' });
+    }
+    if (delivery.jobId && deliveryQueue.hasJob(delivery.jobId)) {
+      return res.status(409).json({ success: false, error: 'Доставка еще в очереди', jobId: delivery.jobId });
+    }
+    if (['processed', 'duplicate'].includes(delivery.status) && !force) {
+      return res.status(409).json({
+        success: false,
+        error: 'Доставка уже обработана: чтобы отправить ее в Bitrix еще раз, передайте { "force": true }'
+      });
+    }
+
+    const tenant = getTenant(delivery.tenantId);
+    if (!tenant) {
+      return res.status(409).json({ success: false, error: `Тенант "${delivery.tenantId}" не найден` });
+    }
+
+    const validation = runWithTenant(tenant, () => validatePayload(payload));
+    if (!validation.valid) {
+      return res.status(422).json({ success: false, error: 'Payload не проходит валидацию', errors: validation.errors });
+    }
+
+    // Повтор заменяет доставку в dead-letter, чтобы она не висела там отдельно
+    if (delivery.jobId) {
+      deliveryQueue.removeDeadLetter(delivery.jobId);
+    }
+
+    const job = deliveryQueue.enqueue(payload, { tenantId: tenant.id, force });
+    const replay = startDelivery(payload, { tenantId: tenant.id, status: 'queued', jobId: job.id, replayOf: delivery.id });
+
+    res.json({ success: true, message: 'Доставка поставлена в очередь', jobId: job.id, deliveryId: replay?.id || null });
+  });
+
+  /**
+   * Маппинг произвольного payload без отправки в Bitrix
+   * ?tenant=<id> — маппинг, правила и CRM_PIPELINE тенанта (по умолчанию default)
+   */
+  router.post('/mapping/preview', (req, res) => {
+    const tenant = getTenant(req.query.tenant || DEFAULT_TENANT_ID);
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: `Неизвестный тенант "${req.query.tenant}"` });
+    }
+
+    const data = req.body;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return res.status(400).json({ success: false, error: 'Отправьте payload вебхука в теле запроса (JSON)' });
+    }
+
+    try {
+      const preview = runWithTenant(tenant, () => {
+        const validation = validatePayload(data);
+        // Маппинг применяется только к завершенному звонку, остальные события пишутся обработчиками
+        const mapping = validation.event === DEFAULT_EVENT ? previewCrmMapping(data) : null;
+        return { tenant: tenant.id, event: validation.event, valid: validation.valid, errors: validation.errors, mapping };
+      });
+
+      res.json({ success: true, ...preview });
+    } catch (error) {
+      res.status(400).json({ success: false, error: `Ошибка маппинга: ${error.message}` });
+    }
+  });
+
+  /**
+   * Пробное уведомление получателю из NOTIFIERS_FILE, без проверки on и when
+   * ?tenant=<id> — получатели тенанта (по умолчанию default); ?status=failure — как о неудачной доставке.
+   * Тело — payload вебхука для шаблона (можно пустой объект)
+   */
+  router.post('/notifiers/:name/test', async (req, res) => {
+    const tenant = getTenant(req.query.tenant || DEFAULT_TENANT_ID);
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: `Неизвестный тенант "${req.query.tenant}"` });
+    }
+
+    const data = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const status = req.query.status === 'failure' ? 'failure' : 'success';
+
+    try {
+      const results = await runWithTenant(tenant, () => {
+        if (!getNotifiers().some(notifier => notifier.name === req.params.name)) {
+          return null;
+        }
+        return sendNotifications(data, {
+          status,
+          ok: status === 'success',
+          test: true,
+          event: data.event || DEFAULT_EVENT,
+          error: status === 'failure' ? 'Пробное уведомление о неудачной доставке' : null
+        }, { name: req.params.name });
+      });
+
+      if (!results) {
+        return res.status(404).json({ success: false, error: `Получатель "${req.params.name}" не найден в NOTIFIERS_FILE` });
+      }
+
+      const [result] = results;
+      res.status(result.status === 'sent' ? 200 : 502).json({ success: result.status === 'sent', ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdmin
+};
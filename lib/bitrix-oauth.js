@@ -0,0 +1,347 @@
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createJsonStore } = require('./store');
+const { createLogger } = require('./logger');
+const { getCurrentTenant, getTenantSetting, resolveTenant } = require('./tenants');
+
+/**
+ * Авторизация в Bitrix24 через OAuth 2.0 локального приложения
+ *
+ * Альтернатива входящему вебхуку (BITRIX_WEBHOOK_URL): токен не привязан навсегда к одному
+ * пользователю, права задаются скоупом приложения. Настройки тенанта:
+ * - BITRIX_AUTH_MODE: webhook | oauth (по умолчанию webhook, если задан BITRIX_WEBHOOK_URL,
+ *   иначе oauth, если задан BITRIX_CLIENT_ID)
+ * - BITRIX_PORTAL: домен портала, например ikora.bitrix24.ru
+ * - BITRIX_CLIENT_ID, BITRIX_CLIENT_SECRET: код и ключ локального приложения
+ * - BITRIX_OAUTH_SERVER: сервер авторизации (только окружение, по умолчанию https://oauth.bitrix.info)
+ *
+ * Установка (в настройках локального приложения на портале):
+ * - «Путь для первоначальной установки»: https://<сервер>/oauth/bitrix/install/<id тенанта>
+ *   Bitrix присылает туда POST с токенами при установке приложения.
+ * - «Путь вашего обработчика»: https://<сервер>/oauth/bitrix/callback/<id тенанта>
+ *   Переустановить без портала: откройте GET /oauth/bitrix/install/<id тенанта> —
+ *   сервер отправит на страницу авторизации портала, код вернется на callback.
+ * Для тенанта default id в пути не указывается.
+ *
+ * Токены хранятся в DATA_DIR/bitrix-oauth.json по тенантам. Access token живет час:
+ * его обновляют заранее по refresh token, а новый refresh token (Bitrix выдает его при
+ * каждом обновлении, старый перестает действовать) сразу сохраняется.
+ */
+
+const log = createLogger('OAUTH');
+
+// Обновляем токен заранее, чтобы он не истек между проверкой и запросом
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+let tokenStore = null;
+let tokens = null;
+
+// Обновление токена в процессе: тенант → Promise (параллельные запросы ждут одно обновление)
+const refreshes = new Map();
+// state авторизации → { tenantId, expiresAt }
+const pendingStates = new Map();
+
+function getTokenStore() {
+  if (!tokenStore) {
+    tokenStore = createJsonStore('bitrix-oauth.json', {});
+    tokens = tokenStore.read();
+  }
+  return tokenStore;
+}
+
+function getOAuthServer() {
+  return (process.env.BITRIX_OAUTH_SERVER || 'https://oauth.bitrix.info').replace(/\/+$/, '');
+}
+
+/**
+ * Ошибка авторизации: kind и retryable как у BitrixError, чтобы очередь
+ * не повторяла доставку, которую без переустановки приложения не исправить
+ */
+function createAuthError(message, { code, kind = 'auth' } = {}) {
+  return Object.assign(new Error(message), { code, kind, retryable: kind !== 'auth' });
+}
+
+/**
+ * Режим авторизации текущего тенанта
+ * @returns {String} - webhook | oauth
+ */
+function getAuthMode() {
+  const mode = getTenantSetting('BITRIX_AUTH_MODE');
+  if (mode) {
+    return mode.toLowerCase();
+  }
+  return !getTenantSetting('BITRIX_WEBHOOK_URL') && getTenantSetting('BITRIX_CLIENT_ID') ? 'oauth' : 'webhook';
+}
+
+/**
+ * Сохраненные токены тенанта
+ * @param {String} [tenantId] - По умолчанию текущий тенант
+ * @returns {Object|null} - { portal, memberId, clientEndpoint, accessToken, refreshToken, expiresAt, scope }
+ */
+function getStoredTokens(tenantId = getCurrentTenant().id) {
+  getTokenStore();
+  return tokens[tenantId] || null;
+}
+
+/**
+ * Состояние установки для /admin и /readyz (без токенов)
+ * @returns {{ installed: Boolean, portal: String|null, expiresAt: String|null, updatedAt: String|null }}
+ */
+function getOAuthStatus() {
+  const stored = getStoredTokens();
+  return {
+    installed: Boolean(stored?.refreshToken),
+    portal: stored?.portal || getTenantSetting('BITRIX_PORTAL') || null,
+    expiresAt: stored ? new Date(stored.expiresAt).toISOString() : null,
+    updatedAt: stored?.updatedAt || null
+  };
+}
+
+/**
+ * Не хватающие для OAuth настройки текущего тенанта
+ * @returns {String[]}
+ */
+function getMissingOAuthSettings() {
+  return ['BITRIX_PORTAL', 'BITRIX_CLIENT_ID', 'BITRIX_CLIENT_SECRET'].filter(name => !getTenantSetting(name));
+}
+
+function getPortalHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Сохраняет ответ сервера авторизации для тенанта
+ * @param {String} tenantId
+ * @param {Object} response - Ответ /oauth/token/ (access_token, refresh_token, expires_in, client_endpoint…)
+ * @returns {Object} - Сохраненная запись
+ */
+function saveTokens(tenantId, response) {
+  const portal = getPortalHost(response.client_endpoint);
+  const expected = getTenantSetting('BITRIX_PORTAL');
+
+  // Токены другого портала не принимаем: иначе лиды тенанта ушли бы в чужой Bitrix
+  if (!portal || portal !== expected) {
+    throw createAuthError(`Токен выдан для портала ${portal || '—'}, а у тенанта настроен ${expected}`, {
+      code: 'PORTAL_MISMATCH'
+    });
+  }
+
+  getTokenStore();
+  tokens[tenantId] = {
+    portal,
+    memberId: response.member_id || null,
+    clientEndpoint: response.client_endpoint,
+    accessToken: response.access_token,
+    refreshToken: response.refresh_token,
+    expiresAt: Date.now() + (Number(response.expires_in) || 3600) * 1000,
+    scope: response.scope || null,
+    updatedAt: new Date().toISOString()
+  };
+  tokenStore.write(tokens);
+
+  return tokens[tenantId];
+}
+
+/**
+ * Запрос к серверу авторизации Bitrix
+ * @param {Object} params - grant_type и параметры гранта
+ * @returns {Promise<Object>}
+ */
+async function requestToken(params) {
+  let response;
+  try {
+    response = await axios.get(`${getOAuthServer()}/oauth/token/`, {
+      params: {
+        ...params,
+        client_id: getTenantSetting('BITRIX_CLIENT_ID'),
+        client_secret: getTenantSetting('BITRIX_CLIENT_SECRET')
+      },
+      timeout: 15000,
+      validateStatus: status => status >= 200 && status < 600
+    });
+  } catch (error) {
+    throw createAuthError(`Сервер авторизации Bitrix недоступен: ${error.message}`, { code: error.code, kind: 'network' });
+  }
+
+  if (response.data?.error || response.status >= 400) {
+    const code = response.data?.error || `HTTP_${response.status}`;
+    throw createAuthError(`Сервер авторизации Bitrix вернул ошибку: ${code} - ${response.data?.error_description || ''}`, {
+      code,
+      kind: response.status >= 500 ? 'server' : 'auth'
+    });
+  }
+
+  return response.data;
+}
+
+async function refreshTokens(tenantId) {
+  const stored = getStoredTokens(tenantId);
+  if (!stored?.refreshToken) {
+    throw createAuthError('Приложение Bitrix не установлено: нет refresh token', { code: 'NOT_INSTALLED' });
+  }
+
+  const response = await requestToken({ grant_type: 'refresh_token', refresh_token: stored.refreshToken });
+  const saved = saveTokens(tenantId, response);
+  log.info('Access token обновлен', { portal: saved.portal, expiresAt: new Date(saved.expiresAt).toISOString() });
+  return saved;
+}
+
+/**
+ * Обновляет токены текущего тенанта по refresh token. Параллельные вызовы
+ * получают результат одного запроса: повторное использование refresh token Bitrix отклонит.
+ * @returns {Promise<Object>} - Новая запись токенов
+ */
+function refreshAccessToken() {
+  const tenantId = getCurrentTenant().id;
+
+  if (!refreshes.has(tenantId)) {
+    refreshes.set(tenantId, refreshTokens(tenantId).finally(() => refreshes.delete(tenantId)));
+  }
+  return refreshes.get(tenantId);
+}
+
+/**
+ * Действующий access token текущего тенанта (обновляется, если скоро истечет)
+ * @returns {Promise<{ clientEndpoint: String, accessToken: String }>}
+ */
+async function getAccessToken() {
+  const missing = getMissingOAuthSettings();
+  if (missing.length > 0) {
+    throw createAuthError(`Для OAuth не заданы настройки: ${missing.join(', ')}`, { code: 'NOT_CONFIGURED' });
+  }
+
+  let stored = getStoredTokens();
+  if (!stored?.accessToken || stored.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+    stored = await refreshAccessToken();
+  }
+
+  return { clientEndpoint: stored.clientEndpoint, accessToken: stored.accessToken };
+}
+
+function createState(tenantId) {
+  const now = Date.now();
+  for (const [state, entry] of pendingStates) {
+    if (entry.expiresAt <= now) pendingStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  pendingStates.set(state, { tenantId, expiresAt: now + STATE_TTL_MS });
+  return state;
+}
+
+function consumeState(state, tenantId) {
+  const entry = typeof state === 'string' ? pendingStates.get(state) : null;
+  pendingStates.delete(state);
+  return Boolean(entry) && entry.tenantId === tenantId && entry.expiresAt > Date.now();
+}
+
+/**
+ * Страница, которую Bitrix показывает в слайдере установки: завершает установку приложения
+ */
+function renderInstallFinish(message) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><script src="//api.bitrix24.com/api/v1/"></script></head>
+<body><p>${message}</p>
+<script>if (window.BX24) { BX24.init(function () { BX24.installFinish(); }); }</script>
+</body></html>`;
+}
+
+/**
+ * Express middleware: у тенанта должен быть настроен OAuth
+ */
+function requireOAuthSettings(req, res, next) {
+  const missing = getMissingOAuthSettings();
+  if (missing.length > 0) {
+    log.warn(`OAuth не настроен: нет ${missing.join(', ')}`);
+    return res.status(404).json({ success: false, error: `OAuth не настроен для тенанта: нет ${missing.join(', ')}` });
+  }
+  next();
+}
+
+/**
+ * Создает роутер /oauth/bitrix
+ * @returns {express.Router}
+ */
+function createOAuthRouter() {
+  const router = express.Router();
+  const paths = (name) => [`/${name}`, `/${name}/:tenant`];
+
+  router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+  /**
+   * Начало авторизации: редирект на страницу подтверждения доступа на портале
+   */
+  router.get(paths('install'), resolveTenant, requireOAuthSettings, (req, res) => {
+    const query = new URLSearchParams({
+      client_id: getTenantSetting('BITRIX_CLIENT_ID'),
+      state: createState(req.tenant.id)
+    });
+    res.redirect(`https://${getTenantSetting('BITRIX_PORTAL')}/oauth/authorize/?${query}`);
+  });
+
+  /**
+   * Обработчик установки локального приложения: Bitrix присылает AUTH_ID и REFRESH_ID.
+   * Присланному токену не доверяем: сразу обновляем его своим client_secret —
+   * это удается только с refresh token нашего приложения, а client_endpoint ответа
+   * должен совпасть с BITRIX_PORTAL тенанта.
+   */
+  router.post(paths('install'), resolveTenant, requireOAuthSettings, async (req, res) => {
+    const refreshToken = req.body?.REFRESH_ID || req.body?.auth?.refresh_token;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'В запросе установки нет REFRESH_ID' });
+    }
+
+    try {
+      const response = await requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+      const saved = saveTokens(req.tenant.id, response);
+      log.info(`Приложение установлено на портале ${saved.portal}`, { memberId: saved.memberId });
+      res.type('html').send(renderInstallFinish('Приложение установлено'));
+    } catch (error) {
+      log.error(`Установка приложения не удалась: ${error.message}`, { code: error.code });
+      res.status(error.retryable ? 502 : 403).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Возврат со страницы авторизации портала: обмениваем code на токены
+   */
+  router.get(paths('callback'), resolveTenant, requireOAuthSettings, async (req, res) => {
+    const { code, state } = req.query;
+
+    if (!consumeState(state, req.tenant.id)) {
+      log.warn('Callback OAuth с неизвестным или истекшим state');
+      return res.status(400).json({ success: false, error: 'Неверный или истекший state: начните установку заново' });
+    }
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'В запросе нет code' });
+    }
+
+    try {
+      const response = await requestToken({ grant_type: 'authorization_code', code });
+      const saved = saveTokens(req.tenant.id, response);
+      log.info(`Авторизация на портале ${saved.portal} завершена`, { memberId: saved.memberId });
+      res.json({ success: true, message: 'Приложение Bitrix авторизовано', portal: saved.portal });
+    } catch (error) {
+      log.error(`Обмен code на токены не удался: ${error.message}`, { code: error.code });
+      res.status(error.retryable ? 502 : 403).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  getAuthMode,
+  getAccessToken,
+  refreshAccessToken,
+  getOAuthStatus,
+  getMissingOAuthSettings,
+  createOAuthRouter
+};
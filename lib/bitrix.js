@@ -0,0 +1,443 @@
+const axios = require('axios');
+const { getTenantSetting } = require('./tenants');
+const {
+  getAuthMode,
+  getAccessToken,
+  refreshAccessToken,
+  getOAuthStatus,
+  getMissingOAuthSettings
+} = require('./bitrix-oauth');
+const { createLogger } = require('./logger');
+const { observeBitrixRequest } = require('./metrics');
+
+/**
+ * Клиент Bitrix24 REST API
+ *
+ * Авторизация по режиму тенанта (BITRIX_AUTH_MODE): через входящий вебхук (BITRIX_WEBHOOK_URL)
+ * или через OAuth локального приложения (lib/bitrix-oauth.js). В режиме OAuth access token
+ * передается параметром auth, а при expired_token обновляется и запрос повторяется один раз.
+ *
+ * - Ограничение частоты: token bucket на каждый портал. Bitrix разрешает около 2 запросов
+ *   в секунду, при превышении отвечает QUERY_LIMIT_EXCEEDED.
+ *   BITRIX_RATE_LIMIT_PER_SEC (по умолчанию 2), BITRIX_RATE_LIMIT_BURST (по умолчанию 2).
+ * - Ошибки классифицируются (BitrixError.kind): rate_limit, server и network — временные,
+ *   их клиент повторяет сам до BITRIX_MAX_RETRIES раз (по умолчанию 2) с задержкой от
+ *   BITRIX_RETRY_DELAY_MS (по умолчанию 1000); auth, validation и остальные — постоянные,
+ *   повтор не поможет, и очередь сразу переносит такую доставку в dead-letter.
+ *   Методы записи (crm.lead.add, batch и т.п.) клиент повторяет, только если Bitrix точно
+ *   их не выполнил: QUERY_LIMIT_EXCEEDED или запрос не ушел (ECONNREFUSED, ошибка DNS).
+ *   После таймаута или 5xx запись могла сохраниться, такой повтор оставляем очереди:
+ *   она сначала ищет созданное предыдущей попыткой (см. resumeSince в lib/crm-pipeline.js).
+ * - Таймаут запроса — BITRIX_TIMEOUT_MS (по умолчанию 30000), истекший таймаут считается сетевой ошибкой.
+ * - callBatch() отправляет несколько команд одним запросом batch (до 50 команд),
+ *   команды могут ссылаться на результат предыдущих через $result[ключ].
+ *
+ * Параметры и ответ Bitrix пишутся в лог только на уровне debug, токены маскируются.
+ */
+
+const log = createLogger('BITRIX');
+
+const BATCH_LIMIT = 50;
+
+const RETRYABLE_CODES = ['QUERY_LIMIT_EXCEEDED', 'OPERATION_TIME_LIMIT', 'INTERNAL_SERVER_ERROR'];
+const AUTH_CODES = [
+  'expired_token',
+  'invalid_token',
+  'NO_AUTH_FOUND',
+  'INVALID_CREDENTIALS',
+  'insufficient_scope',
+  'ACCESS_DENIED',
+  'authorization_error'
+];
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+// Соединение не установлено — запрос до Bitrix не дошел
+const NOT_SENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+// Методы только для чтения: их повтор ничего не создаст второй раз
+const READ_METHOD_PATTERN = /^(server\.time|crm\.duplicate\.findbycomm|.+\.(get|list|fields))$/;
+
+/**
+ * Ошибка вызова Bitrix с классификацией
+ */
+class BitrixError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} details
+   * @param {String} details.method - Метод Bitrix
+   * @param {String} [details.code] - Код ошибки Bitrix (error) или сетевой код
+   * @param {String} [details.description] - error_description
+   * @param {Number} [details.status] - HTTP-статус
+   * @param {String} details.kind - rate_limit | auth | validation | server | network | unknown
+   */
+  constructor(message, { method, code, description, status, kind }) {
+    super(message);
+    this.name = 'BitrixError';
+    this.method = method;
+    this.code = code;
+    this.description = description;
+    this.status = status;
+    this.kind = kind;
+    this.retryable = ['rate_limit', 'server', 'network'].includes(kind);
+  }
+}
+
+/**
+ * Определяет тип ошибки Bitrix
+ * @param {Object} error
+ * @param {String} [error.code] - Код ошибки Bitrix или сетевой код (ECONNRESET и т.п.)
+ * @param {Number} [error.status] - HTTP-статус (нет — запрос не дошел)
+ * @returns {String} - rate_limit | auth | validation | server | network | unknown
+ */
+function classifyBitrixError({ code, status }) {
+  if (code === 'QUERY_LIMIT_EXCEEDED' || status === 429) return 'rate_limit';
+  if (AUTH_CODES.includes(code) || status === 401 || status === 403) return 'auth';
+  if (RETRYABLE_CODES.includes(code) || status >= 500) return 'server';
+  if (!status && NETWORK_CODES.includes(code)) return 'network';
+  if (status === 400) return 'validation';
+  return 'unknown';
+}
+
+/**
+ * Меняет ли метод данные в Bitrix (batch считается записью целиком)
+ * @param {String} method
+ * @returns {Boolean}
+ */
+function isWriteMethod(method) {
+  return !READ_METHOD_PATTERN.test(method);
+}
+
+/**
+ * Можно ли клиенту повторить вызов после ошибки.
+ * Запись повторяем, только если Bitrix ее точно не выполнил, иначе повтор создаст дубль
+ * @param {String} method
+ * @param {BitrixError} error
+ * @returns {Boolean}
+ */
+function canRetryCall(method, error) {
+  if (!error.retryable) return false;
+  if (!isWriteMethod(method)) return true;
+  return error.kind === 'rate_limit' || NOT_SENT_CODES.includes(error.code);
+}
+
+/**
+ * Собирает полный URL метода REST API
+ * @param {String} method - Например, 'crm.lead.add'
+ * @returns {String}
+ */
+function getBitrixMethodUrl(method) {
+  const bitrixWebhookUrl = getTenantSetting('BITRIX_WEBHOOK_URL');
+
+  if (!bitrixWebhookUrl) {
+    log.error('BITRIX_WEBHOOK_URL не установлен в переменных окружения');
+    throw new Error('BITRIX_WEBHOOK_URL не установлен в переменных окружения');
+  }
+
+  // Убеждаемся, что URL заканчивается на слэш
+  return bitrixWebhookUrl.endsWith('/')
+    ? `${bitrixWebhookUrl}${method}`
+    : `${bitrixWebhookUrl}/${method}`;
+}
+
+/**
+ * Проблемы настройки подключения текущего тенанта к Bitrix (для /readyz и предупреждений при старте)
+ * @returns {String[]} - Пустой массив, если все в порядке
+ */
+function getBitrixConfigErrors() {
+  if (getAuthMode() === 'oauth') {
+    const missing = getMissingOAuthSettings();
+    if (missing.length > 0) {
+      return [`для OAuth не заданы ${missing.join(', ')}`];
+    }
+    return getOAuthStatus().installed ? [] : ['приложение Bitrix не установлено (см. /oauth/bitrix/install)'];
+  }
+
+  const url = getTenantSetting('BITRIX_WEBHOOK_URL');
+  if (!url) {
+    return ['BITRIX_WEBHOOK_URL не установлен'];
+  }
+  try {
+    new URL(url);
+  } catch (error) {
+    return ['BITRIX_WEBHOOK_URL не является корректным URL'];
+  }
+  return [];
+}
+
+/**
+ * URL и параметры запроса с учетом режима авторизации тенанта
+ * @returns {Promise<{ url: String, params: Object }>}
+ */
+async function prepareRequest(method, params) {
+  if (getAuthMode() !== 'oauth') {
+    return { url: getBitrixMethodUrl(method), params };
+  }
+
+  const { clientEndpoint, accessToken } = await getAccessToken();
+  const endpoint = clientEndpoint.endsWith('/') ? clientEndpoint : `${clientEndpoint}/`;
+  return { url: `${endpoint}${method}`, params: { ...params, auth: accessToken } };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Token bucket: не больше ratePerSec запросов в секунду с запасом burst.
+ * Ожидающие получают токены строго по очереди.
+ */
+function createTokenBucket({ ratePerSec, burst }) {
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - updatedAt) / 1000) * ratePerSec);
+    updatedAt = now;
+  }
+
+  function take() {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  }
+
+  // Bitrix все равно ответил QUERY_LIMIT_EXCEEDED: ждем, пока бакет наполнится заново
+  function drain() {
+    refill();
+    tokens = Math.min(tokens, 0);
+  }
+
+  return { take, drain };
+}
+
+// Портал (хост) → token bucket
+const buckets = new Map();
+
+function getBucket(url) {
+  const portal = new URL(url).host;
+  if (!buckets.has(portal)) {
+    buckets.set(portal, createTokenBucket({
+      ratePerSec: readNumberEnv('BITRIX_RATE_LIMIT_PER_SEC', 2),
+      burst: readNumberEnv('BITRIX_RATE_LIMIT_BURST', 2)
+    }));
+  }
+  return buckets.get(portal);
+}
+
+/**
+ * Один HTTP-запрос к Bitrix без повторов
+ * @param {Object|null} bucket - Token bucket портала (null — без ограничения частоты)
+ * @param {Number} timeoutMs
+ * @returns {Promise<Object>} - Тело ответа
+ * @throws {BitrixError}
+ */
+async function requestBitrix(url, method, params, bucket, timeoutMs) {
+  await bucket?.take();
+  const startedAt = Date.now();
+
+  log.debug(`${method}: POST ${url}`, { method, params });
+
+  let response;
+  try {
+    response = await axios.post(
+      url,
+      params,
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: timeoutMs,
+        validateStatus: function (status) {
+          // Принимаем любые статусы для детальной обработки
+          return status >= 200 && status < 600;
+        }
+      }
+    );
+  } catch (error) {
+    observeBitrixRequest(method, 'error', Date.now() - startedAt);
+    const kind = classifyBitrixError({ code: error.code });
+    log.error(`Ошибка при вызове ${method}`, {
+      method,
+      kind,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+      code: error.code
+    });
+    throw new BitrixError(`Bitrix недоступен: ${error.message}`, { method, code: error.code, kind });
+  }
+
+  const durationMs = Date.now() - startedAt;
+  log.debug(`${method}: ответ Bitrix`, { method, status: response.status, response: response.data });
+
+  if (response.data?.error || response.status >= 400) {
+    const code = response.data?.error || `HTTP_${response.status}`;
+    const description = response.data?.error_description || '';
+    const kind = classifyBitrixError({ code, status: response.status });
+
+    observeBitrixRequest(method, 'error', durationMs);
+    log.error(`${method}: Bitrix вернул ошибку ${code}`, {
+      method,
+      kind,
+      status: response.status,
+      durationMs,
+      error: code,
+      errorDescription: description
+    });
+
+    if (kind === 'rate_limit') {
+      bucket?.drain();
+    }
+    throw new BitrixError(`Bitrix вернул ошибку: ${code} - ${description}`, {
+      method,
+      code,
+      description,
+      status: response.status,
+      kind
+    });
+  }
+
+  observeBitrixRequest(method, 'ok', durationMs);
+  log.info(`${method}: HTTP ${response.status}`, { method, status: response.status, durationMs });
+  return response.data;
+}
+
+/**
+ * Вызывает метод Bitrix REST API с ограничением частоты и повтором временных ошибок
+ * @param {String} method - Имя метода, например 'crm.lead.add'
+ * @param {Object} params - Параметры метода
+ * @param {Object} [options]
+ * @param {Boolean} [options.probe=false] - Проверка доступности (/readyz): без повторов и вне token bucket
+ *   портала, чтобы не расходовать лимит запросов доставок
+ * @param {Number} [options.timeoutMs] - Таймаут вместо BITRIX_TIMEOUT_MS
+ * @returns {Promise<Object>} - Тело ответа Bitrix ({ result, time, ... })
+ * @throws {BitrixError}
+ */
+async function callBitrix(method, params, { probe = false, timeoutMs } = {}) {
+  const maxRetries = probe
+    ? 0
+    : Number.isInteger(Number(process.env.BITRIX_MAX_RETRIES)) ? Number(process.env.BITRIX_MAX_RETRIES) : 2;
+  const requestTimeoutMs = timeoutMs || readNumberEnv('BITRIX_TIMEOUT_MS', 30000);
+  const retryDelayMs = readNumberEnv('BITRIX_RETRY_DELAY_MS', 1000);
+  let attempt = 0;
+  let refreshed = false;
+
+  for (;;) {
+    const request = await prepareRequest(method, params);
+
+    try {
+      const bucket = probe ? null : getBucket(request.url);
+      return await requestBitrix(request.url, method, request.params, bucket, requestTimeoutMs);
+    } catch (error) {
+      // Access token истек раньше, чем мы ожидали (например, часы расходятся): обновляем и повторяем
+      if (error.code === 'expired_token' && !refreshed && getAuthMode() === 'oauth') {
+        refreshed = true;
+        log.warn(`${method}: access token истек, обновляем`, { method });
+        await refreshAccessToken();
+        continue;
+      }
+
+      if (!canRetryCall(method, error) || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = retryDelayMs * Math.pow(2, attempt);
+      attempt++;
+      log.warn(`${method}: временная ошибка (${error.kind}), повтор через ${delay} мс`, {
+        method,
+        attempt
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Кодирует параметры в строку запроса в формате PHP (fields[PHONE][0][VALUE]=…),
+ * как этого ждет Bitrix в командах batch
+ * @param {Object} params
+ * @returns {String}
+ */
+function buildQuery(params, prefix = '') {
+  const parts = [];
+
+  for (const [key, value] of Object.entries(params || {})) {
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (value !== null && typeof value === 'object') {
+      const nested = buildQuery(value, name);
+      if (nested) parts.push(nested);
+    } else if (value !== undefined) {
+      parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value === null ? '' : value)}`);
+    }
+  }
+
+  return parts.join('&');
+}
+
+/**
+ * Выполняет несколько методов одним запросом batch
+ * @param {Object<String, { method: String, params: Object }>} commands - Ключ → команда.
+ *   В params можно ссылаться на результат предыдущей команды: '$result[ключ]'
+ * @param {Object} [options]
+ * @param {Boolean} [options.halt=true] - Остановиться на первой ошибке и бросить BitrixError
+ * @returns {Promise<{ result: Object, errors: Object }>} - Результаты и ошибки по ключам
+ * @throws {BitrixError}
+ */
+async function callBatch(commands, { halt = true } = {}) {
+  const entries = Object.entries(commands);
+  const result = {};
+  const errors = {};
+
+  // Ссылки $result[…] работают только внутри одного запроса batch
+  for (let offset = 0; offset < entries.length; offset += BATCH_LIMIT) {
+    const chunk = entries.slice(offset, offset + BATCH_LIMIT);
+    const cmd = Object.fromEntries(chunk.map(([key, command]) => [
+      key,
+      `${command.method}?${buildQuery(command.params)}`
+    ]));
+
+    log.debug(`batch: ${chunk.map(([key, command]) => `${key}=${command.method}`).join(', ')}`);
+    const response = await callBitrix('batch', { halt: halt ? 1 : 0, cmd });
+
+    Object.assign(result, response.result?.result);
+    Object.assign(errors, response.result?.result_error);
+  }
+
+  const failed = Object.entries(errors);
+  if (halt && failed.length > 0) {
+    const [key, error] = failed[0];
+    const method = commands[key].method;
+    const code = error.error || 'BATCH_ERROR';
+    throw new BitrixError(`Bitrix вернул ошибку в batch (${key}: ${method}): ${code} - ${error.error_description || ''}`, {
+      method,
+      code,
+      description: error.error_description,
+      status: 400,
+      kind: classifyBitrixError({ code, status: 400 })
+    });
+  }
+
+  return { result, errors };
+}
+
+module.exports = {
+  callBitrix,
+  callBatch,
+  getBitrixMethodUrl,
+  getBitrixConfigErrors,
+  buildQuery,
+  classifyBitrixError,
+  isWriteMethod,
+  canRetryCall,
+  BitrixError
+};
@@ -0,0 +1,152 @@
+const { callBitrix } = require('./bitrix');
+const { getTenantSetting } = require('./tenants');
+const { resolveTimezone, getAgreementsDate, formatDate, toBitrixDateTime } = require('./datetime');
+const { normalizePhone } = require('./phone');
+const { recordDeliveryMapping } = require('./deliveries');
+const { createLogger } = require('./logger');
+
+/**
+ * Напоминание о договоренности: дело или задача в Bitrix на время из agreements_time
+ *
+ * CALLBACK_REMINDER — что создавать, если ИИ договорился о перезвоне или встрече:
+ * - off (по умолчанию): ничего, договоренность остается только в COMMENTS
+ * - activity: дело "Звонок" (crm.activity.add) в лиде со сроком на время договоренности
+ * - task: задача (tasks.task.add), привязанная к лиду, с крайним сроком на это время
+ * CALLBACK_RESPONSIBLE_ID — ответственный, если в маппинге лида нет ASSIGNED_BY_ID
+ * (без обоих ответственным станет пользователь вебхука или приложения).
+ * CALLBACK_DURATION_MIN — длительность дела в минутах (по умолчанию 15).
+ *
+ * Напоминание создается отдельным запросом после записи лида. Ошибка не отменяет доставку:
+ * лид уже создан, а повтор создал бы дубль. Она пишется в лог и в результат (callback.error).
+ */
+
+const log = createLogger('CALLBACK');
+
+const MODES = ['off', 'activity', 'task'];
+
+const CRM_OWNER_TYPES = { lead: 1, deal: 2, contact: 3 };
+// Префиксы привязки задачи к CRM в поле UF_CRM_TASK
+const CRM_TASK_PREFIXES = { lead: 'L', deal: 'D', contact: 'C' };
+const CRM_ACTIVITY_TYPE_CALL = 2;
+const CRM_ACTIVITY_DIRECTION_OUTGOING = 2;
+
+function getReminderMode() {
+  const mode = (getTenantSetting('CALLBACK_REMINDER') || 'off').toLowerCase();
+  if (!MODES.includes(mode)) {
+    log.warn(`Неизвестный режим CALLBACK_REMINDER="${mode}", напоминания не создаются`);
+    return 'off';
+  }
+  return mode;
+}
+
+function getDurationMs() {
+  const minutes = parseInt(getTenantSetting('CALLBACK_DURATION_MIN'), 10);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000;
+}
+
+/**
+ * Готовит запрос создания дела или задачи
+ * @param {Object} data - Данные вебхука
+ * @param {Object} owner - { entityType, entityId } — ID или ссылка '$result[lead]' в пробном прогоне
+ * @param {Object} [options]
+ * @param {Number|String} [options.responsibleId] - Ответственный лида (ASSIGNED_BY_ID из маппинга)
+ * @returns {Object|null} - { method, params, type, deadline } или null, если напоминание не нужно
+ */
+function planCallbackReminder(data, owner, { responsibleId } = {}) {
+  const mode = getReminderMode();
+  const agreements = data.call?.agreements;
+  const date = mode === 'off' || !owner ? null : getAgreementsDate(agreements, data);
+
+  if (!date) {
+    return null;
+  }
+
+  const timezone = resolveTimezone(data);
+  const deadline = toBitrixDateTime(date, timezone);
+  const text = agreements?.agreements?.trim();
+  const title = `ИИ: ${text ? text.substring(0, 100) : 'договоренность с клиентом'}`;
+  const description = [
+    text || null,
+    `Время договоренности: ${formatDate(date, timezone)}`,
+    agreements?.client_name ? `Клиент: ${agreements.client_name}` : null
+  ].filter(Boolean).join('\n');
+  const responsible = responsibleId || getTenantSetting('CALLBACK_RESPONSIBLE_ID') || undefined;
+
+  if (mode === 'task') {
+    return {
+      type: 'task',
+      deadline,
+      method: 'tasks.task.add',
+      params: {
+        fields: {
+          TITLE: title,
+          DESCRIPTION: description,
+          DEADLINE: deadline,
+          RESPONSIBLE_ID: responsible,
+          UF_CRM_TASK: [`${CRM_TASK_PREFIXES[owner.entityType]}_${owner.entityId}`]
+        }
+      }
+    };
+  }
+
+  const phone = normalizePhone(data.contact?.phone);
+  return {
+    type: 'activity',
+    deadline,
+    method: 'crm.activity.add',
+    params: {
+      fields: {
+        OWNER_TYPE_ID: CRM_OWNER_TYPES[owner.entityType],
+        OWNER_ID: owner.entityId,
+        TYPE_ID: CRM_ACTIVITY_TYPE_CALL,
+        DIRECTION: CRM_ACTIVITY_DIRECTION_OUTGOING,
+        SUBJECT: title,
+        DESCRIPTION: description,
+        COMPLETED: 'N',
+        START_TIME: deadline,
+        END_TIME: toBitrixDateTime(new Date(date.getTime() + getDurationMs()), timezone),
+        DEADLINE: deadline,
+        RESPONSIBLE_ID: responsible,
+        COMMUNICATIONS: phone
+          ? [{ VALUE: phone, ENTITY_ID: owner.entityId, ENTITY_TYPE_ID: CRM_OWNER_TYPES[owner.entityType] }]
+          : undefined
+      }
+    }
+  };
+}
+
+/**
+ * Создает напоминание в Bitrix. Не выбрасывает ошибок (см. описание модуля)
+ * @param {Object} data - Данные вебхука
+ * @param {Object|null} owner - { entityType, entityId } — лид, а если его нет — сделка или контакт
+ * @param {Object} [options] - См. planCallbackReminder()
+ * @returns {Promise<Object|null>} - { type, id, deadline }, { type, error } или null, если напоминание не нужно
+ */
+async function createCallbackReminder(data, owner, options) {
+  const reminder = planCallbackReminder(data, owner, options);
+  if (!reminder) {
+    return null;
+  }
+
+  recordDeliveryMapping('callback', reminder.params.fields);
+
+  try {
+    const response = await callBitrix(reminder.method, reminder.params);
+    const id = reminder.type === 'task' ? Number(response.result?.task?.id) : Number(response.result);
+
+    log.info(`Напоминание создано: ${reminder.type} ${id} на ${reminder.deadline}`, {
+      type: reminder.type,
+      id,
+      owner: `${owner.entityType} ${owner.entityId}`
+    });
+    return { type: reminder.type, id, deadline: reminder.deadline };
+  } catch (error) {
+    log.error(`Не удалось создать напоминание (${reminder.method}), лид записан без него`, { error: error.message });
+    return { type: reminder.type, error: error.message };
+  }
+}
+
+module.exports = {
+  planCallbackReminder,
+  createCallbackReminder
+};
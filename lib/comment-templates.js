@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compileTemplate } = require('./template');
+const { getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('TEMPLATE');
+
+/**
+ * Выбор и рендеринг шаблона для поля COMMENTS
+ *
+ * TEMPLATES_DIR — папка с шаблонами (по умолчанию ./templates), может быть своей у тенанта.
+ * В ней comments.yaml описывает доступные шаблоны и правила выбора
+ * по кампании или тегу контакта (см. templates/comments.yaml).
+ * Файлы перечитываются при изменении mtime, перезапуск не нужен.
+ */
+
+const DEFAULT_CONFIG = {
+  campaignSource: 'campaign.name',
+  templates: {
+    default: { file: 'comments.default.tpl', escape: 'bbcode' }
+  },
+  rules: []
+};
+
+// Кэш скомпилированных файлов: путь → { mtimeMs, value }
+const fileCache = new Map();
+
+function getTemplatesDir() {
+  return getTenantSetting('TEMPLATES_DIR') || path.join(__dirname, '..', 'templates');
+}
+
+/**
+ * Читает файл через кэш: parse вызывается только если файл изменился
+ */
+function readCached(filePath, parse, cacheKey = filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = fileCache.get(cacheKey);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.value;
+  }
+
+  const value = parse(fs.readFileSync(filePath, 'utf8'));
+  fileCache.set(cacheKey, { mtimeMs, value });
+  return value;
+}
+
+function loadTemplatesConfig() {
+  const configPath = path.join(getTemplatesDir(), 'comments.yaml');
+  if (!fs.existsSync(configPath)) {
+    return DEFAULT_CONFIG;
+  }
+
+  return readCached(configPath, (content) => {
+    const config = { ...DEFAULT_CONFIG, ...yaml.load(content) };
+    if (!config.templates?.default) {
+      throw new Error(`${configPath}: не описан шаблон default`);
+    }
+    return config;
+  });
+}
+
+/**
+ * Выбирает шаблон по правилам comments.yaml
+ * @param {Object} data - Данные вебхука
+ * @returns {String} - Имя шаблона
+ */
+function selectCommentTemplate(data) {
+  const config = loadTemplatesConfig();
+  const campaign = config.campaignSource.split('.')
+    .reduce((current, key) => (current == null ? undefined : current[key]), data);
+  const tags = Array.isArray(data?.contact?.tags) ? data.contact.tags : [];
+
+  const rule = (config.rules || []).find(r =>
+    (r.campaign === undefined || r.campaign === campaign) &&
+    (r.tag === undefined || tags.includes(r.tag)) &&
+    (r.campaign !== undefined || r.tag !== undefined)
+  );
+
+  if (rule && !config.templates[rule.template]) {
+    log.warn(`Правило ссылается на неизвестный шаблон "${rule.template}", используется default`);
+    return 'default';
+  }
+
+  return rule ? rule.template : 'default';
+}
+
+/**
+ * Рендерит шаблон COMMENTS для звонка
+ * @param {Object} data - Данные вебхука
+ * @param {String} [name] - Имя шаблона; по умолчанию выбирается по правилам
+ * @returns {String}
+ */
+function renderCommentTemplate(data, name) {
+  const config = loadTemplatesConfig();
+  const templateName = name || selectCommentTemplate(data);
+  const templateConfig = config.templates[templateName];
+
+  if (!templateConfig) {
+    throw new Error(`Шаблон "${templateName}" не описан в comments.yaml`);
+  }
+
+  const filePath = path.join(getTemplatesDir(), templateConfig.file);
+  const escape = templateConfig.escape || 'bbcode';
+  const render = readCached(
+    filePath,
+    (content) => compileTemplate(content, { escape }),
+    `${filePath}|${escape}`
+  );
+
+  log.debug(`COMMENTS: шаблон "${templateName}" (${templateConfig.file})`);
+  return render(data).trim();
+}
+
+module.exports = {
+  renderCommentTemplate,
+  selectCommentTemplate
+};
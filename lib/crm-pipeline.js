@@ -0,0 +1,556 @@
+const { applyMapping } = require('../mapping');
+const { getMapping } = require('./mapping-config');
+const { evaluateRoutingRules } = require('./routing');
+const { callBitrix, callBatch } = require('./bitrix');
+const { getLeadMatchStrategy, findEntityByPhone, findExistingEntity, findCreatedSince, findCommentSince } = require('./lead-matching');
+const { getTenantSetting } = require('./tenants');
+const { recordDeliveryMapping } = require('./deliveries');
+const { planCallbackReminder, createCallbackReminder } = require('./callbacks');
+const { scheduleCallMedia } = require('./recordings');
+const { createLogger } = require('./logger');
+
+/**
+ * Пайплайн записи звонка в CRM: Контакт → Лид → Сделка
+ *
+ * CRM_PIPELINE — какие сущности писать, через запятую (по умолчанию "lead"):
+ * - contact: найти контакт по телефону или создать новый (contactMapping)
+ * - lead: создать/обновить лид (leadMapping), привязав его к контакту
+ * - deal: создать сделку (dealMapping), привязав ее к контакту и лиду
+ * DEAL_REQUIRES_AGREEMENTS — создавать сделку только если есть договоренности
+ * (call.agreements.agreements), по умолчанию true.
+ *
+ * До маппинга проверяются правила маршрутизации (lib/routing.js): сработавшее правило
+ * может пропустить звонок, заменить набор сущностей и задать поля поверх маппинга.
+ * После записи — напоминание о договоренности (дело или задача, см. lib/callbacks.js), его ошибки
+ * доставку не отменяют. Запись и расшифровка звонка сохраняются отдельной задачей (lib/recordings.js).
+ *
+ * При повторе из очереди (resumeSince) предыдущая попытка могла записать звонок, не дождавшись
+ * ответа Bitrix: лид ищется по телефону, а сделка — по лиду или контакту среди созданных
+ * после постановки задачи в очередь, и найденные повторно не создаются. Контакт и так ищется по телефону.
+ * Комментарий стратегии comment ищется в таймлайне найденной сущности по тексту.
+ */
+
+const log = createLogger('PIPELINE');
+
+const PIPELINE_ENTITIES = ['contact', 'lead', 'deal'];
+
+/**
+ * Возвращает список сущностей пайплайна в порядке выполнения
+ * @returns {String[]}
+ */
+function getPipelineEntities() {
+  const configured = (getTenantSetting('CRM_PIPELINE') || 'lead')
+    .split(',')
+    .map(entity => entity.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = configured.filter(entity => !PIPELINE_ENTITIES.includes(entity));
+  if (unknown.length > 0) {
+    log.warn(`Неизвестные сущности в CRM_PIPELINE: ${unknown.join(', ')}`);
+  }
+
+  // Порядок фиксированный: сделке и лиду нужен ID контакта
+  return PIPELINE_ENTITIES.filter(entity => configured.includes(entity));
+}
+
+/**
+ * Добавляет в трассировку маппинга поля, заданные не маппингом (правилом маршрутизации или пайплайном)
+ * @param {Object[]|null} trace
+ * @param {Object} [fields]
+ * @param {String} source - routing | pipeline
+ */
+function traceFields(trace, fields = {}, source) {
+  for (const [field, value] of Object.entries(fields)) {
+    trace?.push({ field, source, transform: null, rawValue: null, value, usedDefault: false, skipped: null });
+  }
+}
+
+/**
+ * Поля сущности: маппинг (mapping.js, MAPPING_FILE или переданная версия) и поля правила поверх
+ * @param {Object} data - Данные вебхука
+ * @param {String} entity - contact | lead | deal
+ * @param {Object} options - fields, mapping, trace из plan*()
+ * @returns {Object}
+ */
+function mapEntityFields(data, entity, options) {
+  const mapped = applyMapping(data, options.mapping || getMapping(entity), options.trace);
+  traceFields(options.trace, options.fields, 'routing');
+  return { ...mapped, ...options.fields };
+}
+
+/**
+ * Готовит запись лида: применяет маппинг (mapping.js или MAPPING_FILE) и выбирает метод.
+ * В зависимости от LEAD_MATCH_STRATEGY может обновить найденный по телефону лид
+ * или оставить комментарий в его таймлайне вместо создания нового (см. lib/lead-matching.js)
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {Object} [options]
+ * @param {Number|String} [options.contactId] - Контакт, к которому привязать лид (ID или '$result[contact]')
+ * @param {Object} [options.fields] - Поля поверх маппинга (из правила маршрутизации)
+ * @param {Object} [options.mapping] - Маппинг вместо текущего (для сравнения версий)
+ * @param {Object[]} [options.trace] - Куда записать трассировку полей (см. applyMapping)
+ * @param {Boolean} [options.lookup=true] - Искать существующий лид по телефону (false — без запросов в Bitrix)
+ * @param {String} [options.resumeSince] - Повтор из очереди: искать лид или комментарий, записанные предыдущей попыткой
+ * @returns {Promise<Object>} - Шаг: method, params, action ('created' | 'updated' | 'commented'),
+ *   entityType и entityId (для нового лида — null, его вернет Bitrix; без method — лид или комментарий уже записан)
+ */
+async function planLead(data, options = {}) {
+  // Применяем маппинг для преобразования данных вебхука в поля Bitrix
+  const leadFields = mapEntityFields(data, 'lead', options);
+  log.debug('Результат маппинга лида', { fields: leadFields });
+  
+  // Проверяем, что есть хотя бы одно поле для создания лида
+  if (!leadFields || Object.keys(leadFields).length === 0) {
+    log.error('После маппинга не осталось ни одного поля лида');
+    throw new Error('После маппинга не осталось полей для создания лида. Проверьте структуру входящих данных.');
+  }
+  
+  if (options.contactId) {
+    leadFields.CONTACT_ID = options.contactId;
+    traceFields(options.trace, { CONTACT_ID: options.contactId }, 'pipeline');
+  }
+  recordDeliveryMapping('lead', leadFields);
+  
+  // Проверяем обязательные поля для Bitrix
+  const requiredFields = ['NAME', 'PHONE'];
+  const missingFields = requiredFields.filter(field => !leadFields[field] || 
+    (Array.isArray(leadFields[field]) && leadFields[field].length === 0) ||
+    (typeof leadFields[field] === 'string' && leadFields[field].trim() === ''));
+  
+  if (missingFields.length > 0) {
+    log.warn(`Отсутствуют обязательные поля лида: ${missingFields.join(', ')}`, {
+      fieldNames: Object.keys(leadFields)
+    });
+  }
+  
+  // Ищем существующий лид/контакт по телефону, если стратегия это предполагает
+  const strategy = getLeadMatchStrategy();
+  const phone = leadFields.PHONE?.[0]?.VALUE;
+  const existing = options.lookup === false ? null : await findExistingEntity(phone, strategy);
+  
+  if (existing && strategy === 'update') {
+    log.info(`Найден лид ${existing.id} с тем же телефоном, обновляем`, { leadId: existing.id });
+    
+    // Телефон не передаем: Bitrix добавил бы его в карточку вторым значением
+    const { PHONE, ...updateFields } = leadFields;
+    return {
+      method: 'crm.lead.update',
+      params: { id: existing.id, fields: updateFields },
+      action: 'updated',
+      entityType: 'lead',
+      entityId: existing.id
+    };
+  }
+  
+  if (existing && strategy === 'comment') {
+    log.info(`Найден ${existing.entityType} ${existing.id} с тем же телефоном, добавляем комментарий`, {
+      entityType: existing.entityType,
+      entityId: existing.id
+    });
+    
+    const comment = leadFields.COMMENTS || 'Повторный звонок';
+    const result = { action: 'commented', entityType: existing.entityType, entityId: existing.id };
+    
+    // Повтор из очереди: комментарий могла оставить предыдущая попытка, второй не нужен
+    const commentId = options.resumeSince
+      ? await findCommentSince(existing.entityType, existing.id, comment, options.resumeSince)
+      : null;
+    if (commentId) {
+      log.warn(`Комментарий ${commentId} уже добавлен предыдущей попыткой, повторно не добавляем`, { commentId });
+      return result;
+    }
+    
+    return {
+      method: 'crm.timeline.comment.add',
+      params: {
+        fields: {
+          ENTITY_ID: existing.id,
+          ENTITY_TYPE: existing.entityType,
+          COMMENT: comment
+        }
+      },
+      ...result
+    };
+  }
+  
+  const createdId = options.resumeSince && phone
+    ? await findCreatedSince('lead', { PHONE: phone }, options.resumeSince)
+    : null;
+  if (createdId) {
+    log.warn(`Лид ${createdId} уже создан предыдущей попыткой, повторно не создаем`, { leadId: createdId });
+    return { action: 'created', entityType: 'lead', entityId: createdId };
+  }
+  
+  return {
+    method: 'crm.lead.add',
+    params: { fields: leadFields },
+    action: 'created',
+    entityType: 'lead',
+    entityId: null
+  };
+}
+
+/**
+ * Находит контакт по телефону или готовит его создание
+ * @param {Object} data - Данные вебхука
+ * @param {Object} [options] - fields, mapping, trace и lookup, как в planLead()
+ * @returns {Promise<Object|null>} - Найденный контакт (action 'linked') или шаг crm.contact.add
+ */
+async function planContact(data, options = {}) {
+  const contactFields = mapEntityFields(data, 'contact', options);
+  recordDeliveryMapping('contact', contactFields);
+  const phone = contactFields.PHONE?.[0]?.VALUE;
+
+  if (phone && options.lookup !== false) {
+    const existingId = await findEntityByPhone('contact', phone);
+    if (existingId) {
+      log.info(`Найден контакт ${existingId} с тем же телефоном`, { contactId: existingId });
+      return { action: 'linked', entityType: 'contact', entityId: existingId };
+    }
+  }
+
+  if (Object.keys(contactFields).length === 0) {
+    log.warn('После маппинга не осталось полей для контакта, пропускаем');
+    return null;
+  }
+
+  return {
+    method: 'crm.contact.add',
+    params: { fields: contactFields },
+    action: 'created',
+    entityType: 'contact',
+    entityId: null
+  };
+}
+
+/**
+ * Нужно ли создавать сделку: при DEAL_REQUIRES_AGREEMENTS — только если есть договоренности
+ * @param {Object} data - Данные вебхука
+ * @returns {Boolean}
+ */
+function isDealAllowed(data) {
+  const requiresAgreements = getTenantSetting('DEAL_REQUIRES_AGREEMENTS') !== 'false';
+  return !requiresAgreements || Boolean(data.call?.agreements?.agreements?.trim());
+}
+
+/**
+ * Сущности для звонка: правило маршрутизации может лишь сузить набор,
+ * порядок всегда contact → lead → deal
+ * @param {Object} route - Результат evaluateRoutingRules()
+ * @returns {String[]}
+ */
+function getRouteEntities(route) {
+  return route.entities
+    ? PIPELINE_ENTITIES.filter(entity => route.entities.includes(entity))
+    : getPipelineEntities();
+}
+
+/**
+ * Готовит создание сделки, привязанной к контакту и лиду
+ * @param {Object} data - Данные вебхука
+ * @param {Object} links - { contactId, leadId } — ID или ссылки '$result[…]' на шаги того же batch
+ * @param {Object} [options] - fields, mapping и trace, как в planLead()
+ * @returns {Object|null} - Шаг crm.deal.add или null, если сделку создавать не нужно
+ */
+function planDeal(data, links, options = {}) {
+  if (!isDealAllowed(data)) {
+    log.info('Договоренностей нет, сделку не создаем');
+    return null;
+  }
+
+  const dealFields = mapEntityFields(data, 'deal', options);
+  const linkFields = {};
+  if (links.contactId) linkFields.CONTACT_ID = links.contactId;
+  if (links.leadId) linkFields.LEAD_ID = links.leadId;
+  Object.assign(dealFields, linkFields);
+  traceFields(options.trace, linkFields, 'pipeline');
+  recordDeliveryMapping('deal', dealFields);
+
+  return {
+    method: 'crm.deal.add',
+    params: { fields: dealFields },
+    action: 'created',
+    entityType: 'deal',
+    entityId: null
+  };
+}
+
+/**
+ * Сущность для напоминания, записи и расшифровки звонка: лид, а если его нет — сделка или контакт
+ * @param {Object} result - Результат пайплайна (leadId, dealId, contactId, entityType, entityId)
+ * @returns {Object|null} - { entityType, entityId }
+ */
+function getOwnerEntity(result) {
+  if (result.leadId) return { entityType: 'lead', entityId: result.leadId };
+  // Комментарий в найденный контакт (LEAD_MATCH_STRATEGY=comment)
+  if (result.entityType === 'contact' && result.entityId) return { entityType: 'contact', entityId: result.entityId };
+  if (result.dealId) return { entityType: 'deal', entityId: result.dealId };
+  if (result.contactId) return { entityType: 'contact', entityId: result.contactId };
+  return null;
+}
+
+/**
+ * Сделка, созданная предыдущей попыткой: ищем по лиду, а без него — по контакту.
+ * Ссылки '$result[…]' не годятся: значит, лид или контакт создается только сейчас
+ * @param {Object} links - { contactId, leadId }
+ * @param {String} since - ISO-время постановки задачи
+ * @returns {Promise<Number|null>}
+ */
+async function findCreatedDeal(links, since) {
+  const isId = (link) => Number.isInteger(Number(link)) && Number(link) > 0;
+  if (links.leadId) {
+    return isId(links.leadId) ? findCreatedSince('deal', { LEAD_ID: links.leadId }, since) : null;
+  }
+  return isId(links.contactId) ? findCreatedSince('deal', { CONTACT_ID: links.contactId }, since) : null;
+}
+
+/**
+ * Выполняет шаги: один — обычным вызовом, несколько — одним запросом batch
+ * @param {Object<String, Object>} steps - Ключ (contact, lead, deal) → шаг из plan*()
+ * @returns {Promise<{ results: Object, response: Object }>} - result каждого шага по ключу и ответ Bitrix
+ */
+async function executeSteps(steps) {
+  const keys = Object.keys(steps);
+
+  if (keys.length === 1) {
+    const [key] = keys;
+    const response = await callBitrix(steps[key].method, steps[key].params);
+    return { results: { [key]: response.result }, response };
+  }
+
+  const response = await callBatch(steps);
+  return { results: response.result, response };
+}
+
+/**
+ * ID сущности после выполнения шага
+ */
+function getStepEntityId(key, step, results) {
+  if (step.entityId) {
+    return step.entityId;
+  }
+
+  const id = results[key];
+  if (!id) {
+    log.error(`Bitrix не вернул ID: ${step.method}`, { results });
+    throw new Error(`Bitrix не вернул ID созданной сущности (${step.method}). Возможно, она не была создана.`);
+  }
+  return Number(id);
+}
+
+/**
+ * Планирует запись звонка в CRM: правило маршрутизации, сущности и шаги в порядке contact → lead → deal
+ * @param {Object} data - Данные вебхука
+ * @param {Object} [options]
+ * @param {Boolean} [options.lookup=true] - Искать существующие контакт и лид по телефону
+ * @param {Object} [options.mappings] - { lead, contact, deal } вместо текущего маппинга (см. buildMappingVersion)
+ * @param {Object} [options.traces] - Объект, куда по сущностям записать трассировку полей
+ * @param {String} [options.resumeSince] - Повтор из очереди: ISO-время постановки задачи
+ * @returns {Promise<Object>} - route, entities, planned (пары [ключ, шаг], включая найденные сущности)
+ *   и steps — только шаги, которые нужно отправить в Bitrix
+ */
+async function planCrmPipeline(data, { lookup = true, mappings = null, traces = null, resumeSince = null } = {}) {
+  const route = evaluateRoutingRules(data);
+  const plan = { route, entities: [], planned: [], steps: {} };
+
+  if (route.action === 'skip') {
+    return plan;
+  }
+
+  plan.entities = getRouteEntities(route);
+  log.debug(`Сущности: ${plan.entities.join(' → ')}`, { entities: plan.entities });
+
+  const entityOptions = (entity) => ({
+    fields: route.fields[entity],
+    mapping: mappings?.[entity],
+    trace: traces ? (traces[entity] = []) : null,
+    lookup
+  });
+
+  const { planned, steps } = plan;
+  let contactLink = null;
+  let leadLink = null;
+
+  if (plan.entities.includes('contact')) {
+    const contact = await planContact(data, entityOptions('contact'));
+    if (contact) {
+      planned.push(['contact', contact]);
+    }
+    if (contact?.action === 'linked') {
+      contactLink = contact.entityId;
+    } else if (contact) {
+      steps.contact = contact;
+      contactLink = '$result[contact]';
+    }
+  }
+
+  if (plan.entities.includes('lead')) {
+    const lead = await planLead(data, { ...entityOptions('lead'), contactId: contactLink, resumeSince });
+    planned.push(['lead', lead]);
+    if (lead.method) {
+      steps.lead = lead;
+    }
+    if (lead.entityType === 'lead') {
+      leadLink = lead.entityId || '$result[lead]';
+    }
+  }
+
+  if (plan.entities.includes('deal')) {
+    const deal = planDeal(data, { contactId: contactLink, leadId: leadLink }, entityOptions('deal'));
+    const createdId = deal && resumeSince ? await findCreatedDeal({ contactId: contactLink, leadId: leadLink }, resumeSince) : null;
+    if (createdId) {
+      log.warn(`Сделка ${createdId} уже создана предыдущей попыткой, повторно не создаем`, { dealId: createdId });
+      planned.push(['deal', { action: 'created', entityType: 'deal', entityId: createdId }]);
+    } else if (deal) {
+      planned.push(['deal', deal]);
+      steps.deal = deal;
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Записывает звонок в CRM согласно CRM_PIPELINE.
+ * Сначала ищем существующие записи, затем все изменения отправляем одним batch:
+ * новые лид и сделка ссылаются на созданный в том же запросе контакт через $result[contact].
+ * @param {Object} data - Данные вебхука
+ * @param {Object} [options]
+ * @param {String} [options.resumeSince] - Повтор из очереди: ISO-время постановки задачи
+ * @returns {Promise<Object>} - Результат лида (action, entityType, entityId, leadId),
+ *   ID контакта и сделки, список всех затронутых сущностей в entities и сработавшее правило в rule
+ */
+async function runCrmPipeline(data, { resumeSince = null } = {}) {
+  const { route, planned, steps } = await planCrmPipeline(data, { resumeSince });
+
+  if (route.action === 'skip') {
+    log.info(`Звонок пропущен по правилу "${route.rule}"`, { rule: route.rule, action: 'skipped' });
+    return {
+      success: true,
+      action: 'skipped',
+      rule: route.rule,
+      entities: []
+    };
+  }
+
+  const result = {
+    success: true,
+    rule: route.rule,
+    action: null,
+    entityType: null,
+    entityId: null,
+    leadId: null,
+    contactId: null,
+    dealId: null,
+    entities: []
+  };
+
+  const { results, response } = Object.keys(steps).length > 0
+    ? await executeSteps(steps)
+    : { results: {}, response: null };
+
+  for (const [key, step] of planned) {
+    const id = getStepEntityId(key, step, results);
+    result.entities.push({ type: step.entityType, id, action: step.action });
+
+    if (key === 'contact') {
+      result.contactId = id;
+    } else if (key === 'lead') {
+      Object.assign(result, {
+        action: step.action,
+        entityType: step.entityType,
+        entityId: id,
+        leadId: step.entityType === 'lead' ? id : null
+      });
+    } else {
+      result.dealId = id;
+    }
+  }
+
+  log.info(`Звонок записан в CRM: ${result.entities.map(e => `${e.type} ${e.id} (${e.action})`).join(', ') || 'нет изменений'}`);
+
+  const owner = getOwnerEntity(result);
+  result.callback = await createCallbackReminder(data, owner, {
+    responsibleId: steps.lead?.params.fields?.ASSIGNED_BY_ID
+  });
+  Object.assign(result, scheduleCallMedia(data, owner));
+  result.data = response;
+  return result;
+}
+
+/**
+ * Пробный прогон пайплайна: запросы, которые ушли бы в Bitrix, и трассировка маппинга по полям.
+ * Ничего не создает и не меняет. Без lookup в Bitrix не обращается вовсе: существующие
+ * контакт и лид не ищутся, поэтому при LEAD_MATCH_STRATEGY=update|comment реальный запрос может отличаться.
+ * Несколько запросов отправляются одним batch, ссылки между ними — '$result[contact]', '$result[lead]'.
+ * Напоминание о договоренности (ключ callback) отправляется после batch отдельным запросом.
+ * @param {Object} data - Данные вебхука
+ * @param {Object} [options]
+ * @param {Boolean} [options.lookup=false] - Выполнить поиск дублей (только чтение из Bitrix)
+ * @param {Object} [options.mappings] - Версия маппинга вместо текущей (см. buildMappingVersion)
+ * @returns {Promise<Object>} - rule, action ('skipped' | 'planned'), entities, lookup, batch,
+ *   requests [{ key, method, params, action }] и traces по сущностям
+ */
+async function dryRunCrmPipeline(data, { lookup = false, mappings = null } = {}) {
+  const traces = {};
+  const { route, entities, planned, steps } = await planCrmPipeline(data, { lookup, mappings, traces });
+
+  if (route.action === 'skip') {
+    return { rule: route.rule, action: 'skipped', entities: [], lookup, batch: false, requests: [], traces: {} };
+  }
+
+  // Напоминание уходит отдельным запросом после batch: вместо ID новых сущностей — ссылки '$result[…]'
+  const ids = Object.fromEntries(planned.map(([key, step]) => [key, step.entityId || `$result[${key}]`]));
+  const lead = steps.lead;
+  const callback = planCallbackReminder(data, getOwnerEntity({
+    leadId: lead?.entityType === 'lead' ? ids.lead : null,
+    entityType: lead?.entityType,
+    entityId: ids.lead,
+    dealId: ids.deal,
+    contactId: ids.contact
+  }), { responsibleId: lead?.params.fields?.ASSIGNED_BY_ID });
+
+  return {
+    rule: route.rule,
+    action: 'planned',
+    entities: planned.map(([, step]) => ({ type: step.entityType, id: step.entityId, action: step.action })),
+    lookup,
+    batch: Object.keys(steps).length > 1,
+    requests: Object.entries(steps).map(([key, step]) => ({
+      key,
+      method: step.method,
+      params: step.params,
+      action: step.action
+    })).concat(callback ? [{ key: 'callback', method: callback.method, params: callback.params, action: 'created' }] : []),
+    traces: Object.fromEntries(entities.filter(entity => traces[entity]).map(entity => [entity, traces[entity]]))
+  };
+}
+
+/**
+ * Маппинг звонка без обращения к Bitrix: какие поля ушли бы в CRM при текущих
+ * маппинге, правилах маршрутизации и CRM_PIPELINE тенанта. Поиск дублей по телефону
+ * не выполняется, поэтому ссылки на контакт и лид в полях не проставлены.
+ * @param {Object} data - Данные вебхука
+ * @returns {Object} - rule, action ('skipped' | 'mapped'), entities и fields по сущностям
+ */
+function previewCrmMapping(data) {
+  const route = evaluateRoutingRules(data);
+
+  if (route.action === 'skip') {
+    return { rule: route.rule, action: 'skipped', entities: [], fields: {} };
+  }
+
+  const entities = getRouteEntities(route).filter(entity => entity !== 'deal' || isDealAllowed(data));
+  const fields = Object.fromEntries(entities.map(entity => [
+    entity,
+    { ...applyMapping(data, getMapping(entity)), ...route.fields[entity] }
+  ]));
+
+  return { rule: route.rule, action: 'mapped', entities, fields };
+}
+
+module.exports = {
+  runCrmPipeline,
+  dryRunCrmPipeline,
+  previewCrmMapping,
+  getPipelineEntities
+};
@@ -0,0 +1,314 @@
+const { getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+/**
+ * Даты с учетом часовых поясов IANA: разбор времени из вебхука, вывод для людей и для Bitrix
+ *
+ * Часовой пояс звонка (resolveTimezone):
+ * 1. пояс клиента по DaData — contact.dadataPhoneInfo.timezone ("UTC+5", "UTC+5:30", "Asia/Yekaterinburg"),
+ *    а если его нет — по региону (contact.dadataPhoneInfo.region);
+ * 2. иначе TIMEZONE тенанта (по умолчанию Europe/Moscow).
+ * TIMEZONE_FROM_CONTACT=false — всегда выводить время в поясе тенанта.
+ *
+ * Время договоренности приходит в двух видах:
+ * - agreements_time — UTC без указания пояса ("2026-02-17 18:33:00");
+ * - agreements_time_local — то же время по часам клиента, тоже без пояса.
+ * Если есть agreements_time, берем его; местное время переводим по поясу клиента.
+ *
+ * Пояс — имя IANA или фиксированное смещение "+05:30": в Etc/GMT есть только целые часы,
+ * а Intl не везде понимает смещения, поэтому такие пояса считаем сами.
+ */
+
+const log = createLogger('DATETIME');
+
+const DEFAULT_TIMEZONE = 'Europe/Moscow';
+
+// Пояса, живущие по московскому времени: подпись "по МСК" — только им, а не всем UTC+3 (Минск, Стамбул)
+const MOSCOW_TIMEZONES = ['Europe/Moscow', 'Europe/Simferopol', 'Europe/Kirov', 'Europe/Volgograd', 'W-SU'];
+
+// Регионы не в московском поясе: часть названия региона DaData → пояс.
+// Важен порядок и границы: "омск" — часть слова "томск"
+const REGION_TIMEZONES = [
+  [/калининград/, 'Europe/Kaliningrad'],
+  [/самар|удмурт|ульяновск|астрахан|саратов/, 'Europe/Samara'],
+  [/свердловск|екатеринбург|челябинск|тюмен|курган|перм|оренбург|башкорт|ханты|ямало/, 'Asia/Yekaterinburg'],
+  [/томск/, 'Asia/Tomsk'],
+  [/(^|[^т])омск/, 'Asia/Omsk'],
+  [/новосибирск|кемеров|кузбасс|алтай/, 'Asia/Novosibirsk'],
+  [/красноярск|хакаси|тыва/, 'Asia/Krasnoyarsk'],
+  [/иркутск|бурят/, 'Asia/Irkutsk'],
+  [/якут|саха|забайкал|амурск/, 'Asia/Yakutsk'],
+  [/хабаровск|приморск|еврейск/, 'Asia/Vladivostok'],
+  [/магадан|сахалин/, 'Asia/Magadan'],
+  [/камчат|чукот/, 'Asia/Kamchatka']
+];
+
+// "2026-02-17 18:33", "2026-02-17T18:33:00.000" — без пояса
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+// Фиксированное смещение, к которому parseTimezone приводит "UTC+5:30"
+const FIXED_OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Смещение фиксированного пояса "+05:30" в минутах
+ * @param {String} timezone
+ * @returns {Number|null} - null, если это не фиксированное смещение
+ */
+function getFixedOffset(timezone) {
+  const match = FIXED_OFFSET_PATTERN.exec(timezone || '');
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Проверяет имя пояса IANA или фиксированное смещение "+05:30"
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+function isValidTimezone(timezone) {
+  if (getFixedOffset(timezone) !== null) {
+    return true;
+  }
+  try {
+    return Boolean(timezone) && Boolean(getFormatter(timezone));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Пояс из строки DaData: "UTC+5", "GMT+05:00", "UTC+5:30", "+03:30", "UTC+3/UTC+4" (берем первый) или имя IANA
+ * @param {String} value
+ * @returns {String|null} - Имя IANA или фиксированное смещение "+05:30", если минут не ноль
+ */
+function parseTimezone(value) {
+  const raw = String(value || '').trim();
+  const text = raw.match(/^(?:UTC|GMT)[^/]*/i)?.[0].trim() || raw;
+  if (!text) {
+    return null;
+  }
+
+  const offset = text.match(/^(?:UTC|GMT)?\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (offset) {
+    const hours = Number(offset[2]);
+    const minutes = Number(offset[3] || 0);
+    if (hours > 14 || minutes >= 60) {
+      return null;
+    }
+    if (minutes > 0) {
+      return `${offset[1]}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    // В Etc/GMT знак обратный: UTC+5 — Etc/GMT-5
+    return hours === 0 ? 'Etc/UTC' : `Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`;
+  }
+  if (/^(?:UTC|GMT)$/i.test(text)) {
+    return 'Etc/UTC';
+  }
+
+  return isValidTimezone(text) ? text : null;
+}
+
+/**
+ * Пояс TIMEZONE тенанта
+ * @returns {String}
+ */
+function getTenantTimezone() {
+  const timezone = getTenantSetting('TIMEZONE') || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    log.warn(`Неизвестный часовой пояс TIMEZONE="${timezone}", используется ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+  return timezone;
+}
+
+/**
+ * Пояс клиента по DaData: сначала timezone, затем регион
+ * @param {Object} data - Данные вебхука
+ * @returns {String|null}
+ */
+function getClientTimezone(data) {
+  const info = data?.contact?.dadataPhoneInfo;
+  const fromTimezone = parseTimezone(info?.timezone);
+  if (fromTimezone) {
+    return fromTimezone;
+  }
+
+  const region = String(info?.region || '').toLowerCase();
+  const match = region && REGION_TIMEZONES.find(([pattern]) => pattern.test(region));
+  return match ? match[1] : null;
+}
+
+/**
+ * Пояс, в котором показывать время звонка
+ * @param {Object} data - Данные вебхука
+ * @returns {String}
+ */
+function resolveTimezone(data) {
+  const fromContact = getTenantSetting('TIMEZONE_FROM_CONTACT') !== 'false';
+  return (fromContact && getClientTimezone(data)) || getTenantTimezone();
+}
+
+/**
+ * Части даты по часам пояса
+ */
+function getZonedParts(date, timezone) {
+  const fixedOffset = getFixedOffset(timezone);
+  if (fixedOffset !== null) {
+    const iso = new Date(date.getTime() + fixedOffset * 60000).toISOString();
+    return {
+      year: iso.slice(0, 4),
+      month: iso.slice(5, 7),
+      day: iso.slice(8, 10),
+      hour: iso.slice(11, 13),
+      minute: iso.slice(14, 16),
+      second: iso.slice(17, 19)
+    };
+  }
+
+  const parts = Object.fromEntries(getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Смещение пояса от UTC в минутах на момент date
+ */
+function getOffsetMinutes(date, timezone) {
+  const fixedOffset = getFixedOffset(timezone);
+  if (fixedOffset !== null) {
+    return fixedOffset;
+  }
+
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Разбирает дату. Строка со смещением или Z — точный момент; без пояса — время по часам timezone
+ * @param {String|Number|Date} value
+ * @param {Object} [options]
+ * @param {String} [options.timezone='Etc/UTC'] - Пояс для строк без смещения
+ * @returns {Date|null}
+ */
+function parseDate(value, { timezone = 'Etc/UTC' } = {}) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const text = String(value).trim();
+  const wall = text.match(WALL_TIME_PATTERN);
+
+  if (!wall || OFFSET_PATTERN.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = wall;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Смещение берем на сам момент: при переходе на летнее время оно может отличаться от первой оценки
+  const first = asUtc - getOffsetMinutes(new Date(asUtc), timezone) * 60000;
+  const date = new Date(asUtc - getOffsetMinutes(new Date(first), timezone) * 60000);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Момент договоренности: agreements_time (UTC) или agreements_time_local (по часам клиента)
+ * @param {Object} agreements - call.agreements
+ * @param {Object} data - Данные вебхука (пояс клиента для agreements_time_local)
+ * @returns {Date|null}
+ */
+function getAgreementsDate(agreements, data) {
+  if (agreements?.agreements_time) {
+    return parseDate(agreements.agreements_time);
+  }
+  if (agreements?.agreements_time_local) {
+    const timezone = getClientTimezone(data) || getTenantTimezone();
+    return parseDate(agreements.agreements_time_local, { timezone });
+  }
+  return null;
+}
+
+/**
+ * Подпись пояса: "по МСК" или "(UTC+5)"
+ */
+function getTimezoneLabel(date, timezone) {
+  if (MOSCOW_TIMEZONES.includes(timezone)) {
+    return 'по МСК';
+  }
+
+  const offset = getOffsetMinutes(date, timezone);
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  const sign = offset < 0 ? '-' : '+';
+  return offset === 0 ? '(UTC)' : `(UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''})`;
+}
+
+/**
+ * Дата для людей: DD.MM.YYYY HH:mm с подписью пояса
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String}
+ */
+function formatDate(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.day}.${p.month}.${p.year} ${p.hour}:${p.minute} ${getTimezoneLabel(date, timezone)}`;
+}
+
+/**
+ * Дата для полей Bitrix типа "дата/время": ISO 8601 со смещением пояса (2026-02-17T21:33:00+03:00)
+ * @param {Date} date
+ * @param {String} timezone
+ * @returns {String}
+ */
+function toBitrixDateTime(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const offset = getOffsetMinutes(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${sign}${hours}:${minutes}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseTimezone,
+  getClientTimezone,
+  resolveTimezone,
+  parseDate,
+  getAgreementsDate,
+  formatDate,
+  toBitrixDateTime
+};
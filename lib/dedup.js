@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { getEventType, DEFAULT_EVENT } = require('./payload-schema');
+const { tenantScopedKey } = require('./tenants');
+const { parsePhone } = require('./phone');
+
+/**
+ * Дедупликация доставок вебхуков
+ *
+ * Sasha AI повторяет вебхук при не-2xx ответе или таймауте. Чтобы повтор не создавал
+ * второй лид, запоминаем ключ звонка и результат его обработки в DATA_DIR/dedup.json.
+ *
+ * Ключ — call.id из payload, а если его нет — хэш телефона и call.startedAt (для SMS — sms.sentAt).
+ * Для событий, кроме завершенного звонка, к ключу добавляется тип события,
+ * а для тенантов, кроме default, — id тенанта.
+ * Записи хранятся DEDUP_TTL_DAYS дней (по умолчанию 30).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Вычисляет ключ дедупликации для данных вебхука
+ * @param {Object} data - Данные вебхука
+ * @returns {String|null} - Ключ или null, если звонок нельзя однозначно определить
+ */
+function getDeliveryKey(data) {
+  const event = getEventType(data);
+  const prefix = event === DEFAULT_EVENT ? '' : `${event}:`;
+
+  const callId = data?.call?.id;
+  if (callId !== undefined && callId !== null && callId !== '') {
+    return tenantScopedKey(`${prefix}call:${callId}`);
+  }
+
+  // Цифры E.164: 8 900… и +7 900… — один и тот же звонок
+  const phone = parsePhone(data?.contact?.phone)?.digits;
+  const startedAt = data?.call?.startedAt || data?.sms?.sentAt;
+  if (!phone || !startedAt) {
+    return null;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${phone}|${startedAt}`)
+    .digest('hex');
+  return tenantScopedKey(`${prefix}hash:${hash}`);
+}
+
+/**
+ * Создает реестр обработанных звонков
+ * @returns {Object} - API дедупликации
+ */
+function createDedupRegistry() {
+  const ttlDays = parseInt(process.env.DEDUP_TTL_DAYS, 10) || 30;
+  const store = createJsonStore('dedup.json', { entries: {} });
+  let entries = store.read().entries;
+
+  function save() {
+    const expireBefore = Date.now() - ttlDays * DAY_MS;
+    for (const [key, entry] of Object.entries(entries)) {
+      if (Date.parse(entry.updatedAt) < expireBefore) {
+        delete entries[key];
+      }
+    }
+    store.write({ entries });
+  }
+
+  function get(key) {
+    return key ? entries[key] || null : null;
+  }
+
+  /**
+   * Помечает звонок как принятый в обработку
+   * @param {String} key
+   * @param {String} jobId - ID задачи в очереди доставки
+   */
+  function markPending(key, jobId) {
+    if (!key) return;
+    const now = new Date().toISOString();
+    entries[key] = { status: 'pending', jobId, createdAt: now, updatedAt: now };
+    save();
+  }
+
+  /**
+   * Запоминает результат обработки звонка
+   * @param {String} key
+   * @param {Object} result - Что вернуть на повторную доставку (leadId и т.д.)
+   */
+  function markDone(key, result) {
+    if (!key) return;
+    const now = new Date().toISOString();
+    entries[key] = {
+      ...entries[key],
+      status: 'done',
+      result,
+      createdAt: entries[key]?.createdAt || now,
+      updatedAt: now
+    };
+    save();
+  }
+
+  return {
+    get,
+    markPending,
+    markDone
+  };
+}
+
+module.exports = {
+  createDedupRegistry,
+  getDeliveryKey
+};
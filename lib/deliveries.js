@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { getLogContext, redact } = require('./logger');
+const { getEventType } = require('./payload-schema');
+const { getOutcomeByStatus } = require('./metrics');
+
+/**
+ * Журнал последних доставок вебхуков (для /admin/deliveries и страницы /admin/ui)
+ *
+ * На каждый принятый вебхук — запись с id, который выдает сервер (UUID): payload, результат
+ * маппинга по сущностям, ответ Bitrix или ошибка, статус и история попыток из очереди.
+ * requestId хранится отдельным полем: его может задать клиент (X-Request-Id), и повторы
+ * с тем же значением не должны затирать друг друга. Маппинг и попытки находят свою запись
+ * по jobId задачи из контекста логов, поэтому пайплайну не нужно передавать журнал по цепочке вызовов.
+ *
+ * Payload хранится как есть (нужен для повторной отправки), а наружу отдается через redact()
+ * с теми же правилами, что и в логах (LOG_REDACT, LOG_REDACT_KEYS).
+ *
+ * Настройки:
+ * - DELIVERY_LOG_SIZE: сколько последних доставок хранить в DATA_DIR/deliveries.json
+ *   (по умолчанию 200, 0 — журнал отключен)
+ * - DELIVERY_LOG_FLUSH_MS: изменения за это время пишутся на диск одной записью (по умолчанию 1000).
+ *   При остановке по SIGTERM/SIGINT server.js дописывает их через flushDeliveries();
+ *   при аварийном завершении теряются изменения последнего интервала
+ *
+ * Статусы: received → invalid | ignored | duplicate | queued → retry → processed | dead_letter
+ */
+
+const MAX_ATTEMPTS_KEPT = 10;
+
+let store = null;
+let entries = null;
+let flushTimer = null;
+
+function getLimit() {
+  const value = parseInt(process.env.DELIVERY_LOG_SIZE, 10);
+  return Number.isFinite(value) && value >= 0 ? value : 200;
+}
+
+function getEntries() {
+  if (!entries) {
+    store = createJsonStore('deliveries.json', { entries: [] });
+    entries = store.read().entries;
+  }
+  return entries;
+}
+
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  store.write({ entries });
+}
+
+/**
+ * Обрезает журнал до DELIVERY_LOG_SIZE и откладывает запись на диск:
+ * на один вебхук приходится несколько изменений (прием, маппинг, попытки, HTTP-статус)
+ */
+function save() {
+  const limit = getLimit();
+  if (entries.length > limit) {
+    entries.splice(0, entries.length - limit);
+  }
+  if (flushTimer) return;
+
+  const value = parseInt(process.env.DELIVERY_LOG_FLUSH_MS, 10);
+  const delayMs = Number.isFinite(value) && value >= 0 ? value : 1000;
+  flushTimer = setTimeout(flush, delayMs);
+  // Таймер не держит процесс, а при обычном завершении изменения дописываются
+  flushTimer.unref();
+}
+
+/**
+ * Сразу записывает на диск отложенные изменения журнала (при остановке сервера)
+ */
+function flushDeliveries() {
+  if (flushTimer) flush();
+}
+
+process.once('exit', flushDeliveries);
+
+function findEntry(id) {
+  return id ? getEntries().find(entry => entry.id === id) || null : null;
+}
+
+/**
+ * Последняя запись задачи очереди (после повтора из /admin у задачи новая запись)
+ * @param {String} jobId
+ * @returns {Object|null}
+ */
+function findJobEntry(jobId) {
+  return jobId ? getEntries().findLast(entry => entry.jobId === jobId) || null : null;
+}
+
+/**
+ * Создает запись о доставке
+ * @param {Object} data - Распарсенные данные вебхука
+ * @param {Object} options
+ * @param {String} options.tenantId
+ * @param {String} [options.id] - ID записи (req.deliveryId из trackDelivery), по умолчанию новый UUID
+ * @param {String} [options.status='received']
+ * @param {String} [options.jobId]
+ * @param {String} [options.replayOf] - id доставки, которую отправили повторно
+ * @returns {Object|null} - Запись или null, если журнал отключен
+ */
+function startDelivery(data, { tenantId = DEFAULT_TENANT_ID, id, status = 'received', jobId = null, replayOf = null } = {}) {
+  if (getLimit() === 0) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: id || crypto.randomUUID(),
+    requestId: getLogContext().requestId || null,
+    tenantId,
+    receivedAt: now,
+    updatedAt: now,
+    event: getEventType(data),
+    callId: data?.call?.id ?? null,
+    status,
+    httpStatus: null,
+    jobId,
+    replayOf,
+    payload: data,
+    errors: null,
+    mapping: {},
+    result: null,
+    bitrix: null,
+    attempts: []
+  };
+
+  getEntries().push(entry);
+  save();
+  return entry;
+}
+
+/**
+ * Обновляет поля записи
+ * @param {String} id
+ * @param {Object} fields
+ */
+function updateDelivery(id, fields) {
+  const entry = findEntry(id);
+  if (!entry) return;
+
+  Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+  save();
+}
+
+/**
+ * Запоминает результат маппинга сущности для текущей доставки (по jobId из контекста)
+ * @param {String} entity - contact | lead | deal
+ * @param {Object} fields - Поля Bitrix после маппинга
+ */
+function recordDeliveryMapping(entity, fields) {
+  const entry = findJobEntry(getLogContext().jobId);
+  if (!entry) return;
+
+  entry.mapping = { ...entry.mapping, [entity]: fields };
+  save();
+}
+
+/**
+ * Запоминает итог попытки доставки из очереди
+ * @param {Object} job - Задача очереди
+ * @param {Object} outcome - { status: 'done' | 'retry' | 'dead-letter', result?, error? }
+ */
+function recordDeliveryAttempt(job, outcome) {
+  const entry = findJobEntry(job.id);
+  if (!entry) return;
+
+  const status = { done: 'processed', retry: 'retry', 'dead-letter': 'dead_letter' }[outcome.status];
+  const at = new Date().toISOString();
+  const error = outcome.error
+    ? {
+      message: outcome.error.message || String(outcome.error),
+      code: outcome.error.code,
+      kind: outcome.error.kind,
+      status: outcome.error.status
+    }
+    : null;
+
+  entry.attempts = [...entry.attempts, { at, status, error: error?.message }].slice(-MAX_ATTEMPTS_KEPT);
+  entry.status = status;
+  entry.updatedAt = at;
+
+  if (outcome.result) {
+    const { data: response, ...summary } = outcome.result;
+    entry.result = summary;
+    entry.bitrix = { ok: true, response: response ?? null };
+  } else if (error) {
+    entry.bitrix = { ok: false, error };
+  }
+
+  save();
+}
+
+/**
+ * Express middleware: выдает запросу ID записи журнала (req.deliveryId), а по завершении ответа
+ * проставляет записи HTTP-статус и исход приема (если очередь еще не обновила статус сама)
+ */
+function trackDelivery(req, res, next) {
+  req.deliveryId = crypto.randomUUID();
+
+  res.on('finish', () => {
+    const entry = findEntry(req.deliveryId);
+    if (!entry) return;
+
+    entry.httpStatus = res.statusCode;
+    if (entry.status === 'received') {
+      entry.status = res.locals.webhookOutcome || getOutcomeByStatus(res.statusCode);
+    }
+    entry.updatedAt = new Date().toISOString();
+    save();
+  });
+  next();
+}
+
+/**
+ * Последние доставки без payload, новые первыми
+ * @param {Object} [filter]
+ * @param {String} [filter.tenantId]
+ * @param {String} [filter.status]
+ * @param {Number} [filter.limit=50]
+ * @returns {Object[]}
+ */
+function getDeliveries({ tenantId, status, limit = 50 } = {}) {
+  return getEntries()
+    .filter(entry => (!tenantId || entry.tenantId === tenantId) && (!status || entry.status === status))
+    .slice(-limit)
+    .reverse()
+    .map(({ payload, mapping, result, bitrix, attempts, errors, ...summary }) => ({
+      ...summary,
+      attempts: attempts.length,
+      lastError: attempts.length > 0 ? attempts[attempts.length - 1].error || null : null
+    }));
+}
+
+/**
+ * Доставка целиком; персональные данные скрыты по правилам логов
+ * @param {String} id
+ * @returns {Object|null}
+ */
+function getDelivery(id) {
+  const entry = findEntry(id);
+  return entry ? redact(entry) : null;
+}
+
+/**
+ * Исходный payload доставки (для повторной отправки)
+ * @param {String} id
+ * @returns {Object|null}
+ */
+function getDeliveryPayload(id) {
+  return findEntry(id)?.payload || null;
+}
+
+module.exports = {
+  startDelivery,
+  updateDelivery,
+  recordDeliveryMapping,
+  recordDeliveryAttempt,
+  trackDelivery,
+  getDeliveries,
+  getDelivery,
+  getDeliveryPayload,
+  flushDeliveries
+};
@@ -0,0 +1,182 @@
+const { callBitrix } = require('./bitrix');
+const { findEntityByPhone } = require('./lead-matching');
+const { runCrmPipeline } = require('./crm-pipeline');
+const { formatDuration } = require('./format');
+const { resolveTimezone, getAgreementsDate, formatDate } = require('./datetime');
+const { normalizePhone } = require('./phone');
+const { DEFAULT_EVENT } = require('./payload-schema');
+const { createLogger } = require('./logger');
+
+/**
+ * Обработчики событий Sasha AI
+ *
+ * - call.completed: звонок завершен → пайплайн CRM (контакт/лид/сделка)
+ * - call.started: звонок начался → только логируем
+ * - call.failed, call.no_answer: недозвон → дело (звонок) в существующем лиде
+ * - sms.sent: отправлено SMS → комментарий в таймлайне существующего лида
+ * - agreement.updated: договоренности изменились → комментарий в таймлайне лида
+ * Недозвон, SMS и обновление договоренностей новый лид не создают: если лида
+ * с этим телефоном нет, событие пропускается.
+ */
+
+const log = createLogger('EVENTS');
+
+const CRM_OWNER_TYPE_LEAD = 1;
+const CRM_ACTIVITY_TYPE_CALL = 2;
+const CRM_ACTIVITY_DIRECTION_OUTGOING = 2;
+
+/**
+ * Находит лид по телефону из contact.phone
+ * @returns {Promise<{ phone: String|null, leadId: Number|null }>}
+ */
+async function findLeadForEvent(data) {
+  const phone = normalizePhone(data.contact?.phone);
+  const leadId = phone ? await findEntityByPhone('lead', phone) : null;
+  return { phone, leadId };
+}
+
+function skipped(event, reason) {
+  log.info(`${event}: ${reason}`, { event, action: 'skipped' });
+  return { success: true, event, action: 'skipped', reason, entities: [] };
+}
+
+async function addTimelineComment(event, leadId, comment) {
+  const response = await callBitrix('crm.timeline.comment.add', {
+    fields: {
+      ENTITY_ID: leadId,
+      ENTITY_TYPE: 'lead',
+      COMMENT: comment
+    }
+  });
+
+  log.info(`${event}: комментарий добавлен в лид ${leadId}`, { event, leadId });
+  return {
+    success: true,
+    event,
+    action: 'commented',
+    entityType: 'lead',
+    entityId: leadId,
+    leadId,
+    entities: [{ type: 'lead', id: leadId, action: 'commented' }],
+    data: response
+  };
+}
+
+async function handleCallCompleted(data, options) {
+  return { event: DEFAULT_EVENT, ...await runCrmPipeline(data, options) };
+}
+
+async function handleCallStarted(data) {
+  log.info(`call.started: звонок ${data.call?.id || '—'} начался`, { event: 'call.started', callId: data.call?.id });
+  return { success: true, event: 'call.started', action: 'logged', entities: [] };
+}
+
+async function handleCallFailed(data) {
+  const event = data.event;
+  const { phone, leadId } = await findLeadForEvent(data);
+
+  if (!leadId) {
+    return skipped(event, `лид с телефоном ${phone || '—'} не найден`);
+  }
+
+  const subject = event === 'call.no_answer' ? 'ИИ: недозвон (нет ответа)' : 'ИИ: звонок не состоялся';
+  const reason = data.call?.failReason || data.call?.status;
+  const response = await callBitrix('crm.activity.add', {
+    fields: {
+      OWNER_TYPE_ID: CRM_OWNER_TYPE_LEAD,
+      OWNER_ID: leadId,
+      TYPE_ID: CRM_ACTIVITY_TYPE_CALL,
+      DIRECTION: CRM_ACTIVITY_DIRECTION_OUTGOING,
+      SUBJECT: subject,
+      DESCRIPTION: [
+        `Время звонка: ${data.call?.startedAt || '—'}`,
+        `Длительность: ${formatDuration(data.call?.duration)}`,
+        reason ? `Причина: ${reason}` : null
+      ].filter(Boolean).join('\n'),
+      COMPLETED: 'Y',
+      START_TIME: data.call?.startedAt || new Date().toISOString(),
+      COMMUNICATIONS: [{ VALUE: phone, ENTITY_ID: leadId, ENTITY_TYPE_ID: CRM_OWNER_TYPE_LEAD }]
+    }
+  });
+
+  log.info(`${event}: дело ${response.result} добавлено в лид ${leadId}`, { event, leadId, activityId: response.result });
+  return {
+    success: true,
+    event,
+    action: 'activity',
+    entityType: 'lead',
+    entityId: leadId,
+    leadId,
+    activityId: response.result,
+    entities: [{ type: 'activity', id: response.result, action: 'created' }],
+    data: response
+  };
+}
+
+async function handleSmsSent(data) {
+  const { phone, leadId } = await findLeadForEvent(data);
+  if (!leadId) {
+    return skipped('sms.sent', `лид с телефоном ${phone || '—'} не найден`);
+  }
+
+  return addTimelineComment('sms.sent', leadId, `ИИ отправил SMS клиенту:\n${data.sms.text}`);
+}
+
+async function handleAgreementUpdated(data) {
+  const { phone, leadId } = await findLeadForEvent(data);
+  if (!leadId) {
+    return skipped('agreement.updated', `лид с телефоном ${phone || '—'} не найден`);
+  }
+
+  const agreements = data.call.agreements;
+  const timezone = resolveTimezone(data);
+  const agreementsDate = getAgreementsDate(agreements, data);
+  const comment = [
+    'Договоренности обновлены:',
+    agreements.agreements || '—',
+    agreementsDate ? `Время: ${formatDate(agreementsDate, timezone)}` : null
+  ].filter(Boolean).join('\n');
+
+  return addTimelineComment('agreement.updated', leadId, comment);
+}
+
+const EVENT_HANDLERS = {
+  'call.completed': handleCallCompleted,
+  'call.started': handleCallStarted,
+  'call.failed': handleCallFailed,
+  'call.no_answer': handleCallFailed,
+  'sms.sent': handleSmsSent,
+  'agreement.updated': handleAgreementUpdated
+};
+
+/**
+ * Есть ли обработчик для типа события
+ * @param {String} event
+ * @returns {Boolean}
+ */
+function hasEventHandler(event) {
+  return Object.prototype.hasOwnProperty.call(EVENT_HANDLERS, event);
+}
+
+/**
+ * Обрабатывает событие Sasha AI своим обработчиком
+ * @param {String} event - Тип события (getEventType())
+ * @param {Object} data - Данные вебхука
+ * @param {Object} [options]
+ * @param {String} [options.resumeSince] - Повтор из очереди: не создавать то, что успела создать
+ *   предыдущая попытка (см. runCrmPipeline)
+ * @returns {Promise<Object>} - Результат: event, action, entities и т.д.
+ */
+async function handleEvent(event, data, options = {}) {
+  if (!hasEventHandler(event)) {
+    return skipped(event, 'неизвестный тип события');
+  }
+
+  log.debug(`Обработка события ${event}`, { event });
+  return EVENT_HANDLERS[event]({ ...data, event }, options);
+}
+
+module.exports = {
+  handleEvent,
+  hasEventHandler
+};
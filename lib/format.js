@@ -0,0 +1,18 @@
+/**
+ * Форматирование значений для CRM: длительность.
+ * Телефоны нормализуются в lib/phone.js, даты — в lib/datetime.js.
+ * Используется в преобразованиях маппинга (lib/transforms.js) и фильтрах шаблонов (lib/template.js)
+ */
+
+// Форматирование длительности (миллисекунды → MM:SS)
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  const totalSec = Math.floor(ms / 1000);
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+module.exports = {
+  formatDuration
+};
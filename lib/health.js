@@ -0,0 +1,117 @@
+const express = require('express');
+const fs = require('fs');
+const { getDataDir } = require('./store');
+const { callBitrix, getBitrixConfigErrors } = require('./bitrix');
+const { getTenants, runWithTenant } = require('./tenants');
+const { registry } = require('./metrics');
+
+/**
+ * Служебные endpoint'ы для оркестратора и мониторинга
+ *
+ * - GET /healthz — процесс жив (для HEALTHCHECK в Dockerfile)
+ * - GET /readyz — сервис готов принимать вебхуки: у тенантов настроено подключение к Bitrix
+ *   (BITRIX_WEBHOOK_URL или установленное OAuth-приложение), DATA_DIR доступен на запись, воркер очереди запущен. С ?bitrix=1 или
+ *   READYZ_CHECK_BITRIX=true дополнительно проверяется, что порталы Bitrix отвечают
+ *   (метод server.time, таймаут READYZ_BITRIX_TIMEOUT_MS, по умолчанию 3000). Запрос идет без повторов
+ *   и вне лимита частоты доставок, а результат кэшируется на READYZ_BITRIX_CACHE_SEC (по умолчанию 30):
+ *   частый опрос /readyz не расходует лимит запросов Bitrix
+ * - GET /metrics — метрики в формате Prometheus (см. lib/metrics.js)
+ */
+
+function checkConfig() {
+  const errors = getTenants().flatMap(tenant => runWithTenant(tenant, () => getBitrixConfigErrors())
+    .map(error => `${tenant.id}: ${error}`));
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true };
+}
+
+function checkDataDir() {
+  try {
+    fs.accessSync(getDataDir(), fs.constants.W_OK);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: `DATA_DIR недоступен на запись: ${error.code || error.message}` };
+  }
+}
+
+/**
+ * Проверяет, что портал тенанта отвечает на server.time
+ */
+async function checkBitrixTenant(tenant, timeoutMs) {
+  const startedAt = Date.now();
+
+  try {
+    await runWithTenant(tenant, () => callBitrix('server.time', {}, { probe: true, timeoutMs }));
+    return { ok: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+async function runBitrixCheck() {
+  const timeoutMs = parseInt(process.env.READYZ_BITRIX_TIMEOUT_MS, 10) || 3000;
+  const tenants = getTenants();
+  const results = await Promise.all(tenants.map(tenant => checkBitrixTenant(tenant, timeoutMs)));
+
+  return {
+    ok: results.every(result => result.ok),
+    checkedAt: new Date().toISOString(),
+    tenants: Object.fromEntries(tenants.map((tenant, index) => [tenant.id, results[index]]))
+  };
+}
+
+// Последняя проверка порталов: { promise, expiresAt }. Одновременные запросы ждут одну проверку
+let bitrixCheck = null;
+
+function checkBitrix() {
+  const cacheMs = (parseInt(process.env.READYZ_BITRIX_CACHE_SEC, 10) || 30) * 1000;
+
+  if (!bitrixCheck || bitrixCheck.expiresAt <= Date.now()) {
+    const check = { promise: runBitrixCheck(), expiresAt: Infinity };
+    check.promise.then(() => {
+      check.expiresAt = Date.now() + cacheMs;
+    });
+    bitrixCheck = check;
+  }
+  return bitrixCheck.promise;
+}
+
+/**
+ * Создает роутер /healthz, /readyz и /metrics
+ * @param {Object} deps
+ * @param {Object} deps.deliveryQueue - Очередь доставки из createDeliveryQueue()
+ * @returns {express.Router}
+ */
+function createHealthRouter({ deliveryQueue }) {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    const checks = {
+      config: checkConfig(),
+      dataDir: checkDataDir(),
+      queue: deliveryQueue.isRunning() ? { ok: true } : { ok: false, error: 'Воркер очереди не запущен' }
+    };
+
+    if (req.query.bitrix === '1' || process.env.READYZ_CHECK_BITRIX === 'true') {
+      checks.bitrix = await checkBitrix();
+    }
+
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  });
+
+  router.get('/metrics', async (req, res) => {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHealthRouter
+};
@@ -0,0 +1,139 @@
+const { callBitrix } = require('./bitrix');
+const { getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('MATCH');
+
+/**
+ * Поиск существующих лидов и контактов в Bitrix по телефону
+ *
+ * LEAD_MATCH_STRATEGY — что делать с повторным звонком от того же номера:
+ * - create (по умолчанию): всегда создавать новый лид
+ * - update: обновить найденный лид полями из маппинга
+ * - comment: добавить сводку звонка комментарием в таймлайн найденного лида или контакта
+ * Если ничего не найдено, лид создается как обычно.
+ *
+ * LEAD_MATCH_SEARCH — как искать:
+ * - duplicate (по умолчанию): crm.duplicate.findbycomm
+ * - list: crm.lead.list / crm.contact.list с фильтром по PHONE
+ *
+ * findCreatedSince() при повторе из очереди находит лид или сделку, которые предыдущая попытка
+ * успела создать, хотя ответа Bitrix не дождалась (таймаут, 5xx), а findCommentSince() —
+ * оставленный ей комментарий (стратегия comment).
+ */
+
+const STRATEGIES = ['create', 'update', 'comment'];
+const SEARCH_MODES = ['duplicate', 'list'];
+
+function getLeadMatchStrategy() {
+  const strategy = (getTenantSetting('LEAD_MATCH_STRATEGY') || 'create').toLowerCase();
+  if (!STRATEGIES.includes(strategy)) {
+    log.warn(`Неизвестная стратегия LEAD_MATCH_STRATEGY="${strategy}", используется create`);
+    return 'create';
+  }
+  return strategy;
+}
+
+function getSearchMode() {
+  const mode = (getTenantSetting('LEAD_MATCH_SEARCH') || 'duplicate').toLowerCase();
+  return SEARCH_MODES.includes(mode) ? mode : 'duplicate';
+}
+
+/**
+ * Ищет сущность по телефону
+ * @param {String} entityType - 'lead' или 'contact'
+ * @param {String} phone - Нормализованный телефон (как в поле PHONE маппинга)
+ * @returns {Promise<Number|null>} - ID самой свежей найденной сущности
+ */
+async function findEntityByPhone(entityType, phone) {
+  if (getSearchMode() === 'list') {
+    const response = await callBitrix(`crm.${entityType}.list`, {
+      filter: { PHONE: phone },
+      select: ['ID'],
+      order: { ID: 'DESC' }
+    });
+    const id = response.result?.[0]?.ID;
+    return id ? Number(id) : null;
+  }
+
+  const response = await callBitrix('crm.duplicate.findbycomm', {
+    entity_type: entityType.toUpperCase(),
+    type: 'PHONE',
+    values: [phone]
+  });
+
+  // Если совпадений нет, Bitrix возвращает пустой массив вместо объекта
+  const ids = response.result?.[entityType.toUpperCase()] || [];
+  return ids.length > 0 ? Math.max(...ids.map(Number)) : null;
+}
+
+/**
+ * Ищет сущность, созданную не раньше since
+ * @param {String} entityType - lead | contact | deal
+ * @param {Object} filter - Например, { PHONE: '+79001234567' } или { LEAD_ID: 12 }
+ * @param {String} since - ISO-время (создание задачи в очереди)
+ * @returns {Promise<Number|null>} - ID самой свежей найденной сущности
+ */
+async function findCreatedSince(entityType, filter, since) {
+  const response = await callBitrix(`crm.${entityType}.list`, {
+    filter: { ...filter, '>=DATE_CREATE': since },
+    select: ['ID'],
+    order: { ID: 'DESC' }
+  });
+  const id = response.result?.[0]?.ID;
+  return id ? Number(id) : null;
+}
+
+/**
+ * Ищет в таймлайне сущности комментарий с тем же текстом, добавленный не раньше since
+ * @param {String} entityType - lead | contact
+ * @param {Number} entityId
+ * @param {String} comment - Текст комментария
+ * @param {String} since - ISO-время (создание задачи в очереди)
+ * @returns {Promise<Number|null>} - ID комментария
+ */
+async function findCommentSince(entityType, entityId, comment, since) {
+  const response = await callBitrix('crm.timeline.comment.list', {
+    filter: { ENTITY_ID: entityId, ENTITY_TYPE: entityType },
+    select: ['ID', 'CREATED', 'COMMENT'],
+    order: { ID: 'DESC' }
+  });
+  const found = (response.result || []).find(item =>
+    item.COMMENT === comment && Date.parse(item.CREATED) >= Date.parse(since));
+  return found ? Number(found.ID) : null;
+}
+
+/**
+ * Ищет, куда записать повторный звонок согласно стратегии
+ * @param {String} phone
+ * @param {String} strategy - Результат getLeadMatchStrategy()
+ * @returns {Promise<{ entityType: String, id: Number }|null>}
+ */
+async function findExistingEntity(phone, strategy) {
+  if (strategy === 'create' || !phone) {
+    return null;
+  }
+
+  const leadId = await findEntityByPhone('lead', phone);
+  if (leadId) {
+    return { entityType: 'lead', id: leadId };
+  }
+
+  // Комментарий можно оставить и в карточке контакта, а обновлять — только лид
+  if (strategy === 'comment') {
+    const contactId = await findEntityByPhone('contact', phone);
+    if (contactId) {
+      return { entityType: 'contact', id: contactId };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getLeadMatchStrategy,
+  findEntityByPhone,
+  findExistingEntity,
+  findCreatedSince,
+  findCommentSince
+};
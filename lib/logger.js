@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Структурированные логи
+ *
+ * Каждая запись — одна строка JSON: time, level, scope, msg, поля контекста
+ * (requestId, tenant, jobId) и поля записи. Контекст хранится в AsyncLocalStorage,
+ * поэтому requestId запроса попадает и в логи маппинга, и в вызовы Bitrix.
+ *
+ * Настройки:
+ * - LOG_LEVEL: debug | info | warn | error (по умолчанию info)
+ * - LOG_FORMAT: json | pretty (по умолчанию json; pretty — для чтения глазами при разработке)
+ * - LOG_REDACT: false — отключить маскирование персональных данных (только для локальной отладки)
+ * - LOG_REDACT_KEYS: поля, значения которых скрываются целиком (через запятую, без учета регистра)
+ *
+ * Кроме полей из LOG_REDACT_KEYS, в любых строках маскируются номера телефонов
+ * и токен в URL входящего вебхука Bitrix (/rest/<user>/<token>/).
+ * Токены OAuth (поля SECRET_KEYS и такие же параметры в URL) скрываются всегда, даже с LOG_REDACT=false.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_REDACT_KEYS = [
+  'phone',
+  'email',
+  'name',
+  'last_name',
+  'second_name',
+  'client_name',
+  'client_facts',
+  'title',
+  'comments',
+  'comment',
+  'description',
+  'text',
+  'smsText',
+  'agreements'
+];
+
+const SECRET_KEYS = new Set([
+  'auth',
+  'auth_id',
+  'refresh_id',
+  'access_token',
+  'refresh_token',
+  'client_secret'
+]);
+
+const REDACTED = '[скрыто]';
+const MAX_DEPTH = 10;
+// Длинные строки (файлы в base64, расшифровки) в логе обрезаются
+const MAX_LOG_STRING_LENGTH = 4000;
+
+// Номер телефона: 10–15 цифр, возможно с +, пробелами, скобками и дефисами.
+// Не внутри слова: иначе маскировались бы куски UUID (requestId, jobId)
+const PHONE_PATTERN = /(?<![\w-])\+?\d[\d\s()-]{8,}\d(?![\w-])/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const BITRIX_TOKEN_PATTERN = /(\/rest\/\d+\/)[^/\s"'?]+/g;
+const SECRET_PARAM_PATTERN = /([?&](?:auth|code|access_token|refresh_token|client_secret)=)[^&\s"']+/gi;
+
+const logContext = new AsyncLocalStorage();
+
+let redactKeysSource = null;
+let redactKeys = new Set();
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+function isRedactEnabled() {
+  return process.env.LOG_REDACT !== 'false';
+}
+
+function getRedactKeys() {
+  const source = process.env.LOG_REDACT_KEYS ?? DEFAULT_REDACT_KEYS.join(',');
+  if (source !== redactKeysSource) {
+    redactKeysSource = source;
+    redactKeys = new Set(source.split(',').map(key => key.trim().toLowerCase()).filter(Boolean));
+  }
+  return redactKeys;
+}
+
+/**
+ * Маскирует телефоны и токен Bitrix в строке
+ * @param {String} value
+ * @returns {String}
+ */
+function redactString(value) {
+  return value
+    .replace(SECRET_PARAM_PATTERN, '$1***')
+    .replace(BITRIX_TOKEN_PATTERN, '$1***')
+    .replace(PHONE_PATTERN, (match) => {
+      const digits = match.replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 15 || DATE_PATTERN.test(match)) {
+        return match;
+      }
+      return `***${digits.slice(-2)}`;
+    });
+}
+
+// Ключ type, а не name: name входит в поля с персональными данными и был бы скрыт
+function serializeError(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+/**
+ * Копия значения со скрытыми персональными данными
+ * @param {*} value
+ * @param {Number} [depth]
+ * @param {WeakSet} [seen]
+ * @param {Number} [maxLength] - Обрезать строки длиннее (для записи в лог)
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet(), maxLength = Infinity) {
+  const enabled = isRedactEnabled();
+
+  if (typeof value === 'string') {
+    const text = value.length > maxLength
+      ? `${value.slice(0, maxLength)}… [еще ${value.length - maxLength} симв.]`
+      : value;
+    return enabled ? redactString(text) : text.replace(SECRET_PARAM_PATTERN, '$1***');
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth, seen, maxLength);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return '[...]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen, maxLength));
+  }
+
+  const keys = getRedactKeys();
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const name = key.toLowerCase();
+    const hidden = (SECRET_KEYS.has(name) || (enabled && keys.has(name))) && item !== null && item !== undefined && item !== '';
+    result[key] = hidden ? REDACTED : redact(item, depth + 1, seen, maxLength);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, scope, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} [${scope}] ${msg}${extra}`;
+}
+
+function write(level, scope, msg, fields) {
+  if (LEVELS[level] < LEVELS[getLevel()]) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    scope,
+    msg,
+    ...logContext.getStore(),
+    ...fields
+  }, 0, new WeakSet(), MAX_LOG_STRING_LENGTH);
+
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Создает логгер модуля
+ * @param {String} scope - Метка модуля (WEBHOOK, BITRIX, QUEUE…)
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, isDebug: Function }}
+ */
+function createLogger(scope) {
+  return {
+    debug: (msg, fields) => write('debug', scope, msg, fields),
+    info: (msg, fields) => write('info', scope, msg, fields),
+    warn: (msg, fields) => write('warn', scope, msg, fields),
+    error: (msg, fields) => write('error', scope, msg, fields),
+    // Чтобы не собирать тяжелые поля для записи, которая все равно не попадет в лог
+    isDebug: () => getLevel() === 'debug'
+  };
+}
+
+/**
+ * Выполняет fn с дополнительными полями контекста логов
+ * @param {Object} fields - { requestId, tenant, jobId, ... }
+ * @param {Function} fn
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Добавляет поля в текущий контекст логов (например, tenant после разбора URL)
+ * @param {Object} fields
+ */
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+const requestLog = createLogger('HTTP');
+
+/**
+ * Express middleware: выдает запросу requestId (или берет из X-Request-Id),
+ * возвращает его в ответе и пишет строку лога по завершении запроса.
+ * Подключается после body parser'ов: их колбэки теряют AsyncLocalStorage.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && /^[\w.-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  runWithLogContext({ requestId }, () => {
+    // finish вызывается вне контекста запроса, поэтому берем ссылку на него сейчас
+    const context = logContext.getStore();
+
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      runWithLogContext(context, () => requestLog[level](`${req.method} ${req.originalUrl} → ${res.statusCode}`, {
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      }));
+    });
+    next();
+  });
+}
+
+module.exports = {
+  createLogger,
+  runWithLogContext,
+  addLogContext,
+  getLogContext,
+  requestContext,
+  redact
+};
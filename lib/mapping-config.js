@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { leadMapping, dealMapping, contactMapping } = require('../mapping');
+const { resolveTransform } = require('./transforms');
+const { getTenants, runWithTenant, getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+/**
+ * Декларативный маппинг из JSON/YAML файла с горячей перезагрузкой
+ *
+ * MAPPING_FILE — путь к .json, .yaml или .yml файлу. В файле можно описать
+ * разделы lead, contact и deal. Поля из файла добавляются к маппингу из mapping.js
+ * или заменяют одноименные поля, а поле со значением null убирается из маппинга.
+ * Пример — config/mapping.example.yaml.
+ *
+ * Файл проверяется при загрузке. Если при изменении в нем ошибка,
+ * продолжаем работать с последним корректным маппингом.
+ * MAPPING_RELOAD_INTERVAL_MS — как часто проверять изменения (по умолчанию 2000).
+ * У каждого тенанта может быть свой MAPPING_FILE; файлы загружаются при старте.
+ */
+
+const log = createLogger('MAPPING');
+
+const ENTITIES = ['lead', 'contact', 'deal'];
+const FIELD_KEYS = ['source', 'value', 'default', 'transform'];
+
+const defaultMappings = {
+  lead: leadMapping,
+  contact: contactMapping,
+  deal: dealMapping
+};
+
+// Загруженные файлы маппинга: абсолютный путь → { lead?, contact?, deal? }
+const fileMappings = new Map();
+
+/**
+ * Разбирает содержимое файла маппинга
+ * @param {String} filePath
+ * @returns {Object}
+ */
+function parseMappingFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.json' ? JSON.parse(content) : yaml.load(content);
+}
+
+/**
+ * Проверяет декларативный маппинг и приводит сокращенную запись к полной
+ * (STATUS_ID: UC_E5DGC8 → STATUS_ID: { value: UC_E5DGC8 })
+ * @param {Object} config - Разобранный файл маппинга
+ * @returns {Object} - { lead?, contact?, deal? }
+ * @throws {Error} - Со списком всех найденных ошибок
+ */
+function validateMappingConfig(config) {
+  const errors = [];
+  const result = {};
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Файл маппинга должен содержать объект с разделами lead, contact, deal');
+  }
+
+  for (const [entity, fields] of Object.entries(config)) {
+    if (!ENTITIES.includes(entity)) {
+      errors.push(`${entity}: неизвестный раздел (допустимы: ${ENTITIES.join(', ')})`);
+      continue;
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push(`${entity}: раздел должен быть объектом "ПОЛЕ_BITRIX: описание"`);
+      continue;
+    }
+
+    result[entity] = {};
+
+    for (const [field, rawFieldConfig] of Object.entries(fields)) {
+      const fieldPath = `${entity}.${field}`;
+
+      // null — убрать поле из маппинга по умолчанию
+      if (rawFieldConfig === null) {
+        result[entity][field] = null;
+        continue;
+      }
+
+      const fieldConfig = rawFieldConfig !== null && typeof rawFieldConfig === 'object' && !Array.isArray(rawFieldConfig)
+        ? rawFieldConfig
+        : { value: rawFieldConfig };
+
+      const unknownKeys = Object.keys(fieldConfig).filter(key => !FIELD_KEYS.includes(key));
+      if (unknownKeys.length > 0) {
+        errors.push(`${fieldPath}: неизвестные ключи ${unknownKeys.join(', ')} (допустимы: ${FIELD_KEYS.join(', ')})`);
+      }
+
+      if (fieldConfig.source !== undefined && (typeof fieldConfig.source !== 'string' || !fieldConfig.source.trim())) {
+        errors.push(`${fieldPath}.source: должен быть непустой строкой`);
+      }
+
+      if (fieldConfig.value !== undefined && fieldConfig.source !== undefined && fieldConfig.source !== 'static') {
+        errors.push(`${fieldPath}: value задается только без source (или с source: static)`);
+      }
+
+      if (fieldConfig.value === undefined && fieldConfig.source === undefined && fieldConfig.transform === undefined) {
+        errors.push(`${fieldPath}: нужно указать source, value или transform`);
+      }
+
+      if (fieldConfig.transform !== undefined) {
+        try {
+          resolveTransform(fieldConfig.transform);
+        } catch (error) {
+          errors.push(`${fieldPath}.transform: ${error.message}`);
+        }
+      }
+
+      result[entity][field] = fieldConfig;
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Ошибки в файле маппинга:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Загружает и проверяет файл маппинга
+ * @param {String} filePath
+ * @returns {Object} - { lead?, contact?, deal? }
+ */
+function loadMappingFile(filePath) {
+  return validateMappingConfig(parseMappingFile(filePath));
+}
+
+const describeSections = (mappings) => Object.keys(mappings).join(', ') || 'нет';
+
+function reloadMappingFile(filePath) {
+  try {
+    const mappings = loadMappingFile(filePath);
+    fileMappings.set(filePath, mappings);
+    log.info(`Маппинг перезагружен из ${filePath} (разделы: ${describeSections(mappings)})`);
+  } catch (error) {
+    log.error(`Не удалось перезагрузить ${filePath}, используется предыдущий маппинг`, { error: error.message });
+  }
+}
+
+/**
+ * Загружает файл маппинга (один раз на путь) и следит за его изменениями
+ * @param {String} filePath - Абсолютный путь
+ * @returns {Object}
+ */
+function watchMappingFile(filePath) {
+  if (fileMappings.has(filePath)) {
+    return fileMappings.get(filePath);
+  }
+
+  const mappings = loadMappingFile(filePath);
+  fileMappings.set(filePath, mappings);
+  log.info(`Маппинг загружен из ${filePath} (разделы: ${describeSections(mappings)})`);
+
+  // watchFile опрашивает mtime и, в отличие от fs.watch, надежно работает с volume в Docker
+  const interval = parseInt(process.env.MAPPING_RELOAD_INTERVAL_MS, 10) || 2000;
+  fs.watchFile(filePath, { interval }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      reloadMappingFile(filePath);
+    }
+  });
+
+  return mappings;
+}
+
+/**
+ * Загружает MAPPING_FILE всех тенантов (если задан) и следит за изменениями.
+ * При старте ошибка в файле фатальна, чтобы не работать с неожиданным маппингом.
+ */
+function initMappingConfig() {
+  for (const tenant of getTenants()) {
+    const filePath = runWithTenant(tenant, () => getTenantSetting('MAPPING_FILE'));
+    if (!filePath) {
+      log.info('MAPPING_FILE не задан, используется маппинг из mapping.js', { tenant: tenant.id });
+      continue;
+    }
+
+    watchMappingFile(path.resolve(filePath));
+  }
+}
+
+/**
+ * Маппинг из mapping.js с полями из файла поверх (null убирает поле)
+ * @param {String} entity
+ * @param {Object} [fileMapping] - Разделы файла маппинга после validateMappingConfig()
+ * @returns {Object}
+ */
+function mergeMapping(entity, fileMapping = {}) {
+  const merged = { ...defaultMappings[entity], ...fileMapping[entity] };
+
+  for (const [field, config] of Object.entries(merged)) {
+    if (config === null) {
+      delete merged[field];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Текущий маппинг для сущности: из MAPPING_FILE текущего тенанта или из mapping.js
+ * @param {String} entity - 'lead', 'contact' или 'deal'
+ * @returns {Object}
+ */
+function getMapping(entity) {
+  const filePath = getTenantSetting('MAPPING_FILE');
+  const fileMapping = filePath ? watchMappingFile(path.resolve(filePath)) : {};
+  return mergeMapping(entity, fileMapping);
+}
+
+/**
+ * Маппинг всех сущностей по содержимому файла маппинга, без загрузки с диска.
+ * Нужен, чтобы сравнить новую версию файла с текущей до деплоя (см. /test/mapping/diff)
+ * @param {Object|String} config - Объект или текст файла (YAML или JSON)
+ * @returns {Object} - { lead, contact, deal }
+ * @throws {Error} - Если файл не разбирается или не проходит проверку
+ */
+function buildMappingVersion(config) {
+  const parsed = typeof config === 'string' ? yaml.load(config) : config;
+  const fileMapping = validateMappingConfig(parsed);
+  return Object.fromEntries(ENTITIES.map(entity => [entity, mergeMapping(entity, fileMapping)]));
+}
+
+module.exports = {
+  initMappingConfig,
+  getMapping,
+  buildMappingVersion,
+  loadMappingFile,
+  validateMappingConfig
+};
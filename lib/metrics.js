@@ -0,0 +1,176 @@
+const client = require('prom-client');
+
+/**
+ * Метрики Prometheus (отдаются на /metrics, см. lib/health.js)
+ *
+ * - sasha_webhooks_total{tenant, outcome} — вебхуки по результату приема
+ * - sasha_deliveries_total{tenant, result} — попытки доставки из очереди: processed, retry, dead_letter
+ * - sasha_last_delivery_timestamp_seconds{tenant} — время последней успешной доставки
+ *   (для алерта «лиды перестали приходить»)
+ * - sasha_bitrix_request_duration_seconds{method, result} — задержка вызовов Bitrix REST
+ * - sasha_mapping_skipped_fields_total{field, reason} — поля, выпавшие из маппинга
+ * - sasha_invalid_phones_total{action} — телефоны, не прошедшие проверку (см. lib/phone.js)
+ * - sasha_queue_pending_jobs, sasha_queue_dead_letters — глубина очереди и dead-letter
+ * Плюс стандартные метрики процесса Node.js (память, event loop и т.д.).
+ */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const webhooksTotal = new client.Counter({
+  name: 'sasha_webhooks_total',
+  help: 'Вебхуки Sasha AI по результату приема',
+  labelNames: ['tenant', 'outcome'],
+  registers: [registry]
+});
+
+const deliveriesTotal = new client.Counter({
+  name: 'sasha_deliveries_total',
+  help: 'Попытки доставки из очереди в Bitrix по результату',
+  labelNames: ['tenant', 'result'],
+  registers: [registry]
+});
+
+const lastDeliveryTimestamp = new client.Gauge({
+  name: 'sasha_last_delivery_timestamp_seconds',
+  help: 'Unix-время последней успешной доставки в Bitrix',
+  labelNames: ['tenant'],
+  registers: [registry]
+});
+
+const bitrixDuration = new client.Histogram({
+  name: 'sasha_bitrix_request_duration_seconds',
+  help: 'Длительность вызовов Bitrix REST API',
+  labelNames: ['method', 'result'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const mappingSkippedFields = new client.Counter({
+  name: 'sasha_mapping_skipped_fields_total',
+  help: 'Поля, не попавшие в результат маппинга',
+  labelNames: ['field', 'reason'],
+  registers: [registry]
+});
+
+const invalidPhones = new client.Counter({
+  name: 'sasha_invalid_phones_total',
+  help: 'Некорректные телефоны: keep — записаны как есть, skip — не записаны',
+  labelNames: ['action'],
+  registers: [registry]
+});
+
+const notificationsTotal = new client.Counter({
+  name: 'sasha_notifications_total',
+  help: 'Уведомления об итогах доставки по каналу и результату отправки',
+  labelNames: ['type', 'result'],
+  registers: [registry]
+});
+
+/**
+ * Исход приема вебхука по HTTP-статусу, если обработчик не указал его сам
+ */
+function getOutcomeByStatus(status) {
+  if (status === 401) return 'unauthorized';
+  if (status === 404) return 'unknown_tenant';
+  if (status === 422) return 'invalid';
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'bad_request';
+  return 'accepted';
+}
+
+/**
+ * Express middleware: считает вебхук в sasha_webhooks_total по завершении ответа.
+ * Обработчик уточняет исход через res.locals.webhookOutcome (processed, queued, duplicate, ignored).
+ */
+function countWebhookOutcomes(req, res, next) {
+  res.on('finish', () => {
+    webhooksTotal.inc({
+      // id из URL не используем как метку: неизвестные тенанты раздували бы число рядов
+      tenant: req.tenant?.id || 'unknown',
+      outcome: res.locals.webhookOutcome || getOutcomeByStatus(res.statusCode)
+    });
+  });
+  next();
+}
+
+/**
+ * @param {String} tenant
+ * @param {String} result - processed | retry | dead_letter
+ */
+function recordDelivery(tenant, result) {
+  deliveriesTotal.inc({ tenant, result });
+  if (result === 'processed') {
+    lastDeliveryTimestamp.set({ tenant }, Date.now() / 1000);
+  }
+}
+
+/**
+ * @param {String} method - Метод Bitrix
+ * @param {String} result - ok | error
+ * @param {Number} durationMs
+ */
+function observeBitrixRequest(method, result, durationMs) {
+  bitrixDuration.observe({ method, result }, durationMs / 1000);
+}
+
+/**
+ * @param {String} field - Поле Bitrix
+ * @param {String} reason - empty | error
+ */
+function recordSkippedField(field, reason) {
+  mappingSkippedFields.inc({ field, reason });
+}
+
+/**
+ * Учитывает некорректный телефон
+ * @param {String} action - keep | skip (PHONE_INVALID)
+ */
+function recordInvalidPhone(action) {
+  invalidPhones.inc({ action });
+}
+
+/**
+ * Учитывает отправку уведомления
+ * @param {String} type - webhook | email | telegram
+ * @param {String} result - sent | failed
+ */
+function recordNotification(type, result) {
+  notificationsTotal.inc({ type, result });
+}
+
+/**
+ * Регистрирует метрики глубины очереди: значения снимаются при каждом запросе /metrics
+ * @param {Object} deliveryQueue - Очередь из createDeliveryQueue()
+ */
+function registerQueueMetrics(deliveryQueue) {
+  new client.Gauge({
+    name: 'sasha_queue_pending_jobs',
+    help: 'Задачи в очереди доставки',
+    registers: [registry],
+    collect() {
+      this.set(deliveryQueue.getStats().pending);
+    }
+  });
+
+  new client.Gauge({
+    name: 'sasha_queue_dead_letters',
+    help: 'Задачи в dead-letter',
+    registers: [registry],
+    collect() {
+      this.set(deliveryQueue.getStats().deadLetters);
+    }
+  });
+}
+
+module.exports = {
+  registry,
+  countWebhookOutcomes,
+  getOutcomeByStatus,
+  recordDelivery,
+  observeBitrixRequest,
+  recordSkippedField,
+  recordInvalidPhone,
+  recordNotification,
+  registerQueueMetrics
+};
@@ -0,0 +1,210 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const localizeRu = require('ajv-i18n/localize/ru');
+const { getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('SCHEMA');
+
+/**
+ * JSON Schema входящих вебхуков Sasha AI
+ *
+ * Тип события берется из поля event; если его нет, считаем, что это завершенный звонок.
+ * WEBHOOK_SCHEMA_MODE — что делать с неизвестным типом события:
+ * - lenient (по умолчанию): принять без проверки (обработчик подтвердит и залогирует его)
+ * - strict: отклонять с 422
+ */
+
+const DEFAULT_EVENT = 'call.completed';
+
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const contactSchema = {
+  type: 'object',
+  properties: {
+    phone: { type: 'string', minLength: 1 },
+    tags: nullable({ type: 'array', items: { type: 'string' } }),
+    additionalFields: nullable({ type: 'object' }),
+    dadataPhoneInfo: nullable({
+      type: 'object',
+      properties: {
+        region: nullable({ type: 'string' }),
+        timezone: nullable({ type: 'string' }),
+        type: nullable({ type: 'string' })
+      }
+    })
+  }
+};
+
+const agreementsSchema = {
+  type: 'object',
+  properties: {
+    client_name: nullable({ type: 'string' }),
+    agreements: nullable({ type: 'string' }),
+    agreements_time: nullable({ type: 'string' }),
+    agreements_time_local: nullable({ type: 'string' }),
+    client_facts: nullable({ type: 'string' }),
+    smsText: nullable({ type: 'string' })
+  }
+};
+
+const callSchema = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'] },
+    duration: nullable({ type: 'number', minimum: 0 }),
+    startedAt: nullable({ type: 'string', format: 'date-time' }),
+    recordUrl: nullable({ type: 'string' }),
+    // Расшифровка: текст или реплики [{ role, text }]
+    transcript: nullable({ type: ['string', 'array'], items: { type: 'object' } }),
+    agreements: nullable(agreementsSchema)
+  }
+};
+
+const smsSchema = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    sentAt: nullable({ type: 'string', format: 'date-time' })
+  }
+};
+
+const callEventSchema = {
+  type: 'object',
+  required: ['contact', 'call'],
+  properties: {
+    event: { type: 'string' },
+    contact: contactSchema,
+    call: callSchema
+  }
+};
+
+/**
+ * Схемы по типам событий
+ */
+const EVENT_SCHEMAS = {
+  'call.completed': callEventSchema,
+  'call.started': callEventSchema,
+  'call.failed': callEventSchema,
+  'call.no_answer': callEventSchema,
+  'sms.sent': {
+    type: 'object',
+    required: ['contact', 'sms'],
+    properties: {
+      event: { type: 'string' },
+      contact: { ...contactSchema, required: ['phone'] },
+      call: callSchema,
+      sms: smsSchema
+    }
+  },
+  'agreement.updated': {
+    type: 'object',
+    required: ['contact', 'call'],
+    properties: {
+      event: { type: 'string' },
+      contact: { ...contactSchema, required: ['phone'] },
+      call: {
+        ...callSchema,
+        required: ['agreements'],
+        properties: { ...callSchema.properties, agreements: agreementsSchema }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+  Object.entries(EVENT_SCHEMAS).map(([event, schema]) => [event, ajv.compile(schema)])
+);
+
+function getSchemaMode() {
+  return getTenantSetting('WEBHOOK_SCHEMA_MODE') === 'strict' ? 'strict' : 'lenient';
+}
+
+/**
+ * Тип события вебхука
+ * @param {Object} data
+ * @returns {String}
+ */
+function getEventType(data) {
+  return typeof data?.event === 'string' && data.event ? data.event : DEFAULT_EVENT;
+}
+
+/**
+ * Переводит ошибку ajv в { path, message } с путем в точечной нотации, как в маппинге
+ */
+function formatError(error) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  return {
+    path: segments.join('.') || '(корень)',
+    message: error.message
+  };
+}
+
+/**
+ * Проверяет данные вебхука по схеме его типа события
+ * @param {Object} data - Распарсенное тело запроса
+ * @returns {{ valid: Boolean, event: String, known: Boolean, errors: Array<{ path: String, message: String }> }}
+ */
+function validatePayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      valid: false,
+      event: null,
+      known: false,
+      errors: [{ path: '(корень)', message: 'должно быть объектом JSON' }]
+    };
+  }
+
+  const event = getEventType(data);
+  // Только свои схемы: "constructor" и т.п. из Object.prototype — неизвестные события
+  const validate = Object.hasOwn(validators, event) ? validators[event] : null;
+
+  if (!validate) {
+    if (getSchemaMode() === 'strict') {
+      return {
+        valid: false,
+        event,
+        known: false,
+        errors: [{ path: 'event', message: `неизвестный тип события "${event}"` }]
+      };
+    }
+
+    log.warn(`Неизвестный тип события "${event}", принимаем без проверки`, { event });
+    return { valid: true, event, known: false, errors: [] };
+  }
+
+  if (validate(data)) {
+    return { valid: true, event, known: true, errors: [] };
+  }
+
+  localizeRu(validate.errors);
+
+  // anyOf для nullable дает по ошибке на каждую ветку: ветку null и сам anyOf не показываем,
+  // а из остального оставляем по одной ошибке на путь
+  const relevant = validate.errors.filter(e =>
+    e.keyword !== 'anyOf' && !(e.keyword === 'type' && e.params.type === 'null')
+  );
+  const errors = [];
+  for (const error of relevant.map(formatError)) {
+    if (!errors.some(e => e.path === error.path)) {
+      errors.push(error);
+    }
+  }
+
+  return { valid: false, event, known: true, errors };
+}
+
+module.exports = {
+  validatePayload,
+  getEventType,
+  EVENT_SCHEMAS,
+  DEFAULT_EVENT
+};
@@ -0,0 +1,149 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { getTenantSetting } = require('./tenants');
+const { recordInvalidPhone } = require('./metrics');
+const { createLogger } = require('./logger');
+
+/**
+ * Нормализация телефонов в E.164 (+79001234567) через libphonenumber-js
+ *
+ * Номер без кода страны разбирается по стране тенанта, поэтому 8 900 123-45-67,
+ * 900 123-45-67 и +7 (900) 123-45-67 приходят в Bitrix одинаковыми — на этом
+ * держатся дедупликация и поиск дублей по телефону.
+ *
+ * Настройки (на тенанта):
+ * - PHONE_DEFAULT_COUNTRY: страна для номеров без кода, ISO 3166-1 alpha-2 (по умолчанию RU)
+ * - PHONE_INVALID: что делать с номером, который не проходит проверку:
+ *   keep (по умолчанию) — записать только цифры, как есть; skip — не записывать телефон.
+ *   В обоих случаях номер попадает в лог (warn) и в метрику sasha_invalid_phones_total.
+ */
+
+const log = createLogger('PHONE');
+
+const INVALID_ACTIONS = ['keep', 'skip'];
+
+// VALUE_TYPE мультиполя PHONE в Bitrix по типу номера из libphonenumber
+const VALUE_TYPES = {
+  MOBILE: 'MOBILE',
+  FIXED_LINE: 'WORK'
+};
+
+function getDefaultCountry() {
+  return (getTenantSetting('PHONE_DEFAULT_COUNTRY') || 'RU').toUpperCase();
+}
+
+function getInvalidAction() {
+  const action = (getTenantSetting('PHONE_INVALID') || 'keep').toLowerCase();
+  return INVALID_ACTIONS.includes(action) ? action : 'keep';
+}
+
+/**
+ * Разбирает телефон
+ * @param {String|Number} value
+ * @param {Object} [options]
+ * @param {String} [options.country] - Страна для номеров без кода (по умолчанию PHONE_DEFAULT_COUNTRY)
+ * @returns {Object|null} - { e164, digits, valid, country, type } или null, если цифр нет
+ */
+function parsePhone(value, { country = getDefaultCountry() } = {}) {
+  const raw = value == null ? '' : String(value).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  let parsed = parsePhoneNumberFromString(raw, country);
+  // 380501234567 без "+" — международный номер, а не номер страны по умолчанию
+  if (!parsed?.isValid() && !raw.startsWith('+')) {
+    const international = parsePhoneNumberFromString(`+${digits}`);
+    if (international?.isValid()) {
+      parsed = international;
+    }
+  }
+
+  if (!parsed?.isValid()) {
+    return { e164: null, digits, valid: false, country: parsed?.country || null, type: null };
+  }
+
+  return {
+    e164: parsed.number,
+    digits: parsed.number.slice(1),
+    valid: true,
+    country: parsed.country || null,
+    type: parsed.getType() || null
+  };
+}
+
+/**
+ * Телефон в E.164. Некорректный номер — по PHONE_INVALID: только цифры или null
+ * @param {String|Number} value
+ * @param {Object} [options]
+ * @param {Boolean} [options.plus=true] - false — без "+" (только цифры)
+ * @param {String} [options.country] - Страна для номеров без кода
+ * @returns {String|null}
+ */
+function normalizePhone(value, { plus = true, country } = {}) {
+  const phone = parsePhone(value, { country });
+  if (!phone) {
+    return null;
+  }
+
+  if (phone.valid) {
+    return plus ? phone.e164 : phone.digits;
+  }
+
+  const action = getInvalidAction();
+  recordInvalidPhone(action);
+  log.warn(`Некорректный телефон (${action === 'skip' ? 'не записываем' : 'записываем как есть'})`, {
+    phone: value,
+    country: country || getDefaultCountry()
+  });
+
+  return action === 'skip' ? null : phone.digits;
+}
+
+/**
+ * VALUE_TYPE телефона для Bitrix: по типу из DaData (contact.dadataPhoneInfo.type),
+ * если его нет — по типу номера из libphonenumber
+ * @param {String|Number} value - Телефон
+ * @param {Object} data - Данные вебхука
+ * @param {String} [fallback='WORK'] - Если тип определить не удалось
+ * @returns {String} - MOBILE | WORK | fallback
+ */
+function getPhoneValueType(value, data, fallback = 'WORK') {
+  const dadataType = String(data?.contact?.dadataPhoneInfo?.type || '').toLowerCase();
+  if (dadataType.includes('моб')) {
+    return 'MOBILE';
+  }
+  if (dadataType.includes('стационар')) {
+    return 'WORK';
+  }
+
+  const phone = parsePhone(value);
+  return VALUE_TYPES[phone?.type] || fallback;
+}
+
+/**
+ * Телефон в формате мультиполя Bitrix
+ * @param {String|Number} value
+ * @param {Object} data - Данные вебхука (для VALUE_TYPE из DaData)
+ * @param {Object} [options]
+ * @param {String} [options.valueType='auto'] - VALUE_TYPE или auto — по getPhoneValueType()
+ * @returns {Object[]|null} - [{ VALUE, VALUE_TYPE }]
+ */
+function toPhoneField(value, data, { valueType = 'auto' } = {}) {
+  const phone = normalizePhone(value);
+  if (!phone) {
+    return null;
+  }
+
+  return [{
+    VALUE: phone,
+    VALUE_TYPE: valueType === 'auto' ? getPhoneValueType(value, data) : valueType
+  }];
+}
+
+module.exports = {
+  parsePhone,
+  normalizePhone,
+  getPhoneValueType,
+  toPhoneField
+};
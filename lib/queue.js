@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { DEFAULT_TENANT_ID, getTenant, runWithTenant, recordTenantStat } = require('./tenants');
+const { createLogger, getLogContext, runWithLogContext } = require('./logger');
+const { recordDelivery } = require('./metrics');
+
+/**
+ * Персистентная очередь доставки в Bitrix
+ *
+ * Принятые вебхуки сохраняются в DATA_DIR/queue.json и отправляются фоновым воркером.
+ * При ошибке доставка повторяется с экспоненциальной задержкой, а после
+ * QUEUE_MAX_ATTEMPTS неудачных попыток переносится в DATA_DIR/dead-letters.json,
+ * откуда оператор может посмотреть и переотправить ее через /admin.
+ * Ошибки с retryable === false (например, BitrixError с неверными полями или
+ * отозванным токеном) не повторяются: доставка сразу уходит в dead-letter.
+ * Задача помнит тенанта и requestId вебхука: обработчик выполняется в контексте тенанта,
+ * а логи попыток связаны с исходным запросом.
+ *
+ * Очередь с именем (name) хранится в DATA_DIR/<name>-queue.json и <name>-dead-letters.json
+ * и обрабатывается своим воркером: так медленные шаги (скачивание записи звонка, см. lib/recordings.js)
+ * не задерживают доставку лидов. Метрики доставок и статистика тенантов — только у основной очереди.
+ *
+ * Настройки:
+ * - QUEUE_MAX_ATTEMPTS: максимум попыток (по умолчанию 8)
+ * - QUEUE_RETRY_BASE_MS: задержка перед второй попыткой (по умолчанию 5000)
+ * - QUEUE_RETRY_MAX_MS: максимальная задержка (по умолчанию 600000)
+ * - QUEUE_POLL_INTERVAL_MS: как часто воркер проверяет очередь (по умолчанию 1000)
+ */
+
+const log = createLogger('QUEUE');
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Задержка перед следующей попыткой: base * 2^(attempts - 1), но не больше max
+ * @param {Number} attempts - Сколько попыток уже сделано
+ * @returns {Number} - Задержка в миллисекундах
+ */
+function getRetryDelay(attempts, baseMs, maxMs) {
+  return Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+}
+
+/**
+ * Создает очередь доставки
+ * @param {Object} options
+ * @param {Function} options.handler - async (payload, job) => result, отправка в Bitrix
+ * @param {Function} [options.onAttempt] - (job, outcome, tenant) => void, итог каждой попытки:
+ *   { status: 'done', result } | { status: 'retry' | 'dead-letter', error };
+ *   tenant — тенант задачи или null, если его нет в TENANTS_FILE
+ * @param {String} [options.name] - Имя дополнительной очереди (без имени — основная очередь доставки)
+ * @returns {Object} - API очереди
+ */
+function createDeliveryQueue({ handler, onAttempt = () => {}, name = null }) {
+  const maxAttempts = readIntEnv('QUEUE_MAX_ATTEMPTS', 8);
+  const retryBaseMs = readIntEnv('QUEUE_RETRY_BASE_MS', 5000);
+  const retryMaxMs = readIntEnv('QUEUE_RETRY_MAX_MS', 10 * 60 * 1000);
+  const pollIntervalMs = readIntEnv('QUEUE_POLL_INTERVAL_MS', 1000);
+
+  const prefix = name ? `${name}-` : '';
+  const queueStore = createJsonStore(`${prefix}queue.json`, { jobs: [] });
+  const deadLetterStore = createJsonStore(`${prefix}dead-letters.json`, { jobs: [] });
+
+  let jobs = queueStore.read().jobs;
+  let deadLetters = deadLetterStore.read().jobs;
+  let timer = null;
+  let processing = false;
+  // jobId → функции, ожидающие завершения задачи (см. waitForJob)
+  const waiters = new Map();
+
+  const saveJobs = () => queueStore.write({ jobs });
+  const saveDeadLetters = () => deadLetterStore.write({ jobs: deadLetters });
+
+  function recordStats(tenantId, delivery, tenantStat) {
+    if (name) return;
+    recordDelivery(tenantId, delivery);
+    if (tenantStat) recordTenantStat(tenantStat);
+  }
+
+  function reportAttempt(job, outcome, tenant) {
+    try {
+      onAttempt(job, outcome, tenant);
+    } catch (error) {
+      log.error('Ошибка в обработчике итога попытки', { error });
+    }
+  }
+
+  function notifyWaiters(jobId, outcome) {
+    for (const resolve of waiters.get(jobId) || []) {
+      resolve(outcome);
+    }
+    waiters.delete(jobId);
+  }
+
+  /**
+   * Ставит payload в очередь
+   * @param {Object} payload - Распарсенные данные вебхука
+   * @param {Object} [options]
+   * @param {String} [options.tenantId] - Тенант, от которого пришел вебхук
+   * @param {Boolean} [options.force] - Отправить, даже если звонок уже обработан (повтор из /admin)
+   * @returns {Object} - Созданная задача
+   */
+  function enqueue(payload, { tenantId = DEFAULT_TENANT_ID, force = false } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      tenantId,
+      requestId: getLogContext().requestId || null,
+      payload,
+      ...(force ? { force: true } : {}),
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null
+    };
+
+    jobs.push(job);
+    saveJobs();
+    log.info(`Задача ${job.id} поставлена в очередь`, { jobId: job.id, pending: jobs.length });
+
+    // Не ждем следующего тика, пробуем отправить сразу
+    setImmediate(processDueJobs);
+    return job;
+  }
+
+  function runJob(job) {
+    const context = {
+      requestId: job.requestId || undefined,
+      tenant: job.tenantId || DEFAULT_TENANT_ID,
+      jobId: job.id,
+      ...(name ? { queue: name } : {})
+    };
+    return runWithLogContext(context, () => runJobAttempt(job));
+  }
+
+  async function runJobAttempt(job) {
+    job.attempts += 1;
+    // Счетчик сохраняем до вызова обработчика: если процесс упадет посреди записи в Bitrix,
+    // после перезапуска попытка будет считаться повторной и начнет с поиска уже созданного
+    saveJobs();
+    log.info(`Попытка ${job.attempts} из ${maxAttempts}`, { attempt: job.attempts });
+
+    // Задачи, поставленные до появления тенантов, относятся к default
+    const tenant = getTenant(job.tenantId || DEFAULT_TENANT_ID);
+    if (!tenant) {
+      job.lastError = `Тенант "${job.tenantId}" не найден в TENANTS_FILE`;
+      jobs = jobs.filter(j => j.id !== job.id);
+      deadLetters.push({ ...job, failedAt: new Date().toISOString() });
+      saveJobs();
+      saveDeadLetters();
+      recordStats(job.tenantId, 'dead_letter');
+      log.error(`Задача перенесена в dead-letter: ${job.lastError}`);
+      reportAttempt(job, { status: 'dead-letter', error: new Error(job.lastError) }, null);
+      notifyWaiters(job.id, { status: 'dead-letter', error: job.lastError });
+      return null;
+    }
+
+    return runWithTenant(tenant, () => runTenantJob(job, tenant));
+  }
+
+  async function runTenantJob(job, tenant) {
+    const tenantId = tenant.id;
+    try {
+      const result = await handler(job.payload, job);
+      jobs = jobs.filter(j => j.id !== job.id);
+      saveJobs();
+      recordStats(tenantId, 'processed', 'processed');
+      log.info('Задача выполнена');
+      reportAttempt(job, { status: 'done', result }, tenant);
+      notifyWaiters(job.id, { status: 'done', result });
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+
+      const permanent = error.retryable === false;
+      if (permanent || job.attempts >= maxAttempts) {
+        jobs = jobs.filter(j => j.id !== job.id);
+        deadLetters.push({ ...job, failedAt: new Date().toISOString() });
+        saveJobs();
+        saveDeadLetters();
+        recordStats(tenantId, 'dead_letter', 'failed');
+        log.error(permanent
+          ? 'Задача перенесена в dead-letter: ошибка не исправится повтором'
+          : `Задача перенесена в dead-letter после ${job.attempts} попыток`, { error });
+        reportAttempt(job, { status: 'dead-letter', error }, tenant);
+        notifyWaiters(job.id, { status: 'dead-letter', error: error.message });
+        return null;
+      }
+
+      const delay = getRetryDelay(job.attempts, retryBaseMs, retryMaxMs);
+      job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      saveJobs();
+      recordStats(tenantId, 'retry');
+      log.warn(`Задача не выполнена, повтор через ${delay} мс`, { error: error.message, retryInMs: delay });
+      reportAttempt(job, { status: 'retry', error }, tenant);
+      return null;
+    }
+  }
+
+  async function processDueJobs() {
+    if (processing) return;
+    processing = true;
+
+    try {
+      // Задачи обрабатываем по одной, чтобы не упираться в лимиты Bitrix
+      let job;
+      while ((job = jobs.find(j => Date.parse(j.nextAttemptAt) <= Date.now()))) {
+        await runJob(job);
+      }
+    } finally {
+      processing = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    log.info('Воркер запущен', { queue: name || undefined, pending: jobs.length, deadLetters: deadLetters.length });
+    timer = setInterval(processDueJobs, pollIntervalMs);
+    processDueJobs();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function isRunning() {
+    return timer !== null;
+  }
+
+  /**
+   * Ждет завершения задачи, но не дольше timeoutMs
+   * @param {String} id
+   * @param {Number} timeoutMs
+   * @returns {Promise<Object>} - { status: 'done', result } | { status: 'dead-letter', error } | { status: 'pending' }
+   */
+  function waitForJob(id, timeoutMs) {
+    if (!hasJob(id) || timeoutMs <= 0) {
+      return Promise.resolve({ status: 'pending' });
+    }
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        waiters.set(id, (waiters.get(id) || []).filter(fn => fn !== onDone));
+        resolve({ status: 'pending' });
+      }, timeoutMs);
+
+      const onDone = (outcome) => {
+        clearTimeout(timeout);
+        resolve(outcome);
+      };
+
+      waiters.set(id, [...(waiters.get(id) || []), onDone]);
+    });
+  }
+
+  function hasJob(id) {
+    return jobs.some(j => j.id === id);
+  }
+
+  function getDeadLetters() {
+    return deadLetters;
+  }
+
+  /**
+   * Возвращает задачу из dead-letter обратно в очередь с обнуленным счетчиком попыток
+   * @param {String} id
+   * @returns {Object|null} - Новая задача в очереди или null, если такой нет
+   */
+  function replayDeadLetter(id) {
+    const deadLetter = deadLetters.find(j => j.id === id);
+    if (!deadLetter) return null;
+
+    deadLetters = deadLetters.filter(j => j.id !== id);
+    saveDeadLetters();
+    log.info(`Задача ${id} возвращена из dead-letter`, { jobId: id });
+    return enqueue(deadLetter.payload, { tenantId: deadLetter.tenantId });
+  }
+
+  function removeDeadLetter(id) {
+    const exists = deadLetters.some(j => j.id === id);
+    if (!exists) return false;
+
+    deadLetters = deadLetters.filter(j => j.id !== id);
+    saveDeadLetters();
+    return true;
+  }
+
+  function getStats() {
+    return {
+      pending: jobs.length,
+      deadLetters: deadLetters.length,
+      jobs: jobs.map(({ payload, ...job }) => job)
+    };
+  }
+
+  return {
+    enqueue,
+    start,
+    stop,
+    isRunning,
+    hasJob,
+    waitForJob,
+    getDeadLetters,
+    replayDeadLetter,
+    removeDeadLetter,
+    getStats
+  };
+}
+
+module.exports = {
+  createDeliveryQueue,
+  getRetryDelay
+};
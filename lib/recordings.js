@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { callBitrix } = require('./bitrix');
+const { getCurrentTenant, getTenantSetting } = require('./tenants');
+const { getDataDir } = require('./store');
+const { createDeliveryQueue } = require('./queue');
+const { createLogger } = require('./logger');
+
+/**
+ * Запись и расшифровка звонка в таймлайне лида
+ *
+ * Ссылки телефонии на записи со временем истекают, поэтому запись можно сохранить в Bitrix.
+ * CALL_RECORDING — что делать с call.recordUrl:
+ * - off (по умолчанию): ссылка остается только в COMMENTS
+ * - timeline: скачать запись и приложить файлом к комментарию в таймлайне
+ * - disk: загрузить в папку Bitrix Диска CALL_RECORDING_FOLDER_ID, в таймлайне — ссылка на файл
+ * CALL_RECORDING_HOSTS — хосты телефонии, с которых можно скачивать записи, через запятую
+ *   ("records.sasha.ai", "*.sasha.ai" — и поддомены). URL приходит в вебхуке, поэтому без списка
+ *   сервер не ходит по произвольным адресам (например, http://169.254.169.254): запись не скачивается,
+ *   в таймлайн уходит ссылка. Перенаправления проверяются по тому же списку.
+ * CALL_RECORDING_MAX_MB — предельный размер записи (по умолчанию 20)
+ * CALL_RECORDING_TIMEOUT_MS — таймаут скачивания (по умолчанию 30000)
+ * CALL_RECORDING_RETENTION_DAYS — сколько дней хранить скачанные записи в DATA_DIR/recordings/<тенант>
+ *   (по умолчанию 0 — не хранить). Копия выручит, если загрузить в Bitrix не удалось, а ссылка уже истекла.
+ * CALL_RECORDING_ON_ERROR — если скачать или загрузить запись не удалось:
+ *   link (по умолчанию) — комментарий со ссылкой на запись, skip — ничего.
+ * CALL_TRANSCRIPT=true — добавить расшифровку звонка (call.transcript) комментарием в таймлайн.
+ *
+ * Шаг выполняется отдельной задачей очереди media (DATA_DIR/media-queue.json) после записи лида:
+ * scheduleCallMedia() ставит задачу, а воркер очереди скачивает и загружает запись, не задерживая
+ * доставку лидов других тенантов. Задача не выбрасывает ошибок: лид уже создан. Ошибки пишутся
+ * в лог и в ее результат (recording.error, transcript.error).
+ */
+
+const log = createLogger('RECORDING');
+
+const MODES = ['off', 'timeline', 'disk'];
+
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'webm'
+};
+
+// Комментарий таймлайна не резиновый: длинную расшифровку обрезаем
+const MAX_TRANSCRIPT_LENGTH = 50000;
+
+const TRANSCRIPT_ROLES = {
+  assistant: 'ИИ',
+  bot: 'ИИ',
+  ai: 'ИИ',
+  agent: 'ИИ',
+  user: 'Клиент',
+  client: 'Клиент',
+  customer: 'Клиент'
+};
+
+function readNumberSetting(name, fallback) {
+  const value = Number(getTenantSetting(name));
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getRecordingMode() {
+  const mode = (getTenantSetting('CALL_RECORDING') || 'off').toLowerCase();
+  if (!MODES.includes(mode)) {
+    log.warn(`Неизвестный режим CALL_RECORDING="${mode}", записи не сохраняются`);
+    return 'off';
+  }
+  return mode;
+}
+
+/**
+ * Разрешен ли хост записи по CALL_RECORDING_HOSTS
+ * @param {String} hostname
+ * @returns {Boolean}
+ */
+function isAllowedHost(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return (getTenantSetting('CALL_RECORDING_HOSTS') || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean)
+    .some(allowed => (allowed.startsWith('*.')
+      ? host.endsWith(allowed.slice(1))
+      : host === allowed));
+}
+
+function checkRecordingUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw new Error(`неподдерживаемый протокол ${protocol}`);
+  }
+  if (!isAllowedHost(hostname)) {
+    throw new Error(`хост ${hostname} не указан в CALL_RECORDING_HOSTS`);
+  }
+}
+
+/**
+ * Скачивает запись с ограничением размера и времени
+ * @param {String} url
+ * @returns {Promise<{ buffer: Buffer, contentType: String|null }>}
+ */
+async function downloadRecording(url) {
+  checkRecordingUrl(url);
+
+  const maxBytes = readNumberSetting('CALL_RECORDING_MAX_MB', 20) * 1024 * 1024;
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: readNumberSetting('CALL_RECORDING_TIMEOUT_MS', 30000),
+    maxContentLength: maxBytes,
+    maxRedirects: 3,
+    beforeRedirect: (options) => checkRecordingUrl(options.href)
+  });
+
+  return {
+    buffer: Buffer.from(response.data),
+    contentType: String(response.headers['content-type'] || '').split(';')[0].trim() || null
+  };
+}
+
+/**
+ * Имя файла записи: call-<id звонка>.<расширение из URL или Content-Type>
+ */
+function getRecordingFileName(data, url, contentType) {
+  const urlExt = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+  const ext = EXTENSIONS[contentType] || (/^[a-z0-9]{2,4}$/.test(urlExt) ? urlExt : 'mp3');
+  const id = String(data.call?.id ?? Date.now()).replace(/[^\w.-]/g, '_');
+  return `call-${id}.${ext}`;
+}
+
+/**
+ * Сохраняет копию записи и удаляет копии старше CALL_RECORDING_RETENTION_DAYS
+ */
+function keepLocalCopy(fileName, buffer) {
+  const days = readNumberSetting('CALL_RECORDING_RETENTION_DAYS', 0);
+  if (days === 0) {
+    return;
+  }
+
+  try {
+    const dir = path.join(getDataDir(), 'recordings', getCurrentTenant().id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, fileName), buffer);
+
+    const expiresBefore = Date.now() - days * 24 * 60 * 60 * 1000;
+    for (const name of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, name);
+      if (fs.statSync(filePath).mtimeMs < expiresBefore) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  } catch (error) {
+    log.warn('Не удалось сохранить копию записи', { error: error.message });
+  }
+}
+
+async function addComment(owner, comment, files) {
+  const response = await callBitrix('crm.timeline.comment.add', {
+    fields: {
+      ENTITY_ID: owner.entityId,
+      ENTITY_TYPE: owner.entityType,
+      COMMENT: comment,
+      ...(files ? { FILES: files } : {})
+    }
+  });
+  return Number(response.result);
+}
+
+/**
+ * Скачивает запись и сохраняет ее в Bitrix
+ * @param {Object} data - Данные вебхука
+ * @param {Object} owner - { entityType, entityId }
+ * @param {String} mode - timeline | disk
+ * @returns {Promise<Object>} - { status: 'attached' | 'uploaded' | 'linked' | 'failed', ... }
+ */
+async function attachRecording(data, owner, mode) {
+  const url = data.call.recordUrl;
+
+  try {
+    const { buffer, contentType } = await downloadRecording(url);
+    const fileName = getRecordingFileName(data, url, contentType);
+    keepLocalCopy(fileName, buffer);
+
+    if (mode === 'disk') {
+      const folderId = getTenantSetting('CALL_RECORDING_FOLDER_ID');
+      if (!folderId) {
+        throw new Error('не задан CALL_RECORDING_FOLDER_ID');
+      }
+
+      const upload = await callBitrix('disk.folder.uploadfile', {
+        id: folderId,
+        data: { NAME: fileName },
+        fileContent: [fileName, buffer.toString('base64')],
+        generateUniqueName: true
+      });
+      const file = upload.result || {};
+      const commentId = await addComment(owner, `Запись звонка: ${file.DETAIL_URL || file.NAME || fileName}`);
+
+      log.info(`Запись звонка загружена на Диск (${buffer.length} байт)`, { fileId: file.ID, commentId });
+      return { status: 'uploaded', fileId: Number(file.ID) || null, commentId, size: buffer.length };
+    }
+
+    const commentId = await addComment(owner, 'Запись звонка', [[fileName, buffer.toString('base64')]]);
+    log.info(`Запись звонка приложена к ${owner.entityType} ${owner.entityId} (${buffer.length} байт)`, { commentId });
+    return { status: 'attached', commentId, size: buffer.length };
+  } catch (error) {
+    log.error('Не удалось сохранить запись звонка в Bitrix', { error: error.message });
+
+    if ((getTenantSetting('CALL_RECORDING_ON_ERROR') || 'link').toLowerCase() === 'skip') {
+      return { status: 'failed', error: error.message };
+    }
+
+    try {
+      const commentId = await addComment(owner, `Запись звонка (ссылка может перестать работать): ${url}`);
+      return { status: 'linked', commentId, error: error.message };
+    } catch (commentError) {
+      return { status: 'failed', error: `${error.message}; ${commentError.message}` };
+    }
+  }
+}
+
+/**
+ * Текст расшифровки: строка как есть или реплики [{ role, text }] построчно
+ * @param {String|Object[]} transcript - call.transcript
+ * @returns {String}
+ */
+function formatTranscript(transcript) {
+  const text = Array.isArray(transcript)
+    ? transcript
+      .map(item => {
+        const role = String(item.role || item.speaker || '').toLowerCase();
+        const line = item.text ?? item.message ?? item.content ?? '';
+        return line ? `${TRANSCRIPT_ROLES[role] || role || '—'}: ${line}` : null;
+      })
+      .filter(Boolean)
+      .join('\n')
+    : String(transcript || '').trim();
+
+  return text.length > MAX_TRANSCRIPT_LENGTH ? `${text.substring(0, MAX_TRANSCRIPT_LENGTH)}…` : text;
+}
+
+async function postTranscript(data, owner) {
+  const text = formatTranscript(data.call.transcript);
+  if (!text) {
+    return null;
+  }
+
+  try {
+    const commentId = await addComment(owner, `Расшифровка звонка:\n${text}`);
+    log.info(`Расшифровка добавлена в ${owner.entityType} ${owner.entityId}`, { commentId });
+    return { status: 'posted', commentId };
+  } catch (error) {
+    log.error('Не удалось добавить расшифровку звонка', { error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Сохраняет запись и расшифровку звонка в таймлайне сущности (по настройкам тенанта)
+ * @param {Object} data - Данные вебхука
+ * @param {Object|null} owner - { entityType, entityId } — лид, а если его нет — сделка или контакт
+ * @returns {Promise<Object>} - { recording?, transcript? } — только выполненные шаги
+ */
+async function attachCallMedia(data, owner) {
+  const result = {};
+  if (!owner) {
+    return result;
+  }
+
+  const mode = getRecordingMode();
+  if (mode !== 'off' && data.call?.recordUrl) {
+    result.recording = await attachRecording(data, owner, mode);
+  }
+
+  if (getTenantSetting('CALL_TRANSCRIPT') === 'true' && data.call?.transcript) {
+    const transcript = await postTranscript(data, owner);
+    if (transcript) {
+      result.transcript = transcript;
+    }
+  }
+
+  return result;
+}
+
+let mediaQueue = null;
+
+/**
+ * Очередь media: задачи { call: { id, recordUrl, transcript }, owner } → attachCallMedia()
+ * @returns {Object} - API очереди (см. createDeliveryQueue)
+ */
+function getCallMediaQueue() {
+  if (!mediaQueue) {
+    mediaQueue = createDeliveryQueue({
+      name: 'media',
+      handler: ({ call, owner }) => attachCallMedia({ call }, owner)
+    });
+  }
+  return mediaQueue;
+}
+
+/**
+ * Ставит сохранение записи и расшифровки звонка в очередь media (по настройкам тенанта)
+ * @param {Object} data - Данные вебхука
+ * @param {Object|null} owner - { entityType, entityId } — лид, а если его нет — сделка или контакт
+ * @returns {Object} - { media: { status: 'queued', jobId } } или пустой объект, если сохранять нечего
+ */
+function scheduleCallMedia(data, owner) {
+  const recording = getRecordingMode() !== 'off' && Boolean(data.call?.recordUrl);
+  const transcript = getTenantSetting('CALL_TRANSCRIPT') === 'true' && Boolean(data.call?.transcript);
+  if (!owner || (!recording && !transcript)) {
+    return {};
+  }
+
+  const call = { id: data.call.id, recordUrl: data.call.recordUrl, transcript: data.call.transcript };
+  const job = getCallMediaQueue().enqueue({ call, owner }, { tenantId: getCurrentTenant().id });
+  log.info('Запись и расшифровка звонка поставлены в очередь', { mediaJobId: job.id });
+  return { media: { status: 'queued', jobId: job.id } };
+}
+
+module.exports = {
+  attachCallMedia,
+  scheduleCallMedia,
+  getCallMediaQueue
+};
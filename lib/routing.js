@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getValueByPath } = require('../mapping');
+const { getTenants, runWithTenant, getTenantSetting } = require('./tenants');
+const { createLogger } = require('./logger');
+
+/**
+ * Правила маршрутизации звонков
+ *
+ * ROUTING_RULES_FILE — JSON/YAML файл с правилами (пример — config/routing.example.yaml).
+ * Правила проверяются по порядку до applyMapping(), срабатывает первое подходящее.
+ * Файл перечитывается при изменении; если в новой версии ошибка, остаются прежние правила.
+ * У каждого тенанта может быть свой ROUTING_RULES_FILE.
+ *
+ * Правило:
+ *   name: имя для логов и ответа
+ *   when: { путь: условие, ... } — все условия должны выполниться (пустое when — всегда)
+ *   then:
+ *     action: create | skip        — записывать звонок в CRM или пропустить
+ *     entities: [contact, lead, deal] — какие сущности создавать (вместо CRM_PIPELINE)
+ *     lead / contact / deal: { ПОЛЕ: значение } — поля поверх маппинга (STATUS_ID, ASSIGNED_BY_ID, SOURCE_ID…)
+ *
+ * Условие — значение (равенство; для массива — содержит) или объект операторов:
+ *   eq, ne, in, nin, includes, exists, gt, gte, lt, lte, matches (регулярное выражение)
+ */
+
+const log = createLogger('ROUTING');
+
+const ACTIONS = ['create', 'skip'];
+const ENTITIES = ['contact', 'lead', 'deal'];
+
+const OPERATORS = {
+  eq: (actual, expected) => (Array.isArray(actual) ? actual.includes(expected) : actual === expected),
+  ne: (actual, expected) => !OPERATORS.eq(actual, expected),
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  includes: (actual, expected) => {
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+  },
+  exists: (actual, expected) => {
+    const present = actual !== null && actual !== undefined && actual !== '' &&
+      !(Array.isArray(actual) && actual.length === 0);
+    return expected ? present : !present;
+  },
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  matches: (actual, expected) => actual != null && new RegExp(expected, 'i').test(String(actual))
+};
+
+// Загруженные файлы правил: абсолютный путь → правила
+const ruleFiles = new Map();
+
+const isOperatorObject = (condition) =>
+  condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+
+/**
+ * Проверяет, подходят ли данные под условия when
+ * @param {Object} when - { путь: условие }
+ * @param {Object} data - Данные вебхука
+ * @returns {Boolean}
+ */
+function matchConditions(when, data) {
+  return Object.entries(when || {}).every(([fieldPath, condition]) => {
+    const actual = getValueByPath(data, fieldPath);
+
+    if (!isOperatorObject(condition)) {
+      return OPERATORS.eq(actual, condition);
+    }
+
+    // Неизвестный оператор (в том числе "constructor" и т.п. из Object.prototype) не выполняется
+    return Object.entries(condition).every(([operator, expected]) =>
+      Object.hasOwn(OPERATORS, operator) && OPERATORS[operator](actual, expected));
+  });
+}
+
+/**
+ * Проверяет условия when: объект { путь: условие } с известными операторами
+ * @param {Object} when
+ * @param {String} prefix - Путь к условиям для текста ошибок (rules[0].when)
+ * @returns {String[]} - Ошибки
+ */
+function validateConditions(when, prefix) {
+  if (when === undefined) {
+    return [];
+  }
+  if (!isOperatorObject(when)) {
+    return [`${prefix}: должен быть объектом { путь: условие }`];
+  }
+
+  const errors = [];
+  for (const [fieldPath, condition] of Object.entries(when)) {
+    if (!isOperatorObject(condition)) continue;
+    for (const [operator, expected] of Object.entries(condition)) {
+      if (!Object.hasOwn(OPERATORS, operator)) {
+        errors.push(`${prefix}.${fieldPath}: неизвестный оператор "${operator}"`);
+      } else if (operator === 'matches') {
+        try {
+          new RegExp(expected);
+        } catch (error) {
+          errors.push(`${prefix}.${fieldPath}.matches: ${error.message}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Проверяет формат правил
+ * @param {Object} config - Разобранный файл ({ rules: [...] })
+ * @returns {Object[]} - Правила
+ * @throws {Error} - Со списком всех найденных ошибок
+ */
+function validateRoutingRules(config) {
+  const errors = [];
+  const list = config?.rules;
+
+  if (!Array.isArray(list)) {
+    throw new Error('Файл правил должен содержать список rules');
+  }
+
+  list.forEach((rule, index) => {
+    const rulePath = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${rulePath}: правило должно быть объектом`);
+      return;
+    }
+    if (!rule.name) {
+      errors.push(`${rulePath}: не указано name`);
+    }
+    errors.push(...validateConditions(rule.when, `${rulePath}.when`));
+
+    const then = rule.then || {};
+    if (then.action !== undefined && !ACTIONS.includes(then.action)) {
+      errors.push(`${rulePath}.then.action: допустимы ${ACTIONS.join(', ')}`);
+    }
+    if (then.entities !== undefined &&
+      (!Array.isArray(then.entities) || then.entities.some(entity => !ENTITIES.includes(entity)))) {
+      errors.push(`${rulePath}.then.entities: список из ${ENTITIES.join(', ')}`);
+    }
+    for (const entity of ENTITIES) {
+      if (then[entity] !== undefined && !isOperatorObject(then[entity])) {
+        errors.push(`${rulePath}.then.${entity}: должен быть объектом { ПОЛЕ: значение }`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Ошибки в файле правил:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return list;
+}
+
+/**
+ * Загружает и проверяет файл правил
+ * @param {String} filePath
+ * @returns {Object[]}
+ */
+function loadRoutingRules(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  return validateRoutingRules(config);
+}
+
+function reloadRoutingRules(filePath) {
+  try {
+    const rules = loadRoutingRules(filePath);
+    ruleFiles.set(filePath, rules);
+    log.info(`Правила перезагружены из ${filePath} (${rules.length} шт.)`);
+  } catch (error) {
+    log.error(`Не удалось перезагрузить ${filePath}, используются предыдущие правила`, { error: error.message });
+  }
+}
+
+/**
+ * Загружает файл правил (один раз на путь) и следит за его изменениями
+ * @param {String} filePath - Абсолютный путь
+ * @returns {Object[]}
+ */
+function watchRoutingRules(filePath) {
+  if (ruleFiles.has(filePath)) {
+    return ruleFiles.get(filePath);
+  }
+
+  const rules = loadRoutingRules(filePath);
+  ruleFiles.set(filePath, rules);
+  log.info(`Загружено правил: ${rules.length} из ${filePath}`);
+
+  const interval = parseInt(process.env.MAPPING_RELOAD_INTERVAL_MS, 10) || 2000;
+  fs.watchFile(filePath, { interval }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      reloadRoutingRules(filePath);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Загружает ROUTING_RULES_FILE всех тенантов (если задан) и следит за изменениями.
+ * При старте ошибка в файле фатальна.
+ */
+function initRoutingRules() {
+  for (const tenant of getTenants()) {
+    const filePath = runWithTenant(tenant, () => getTenantSetting('ROUTING_RULES_FILE'));
+    if (!filePath) {
+      log.info('ROUTING_RULES_FILE не задан, правила маршрутизации отключены', { tenant: tenant.id });
+      continue;
+    }
+
+    watchRoutingRules(path.resolve(filePath));
+  }
+}
+
+/**
+ * Находит первое подходящее правило для звонка
+ * @param {Object} data - Данные вебхука
+ * @returns {{ rule: String|null, action: String, entities: String[]|null, fields: Object }}
+ */
+function evaluateRoutingRules(data) {
+  const filePath = getTenantSetting('ROUTING_RULES_FILE');
+  const rules = filePath ? watchRoutingRules(path.resolve(filePath)) : [];
+  const rule = rules.find(r => matchConditions(r.when, data));
+
+  if (!rule) {
+    if (rules.length > 0) {
+      log.debug('Ни одно правило не подошло, используются настройки по умолчанию');
+    }
+    return { rule: null, action: 'create', entities: null, fields: { lead: {}, contact: {}, deal: {} } };
+  }
+
+  const then = rule.then || {};
+  log.info(`Сработало правило "${rule.name}"`, { rule: rule.name, action: then.action || 'create' });
+
+  return {
+    rule: rule.name,
+    action: then.action || 'create',
+    entities: then.entities || null,
+    fields: {
+      lead: then.lead || {},
+      contact: then.contact || {},
+      deal: then.deal || {}
+    }
+  };
+}
+
+module.exports = {
+  initRoutingRules,
+  evaluateRoutingRules,
+  matchConditions,
+  validateConditions,
+  loadRoutingRules,
+  validateRoutingRules
+};
@@ -0,0 +1,97 @@
+const { requireAdmin } = require('./admin');
+const { createLogger } = require('./logger');
+
+/**
+ * Песочница для тестовых endpoint'ов (/test/...): доступ к ним и сравнение версий маппинга
+ *
+ * TEST_ENDPOINTS — кому доступны тестовые endpoint'ы:
+ * - open: всем, без авторизации (по умолчанию вне production)
+ * - admin: по ADMIN_TOKEN, как /admin (по умолчанию при NODE_ENV=production;
+ *   без ADMIN_TOKEN endpoint'ы отвечают 503)
+ * - off: отключены, ответ 404
+ */
+
+const log = createLogger('SANDBOX');
+
+const MODES = ['open', 'admin', 'off'];
+
+/**
+ * Режим доступа к тестовым endpoint'ам
+ * @returns {String} - open | admin | off
+ */
+function getTestEndpointsMode() {
+  const fallback = process.env.NODE_ENV === 'production' ? 'admin' : 'open';
+  const mode = (process.env.TEST_ENDPOINTS || fallback).toLowerCase();
+
+  if (!MODES.includes(mode)) {
+    log.warn(`Неизвестный режим TEST_ENDPOINTS="${mode}", тестовые endpoint'ы отключены`);
+    return 'off';
+  }
+  return mode;
+}
+
+/**
+ * Middleware доступа к тестовым endpoint'ам по TEST_ENDPOINTS
+ */
+function requireTestEndpoints(req, res, next) {
+  const mode = getTestEndpointsMode();
+
+  if (mode === 'off') {
+    return res.status(404).json({ success: false, error: 'Тестовые endpoint\'ы отключены (TEST_ENDPOINTS=off)' });
+  }
+  if (mode === 'admin') {
+    return requireAdmin(req, res, next);
+  }
+  next();
+}
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Сравнивает запросы в Bitrix двух пробных прогонов (см. dryRunCrmPipeline)
+ * @param {Object} base - Прогон с текущим маппингом
+ * @param {Object} candidate - Прогон с новой версией маппинга
+ * @returns {Object} - По ключу шага (contact, lead, deal): method { base, candidate }, если метод
+ *   изменился, и поля added, removed, changed ({ base, candidate }); шаги без изменений не попадают
+ */
+function diffDryRuns(base, candidate) {
+  const baseRequests = Object.fromEntries(base.requests.map(request => [request.key, request]));
+  const candidateRequests = Object.fromEntries(candidate.requests.map(request => [request.key, request]));
+  const keys = [...new Set([...Object.keys(baseRequests), ...Object.keys(candidateRequests)])];
+  const diff = {};
+
+  for (const key of keys) {
+    const before = baseRequests[key];
+    const after = candidateRequests[key];
+    const beforeFields = before?.params.fields || {};
+    const afterFields = after?.params.fields || {};
+    const entry = { added: {}, removed: {}, changed: {} };
+
+    if (before?.method !== after?.method) {
+      entry.method = { base: before?.method || null, candidate: after?.method || null };
+    }
+
+    for (const field of new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])) {
+      if (!(field in beforeFields)) {
+        entry.added[field] = afterFields[field];
+      } else if (!(field in afterFields)) {
+        entry.removed[field] = beforeFields[field];
+      } else if (!isSameValue(beforeFields[field], afterFields[field])) {
+        entry.changed[field] = { base: beforeFields[field], candidate: afterFields[field] };
+      }
+    }
+
+    const hasChanges = entry.method || [entry.added, entry.removed, entry.changed].some(part => Object.keys(part).length > 0);
+    if (hasChanges) {
+      diff[key] = entry;
+    }
+  }
+
+  return diff;
+}
+
+module.exports = {
+  getTestEndpointsMode,
+  requireTestEndpoints,
+  diffDryRuns
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('STORE');
+
+/**
+ * Простое персистентное хранилище в JSON-файлах
+ *
+ * Файлы лежат в DATA_DIR (по умолчанию ./data, в Docker монтируется как volume).
+ * Запись атомарная: пишем во временный файл и переименовываем его,
+ * чтобы при падении процесса не остался обрезанный JSON.
+ */
+
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+/**
+ * Создает хранилище для одного JSON-файла
+ * @param {String} fileName - Имя файла внутри DATA_DIR
+ * @param {*} defaultValue - Значение, если файла еще нет
+ * @returns {{ read: Function, write: Function, filePath: String }}
+ */
+function createJsonStore(fileName, defaultValue) {
+  const dataDir = getDataDir();
+  const filePath = path.join(dataDir, fileName);
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Не удалось прочитать ${filePath}`, { error: error.message });
+      }
+      return JSON.parse(JSON.stringify(defaultValue));
+    }
+  }
+
+  function write(data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { read, write, filePath };
+}
+
+module.exports = {
+  createJsonStore,
+  getDataDir
+};
@@ -0,0 +1,338 @@
+const { formatDuration } = require('./format');
+const { DEFAULT_TIMEZONE, resolveTimezone, parseDate, getAgreementsDate, formatDate, toBitrixDateTime } = require('./datetime');
+const { normalizePhone } = require('./phone');
+
+/**
+ * Шаблонизатор для текстовых полей Bitrix (COMMENTS и т.п.)
+ *
+ * Синтаксис:
+ *   {{call.duration | duration}}          — значение по пути с фильтрами
+ *   {{contact.phone | phone:"+" | default:"—"}}
+ *   {{{call.recordUrl}}}                  — без экранирования
+ *   {{#if путь}}...{{else}}...{{/if}}     — пустые строки, массивы и объекты считаются ложью
+ *   {{#unless путь}}...{{/unless}}
+ *   {{#each путь}}...{{else}}...{{/each}} — по массиву или объекту:
+ *                                           {{this}}, {{@index}}, {{@key}}, {{@first}}, {{@last}}
+ *   {{! комментарий }}
+ * Строка, на которой стоит только блочный тег или комментарий, целиком убирается из результата.
+ *
+ * Экранирование подставляемых значений (escape):
+ * - bbcode: квадратные скобки, чтобы данные клиента не превращались в теги Bitrix
+ * - html: & < > " '
+ * - none: без экранирования
+ */
+
+const ESCAPERS = {
+  none: (value) => value,
+  html: (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;'),
+  bbcode: (value) => value
+    .replace(/\[/g, '&#91;')
+    .replace(/\]/g, '&#93;')
+};
+
+const isEmpty = (value) => value == null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+/**
+ * Фильтры: (value, ...args) => value.
+ * Вызываются с this = { root } — данные шаблона целиком (нужны, например, для часового пояса клиента)
+ */
+const filters = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  duration: (value) => (value == null ? value : formatDuration(value)),
+  // Дата по часам клиента или TIMEZONE тенанта (см. lib/datetime.js): date или date:"Asia/Omsk"
+  date: function (value, timezone = resolveTimezone(this.root)) {
+    const date = parseDate(value);
+    return date ? formatDate(date, timezone) : value;
+  },
+  mskDate: function (value) {
+    return filters.date.call(this, value, DEFAULT_TIMEZONE);
+  },
+  bitrixDate: function (value, timezone = resolveTimezone(this.root)) {
+    const date = parseDate(value);
+    return date ? toBitrixDateTime(date, timezone) : value;
+  },
+  // {{call.agreements | agreementsTime}} — agreements_time (UTC) или agreements_time_local (по часам клиента)
+  agreementsTime: function (value, timezone = resolveTimezone(this.root)) {
+    const date = getAgreementsDate(value, this.root);
+    return date ? formatDate(date, timezone) : null;
+  },
+  // Цифры номера в E.164 (см. lib/phone.js): phone:"+" — +79001234567
+  phone: (value, prefix = '') => {
+    const phone = normalizePhone(value, { plus: false });
+    return phone ? `${prefix}${phone}` : null;
+  },
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  upper: (value) => (value == null ? value : String(value).toUpperCase()),
+  lower: (value) => (value == null ? value : String(value).toLowerCase()),
+  trim: (value) => (value == null ? value : String(value).trim()),
+  truncate: (value, length = 255) => (value == null ? value : String(value).substring(0, Number(length))),
+  json: (value) => JSON.stringify(value)
+};
+
+// Делит строку по разделителю, не заглядывая внутрь кавычек
+function splitOutsideQuotes(str, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of str) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+/**
+ * Разбирает выражение "путь | фильтр:арг1:арг2 | фильтр2"
+ * Аргументы в кавычках — строки, числа — числа, остальное — пути в данных.
+ */
+function parseExpression(expression) {
+  const [path, ...filterParts] = splitOutsideQuotes(expression, '|');
+
+  const parsedFilters = filterParts.map(part => {
+    const [name, ...args] = splitOutsideQuotes(part, ':');
+    // Только свои фильтры: "constructor", "toString" и т.п. из Object.prototype — неизвестные
+    if (!Object.hasOwn(filters, name)) {
+      throw new Error(`Неизвестный фильтр "${name}" в выражении "${expression}"`);
+    }
+    return {
+      name,
+      args: args.map(arg => {
+        if (/^(["']).*\1$/.test(arg)) return { literal: arg.slice(1, -1) };
+        if (/^-?\d+(\.\d+)?$/.test(arg)) return { literal: Number(arg) };
+        return { path: arg };
+      })
+    };
+  });
+
+  if (!path) {
+    throw new Error(`Пустое выражение в шаблоне: "{{${expression}}}"`);
+  }
+
+  return { path, filters: parsedFilters };
+}
+
+/**
+ * Разбивает шаблон на текст и теги
+ */
+function tokenize(source) {
+  // Строки, где стоит только блочный тег или комментарий, убираем вместе с переводом строки
+  const normalized = source.replace(
+    /^[ \t]*(\{\{(?:[#/!][^}]*|else)\}\})[ \t]*\r?\n/gm,
+    '$1'
+  );
+
+  const tokens = [];
+  const tagRegex = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagRegex.exec(normalized))) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: normalized.slice(lastIndex, match.index) });
+    }
+    tokens.push(match[1] !== undefined
+      ? { type: 'tag', raw: true, content: match[1].trim() }
+      : { type: 'tag', raw: false, content: match[2].trim() });
+    lastIndex = tagRegex.lastIndex;
+  }
+
+  if (lastIndex < normalized.length) {
+    tokens.push({ type: 'text', value: normalized.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Строит дерево шаблона из токенов
+ */
+function parse(tokens) {
+  const root = { body: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inElse ? current().elseBody : current().body);
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      target().push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { content } = token;
+
+    if (content.startsWith('!')) {
+      continue;
+    }
+
+    const blockOpen = content.match(/^#(if|unless|each)\s+(.+)$/);
+    if (blockOpen) {
+      const node = {
+        type: blockOpen[1],
+        expression: parseExpression(blockOpen[2]),
+        body: [],
+        elseBody: [],
+        inElse: false
+      };
+      target().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (content === 'else') {
+      if (stack.length === 1 || current().inElse) {
+        throw new Error('{{else}} вне блока #if/#unless/#each');
+      }
+      current().inElse = true;
+      continue;
+    }
+
+    const blockClose = content.match(/^\/(if|unless|each)$/);
+    if (blockClose) {
+      if (stack.length === 1 || current().type !== blockClose[1]) {
+        throw new Error(`Лишний или несогласованный {{/${blockClose[1]}}}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (content.startsWith('#') || content.startsWith('/')) {
+      throw new Error(`Неизвестный блок "{{${content}}}"`);
+    }
+
+    target().push({ type: 'var', expression: parseExpression(content), raw: token.raw });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Не закрыт блок {{#${current().type}}}`);
+  }
+
+  return root.body;
+}
+
+/**
+ * Ищет значение пути: сначала в текущем элементе #each, затем в корне данных
+ */
+function resolvePath(path, scope) {
+  const frame = scope.frames[scope.frames.length - 1];
+
+  if (path.startsWith('@')) {
+    return frame ? frame[path] : undefined;
+  }
+
+  const keys = path.split('.');
+  let base = scope.root;
+
+  if (keys[0] === 'this') {
+    base = frame ? frame.this : scope.root;
+    keys.shift();
+  } else if (frame && frame.this && typeof frame.this === 'object' && keys[0] in frame.this) {
+    base = frame.this;
+  }
+
+  return keys.reduce((current, key) => (current == null ? undefined : current[key]), base);
+}
+
+function evaluate(expression, scope) {
+  return expression.filters.reduce((value, filter) => {
+    const args = filter.args.map(arg => ('literal' in arg ? arg.literal : resolvePath(arg.path, scope)));
+    return filters[filter.name].call({ root: scope.root }, value, ...args);
+  }, resolvePath(expression.path, scope));
+}
+
+function renderNodes(nodes, scope, escape) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = evaluate(node.expression, scope);
+      if (value == null) continue;
+      const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      output += node.raw ? str : escape(str);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const value = evaluate(node.expression, scope);
+      const truthy = value !== false && !isEmpty(value);
+      const show = node.type === 'if' ? truthy : !truthy;
+      output += renderNodes(show ? node.body : node.elseBody, scope, escape);
+    } else if (node.type === 'each') {
+      const collection = evaluate(node.expression, scope);
+      const entries = Array.isArray(collection)
+        ? collection.map((item, index) => [index, item])
+        : (collection && typeof collection === 'object' ? Object.entries(collection) : []);
+
+      if (entries.length === 0) {
+        output += renderNodes(node.elseBody, scope, escape);
+        continue;
+      }
+
+      entries.forEach(([key, item], index) => {
+        scope.frames.push({
+          this: item,
+          '@key': key,
+          '@index': index,
+          '@first': index === 0,
+          '@last': index === entries.length - 1
+        });
+        output += renderNodes(node.body, scope, escape);
+        scope.frames.pop();
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Компилирует шаблон. Синтаксические ошибки и неизвестные фильтры выбрасываются сразу.
+ * @param {String} source - Текст шаблона
+ * @param {Object} [options]
+ * @param {String} [options.escape='none'] - 'bbcode' | 'html' | 'none'
+ * @returns {Function} - (data) => String
+ */
+function compileTemplate(source, { escape = 'none' } = {}) {
+  const escaper = ESCAPERS[escape];
+  if (!escaper) {
+    throw new Error(`Неизвестный режим экранирования "${escape}" (допустимы: ${Object.keys(ESCAPERS).join(', ')})`);
+  }
+
+  const nodes = parse(tokenize(String(source)));
+  return (data) => renderNodes(nodes, { root: data || {}, frames: [] }, escaper);
+}
+
+/**
+ * Компилирует и сразу применяет шаблон
+ * @param {String} source
+ * @param {Object} data
+ * @param {Object} [options] - См. compileTemplate
+ * @returns {String}
+ */
+function renderTemplate(source, data, options) {
+  return compileTemplate(source, options)(data);
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  filters
+};
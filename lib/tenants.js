@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger, addLogContext } = require('./logger');
+
+/**
+ * Мультитенантность: несколько аккаунтов Sasha AI → разные порталы Bitrix
+ *
+ * TENANTS_FILE — JSON/YAML файл с тенантами (пример — config/tenants.example.yaml).
+ * Вебхук тенанта принимается на /webhook/:tenant, а /webhook обслуживает тенант
+ * default, настроенный переменными окружения, как раньше.
+ *
+ * У тенанта можно переопределить любую настройку из TENANT_SETTINGS. Настройки, от которых
+ * зависит изоляция (ISOLATED_SETTINGS), не наследуются из окружения: у каждого тенанта свой
+ * портал, свое приложение Bitrix и свои секреты. Остальные, если не заданы у тенанта, берутся из окружения.
+ * Тенант без WEBHOOK_SECRET — ошибка в файле: принимать его вебхуки без подписи можно,
+ * только явно задав WEBHOOK_AUTH: off.
+ *
+ * Текущий тенант хранится в AsyncLocalStorage, поэтому модули получают свои настройки
+ * через getTenantSetting() без передачи тенанта по всей цепочке вызовов.
+ */
+
+const DEFAULT_TENANT_ID = 'default';
+
+const TENANT_SETTINGS = [
+  'BITRIX_WEBHOOK_URL',
+  'BITRIX_AUTH_MODE',
+  'BITRIX_PORTAL',
+  'BITRIX_CLIENT_ID',
+  'BITRIX_CLIENT_SECRET',
+  'WEBHOOK_SECRET',
+  'WEBHOOK_AUTH',
+  'WEBHOOK_SIGNATURE_HEADER',
+  'WEBHOOK_TIMESTAMP_HEADER',
+  'WEBHOOK_DELIVERY_ID_HEADER',
+  'WEBHOOK_SCHEMA_MODE',
+  'MAPPING_FILE',
+  'ROUTING_RULES_FILE',
+  'TEMPLATES_DIR',
+  'CRM_PIPELINE',
+  'DEAL_REQUIRES_AGREEMENTS',
+  'LEAD_MATCH_STRATEGY',
+  'LEAD_MATCH_SEARCH',
+  'PHONE_DEFAULT_COUNTRY',
+  'PHONE_INVALID',
+  'TIMEZONE',
+  'TIMEZONE_FROM_CONTACT',
+  'CALLBACK_REMINDER',
+  'CALLBACK_RESPONSIBLE_ID',
+  'CALLBACK_DURATION_MIN',
+  'CALL_RECORDING',
+  'CALL_RECORDING_FOLDER_ID',
+  'CALL_RECORDING_HOSTS',
+  'CALL_RECORDING_MAX_MB',
+  'CALL_RECORDING_TIMEOUT_MS',
+  'CALL_RECORDING_RETENTION_DAYS',
+  'CALL_RECORDING_ON_ERROR',
+  'CALL_TRANSCRIPT',
+  'NOTIFIERS_FILE',
+  'NOTIFY_TELEGRAM_BOT_TOKEN',
+  'NOTIFY_TELEGRAM_API_URL',
+  'NOTIFY_SMTP_URL',
+  'NOTIFY_EMAIL_FROM',
+  'NOTIFY_TIMEOUT_MS'
+];
+
+const ISOLATED_SETTINGS = [
+  'BITRIX_WEBHOOK_URL',
+  'BITRIX_PORTAL',
+  'BITRIX_CLIENT_ID',
+  'BITRIX_CLIENT_SECRET',
+  'WEBHOOK_SECRET',
+  'WEBHOOK_AUTH'
+];
+
+// Настройки локального приложения Bitrix для авторизации по OAuth (см. lib/bitrix-oauth.js)
+const OAUTH_SETTINGS = ['BITRIX_PORTAL', 'BITRIX_CLIENT_ID', 'BITRIX_CLIENT_SECRET'];
+
+const STAT_NAMES = ['received', 'invalid', 'ignored', 'duplicate', 'queued', 'processed', 'failed'];
+
+const tenantContext = new AsyncLocalStorage();
+const log = createLogger('TENANTS');
+
+function createStats() {
+  return Object.fromEntries(STAT_NAMES.map(name => [name, 0]));
+}
+
+function createDefaultTenant() {
+  return { id: DEFAULT_TENANT_ID, settings: {}, stats: createStats() };
+}
+
+let tenants = new Map([[DEFAULT_TENANT_ID, createDefaultTenant()]]);
+
+/**
+ * Проверяет файл тенантов
+ * @param {Object} config - Разобранный файл ({ tenants: { id: { НАСТРОЙКА: значение } } })
+ * @returns {Map<String, Object>}
+ * @throws {Error} - Со списком всех найденных ошибок
+ */
+function validateTenantsConfig(config) {
+  const errors = [];
+  const result = new Map();
+  const list = config?.tenants;
+
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    throw new Error('Файл тенантов должен содержать объект tenants: { id: настройки }');
+  }
+
+  for (const [id, settings] of Object.entries(list)) {
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      errors.push(`${id}: id тенанта может содержать только латиницу, цифры, "-" и "_"`);
+      continue;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${id}: настройки должны быть объектом`);
+      continue;
+    }
+
+    const unknown = Object.keys(settings).filter(key => !TENANT_SETTINGS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${id}: неизвестные настройки ${unknown.join(', ')}`);
+    }
+    if (settings.BITRIX_AUTH_MODE && !['webhook', 'oauth'].includes(String(settings.BITRIX_AUTH_MODE).toLowerCase())) {
+      errors.push(`${id}: BITRIX_AUTH_MODE должен быть webhook или oauth`);
+    }
+    if (id !== DEFAULT_TENANT_ID && !settings.BITRIX_WEBHOOK_URL) {
+      const missing = OAUTH_SETTINGS.filter(name => !settings[name]);
+      if (missing.length === OAUTH_SETTINGS.length) {
+        errors.push(`${id}: не задан BITRIX_WEBHOOK_URL или BITRIX_PORTAL, BITRIX_CLIENT_ID и BITRIX_CLIENT_SECRET`);
+      } else if (missing.length > 0) {
+        errors.push(`${id}: для OAuth не заданы ${missing.join(', ')}`);
+      }
+    }
+
+    // Секреты можно указать списком, внутри храним как в WEBHOOK_SECRET — через запятую
+    const normalized = { ...settings };
+    if (Array.isArray(normalized.WEBHOOK_SECRET)) {
+      normalized.WEBHOOK_SECRET = normalized.WEBHOOK_SECRET.join(',');
+    }
+
+    const hasSecret = String(normalized.WEBHOOK_SECRET ?? '').split(',').some(secret => secret.trim());
+    const auth = settings.WEBHOOK_AUTH === undefined ? null : String(settings.WEBHOOK_AUTH).toLowerCase();
+    if (auth !== null && !['on', 'off'].includes(auth)) {
+      errors.push(`${id}: WEBHOOK_AUTH должен быть on или off`);
+    } else if (id !== DEFAULT_TENANT_ID && !hasSecret && auth !== 'off') {
+      errors.push(`${id}: не задан WEBHOOK_SECRET (чтобы принимать вебхуки без подписи, задайте WEBHOOK_AUTH: off)`);
+    }
+
+    result.set(id, { id, settings: normalized, stats: createStats() });
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Ошибки в файле тенантов:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Загружает TENANTS_FILE (если задан). Тенант default есть всегда.
+ * Ошибка в файле фатальна: сервер не запускается.
+ */
+function initTenants() {
+  const filePath = process.env.TENANTS_FILE;
+  tenants = new Map([[DEFAULT_TENANT_ID, createDefaultTenant()]]);
+
+  if (!filePath) {
+    return;
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+
+  for (const [id, tenant] of validateTenantsConfig(config)) {
+    tenants.set(id, tenant);
+  }
+
+  log.info(`Загружено тенантов: ${tenants.size - 1} из ${filePath} (+ default)`);
+}
+
+/**
+ * @param {String} id
+ * @returns {Object|null}
+ */
+function getTenant(id) {
+  return tenants.get(id) || null;
+}
+
+function getTenants() {
+  return [...tenants.values()];
+}
+
+/**
+ * Текущий тенант из контекста (вне контекста — default)
+ * @returns {Object}
+ */
+function getCurrentTenant() {
+  return tenantContext.getStore() || getTenant(DEFAULT_TENANT_ID);
+}
+
+/**
+ * Выполняет fn в контексте тенанта
+ * @param {Object} tenant
+ * @param {Function} fn
+ */
+function runWithTenant(tenant, fn) {
+  return tenantContext.run(tenant, fn);
+}
+
+/**
+ * Настройка для текущего тенанта
+ * @param {String} name - Имя переменной окружения, например 'BITRIX_WEBHOOK_URL'
+ * @returns {String|undefined}
+ */
+function getTenantSetting(name) {
+  const tenant = getCurrentTenant();
+  const value = tenant.settings[name];
+
+  if (value !== undefined && value !== null) {
+    return String(value);
+  }
+  if (tenant.id !== DEFAULT_TENANT_ID && ISOLATED_SETTINGS.includes(name)) {
+    return undefined;
+  }
+
+  return process.env[name];
+}
+
+/**
+ * Увеличивает счетчик статистики текущего тенанта
+ * @param {String} name - Один из STAT_NAMES
+ */
+function recordTenantStat(name) {
+  const tenant = getCurrentTenant();
+  tenant.stats[name] = (tenant.stats[name] || 0) + 1;
+}
+
+/**
+ * Ключ с префиксом тенанта, чтобы данные разных тенантов не пересекались
+ * (дедупликация, защита от повторов). Для default префикса нет — старые записи остаются валидными.
+ * @param {String} key
+ * @returns {String}
+ */
+function tenantScopedKey(key) {
+  const tenant = getCurrentTenant();
+  return tenant.id === DEFAULT_TENANT_ID ? key : `${tenant.id}/${key}`;
+}
+
+/**
+ * Express middleware: определяет тенанта по :tenant в пути и запускает
+ * остальную обработку запроса в его контексте
+ */
+function resolveTenant(req, res, next) {
+  const id = req.params.tenant || DEFAULT_TENANT_ID;
+  const tenant = getTenant(id);
+
+  if (!tenant) {
+    log.warn(`Неизвестный тенант "${id}"`);
+    return res.status(404).json({ success: false, error: `Неизвестный тенант "${id}"` });
+  }
+
+  req.tenant = tenant;
+  addLogContext({ tenant: tenant.id });
+  runWithTenant(tenant, next);
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  initTenants,
+  getTenant,
+  getTenants,
+  getCurrentTenant,
+  runWithTenant,
+  getTenantSetting,
+  recordTenantStat,
+  tenantScopedKey,
+  resolveTenant
+};
@@ -0,0 +1,108 @@
+/**
+ * Библиотека именованных преобразований для маппинга
+ *
+ * В mapping.js transform — обычная функция, а в декларативном файле маппинга
+ * (MAPPING_FILE) на преобразования ссылаются по имени:
+ *   transform: duration
+ *   transform: { name: join, separator: '; ' }
+ *   transform: [trim, { name: template, template: 'Имя: {{value}}' }]
+ * Каждое преобразование получает (value, data, args) и возвращает новое значение.
+ */
+
+const { formatDuration } = require('./format');
+const { DEFAULT_TIMEZONE, resolveTimezone, parseDate, getAgreementsDate, formatDate, toBitrixDateTime } = require('./datetime');
+const { normalizePhone, toPhoneField } = require('./phone');
+const { renderTemplate, compileTemplate } = require('./template');
+const { renderCommentTemplate } = require('./comment-templates');
+
+const transforms = {
+  trim: (value) => {
+    const trimmed = value == null ? '' : String(value).trim();
+    return trimmed || null;
+  },
+
+  // Телефон в E.164 (см. lib/phone.js); { plus: false } — без "+"
+  phone: (value, data, args) => normalizePhone(value, args),
+
+  // Телефон в формате мультиполя Bitrix: [{ VALUE, VALUE_TYPE }];
+  // valueType: auto (по умолчанию) — MOBILE/WORK по DaData или типу номера
+  phoneField: (value, data, args) => toPhoneField(value, data, args),
+
+  duration: (value) => (value == null ? null : formatDuration(value)),
+
+  // Дата по часам клиента или TIMEZONE тенанта (см. lib/datetime.js); строка без пояса — UTC
+  date: (value, data, { timezone = resolveTimezone(data) } = {}) => {
+    const date = parseDate(value);
+    return date ? formatDate(date, timezone) : null;
+  },
+
+  mskDate: (value, data) => transforms.date(value, data, { timezone: DEFAULT_TIMEZONE }),
+
+  // Дата для поля Bitrix типа "дата/время"
+  bitrixDate: (value, data, { timezone = resolveTimezone(data) } = {}) => {
+    const date = parseDate(value);
+    return date ? toBitrixDateTime(date, timezone) : null;
+  },
+
+  // Время договоренности из call.agreements (agreements_time или agreements_time_local),
+  // значение source не используется; format: text (по умолчанию) или bitrix
+  agreementsTime: (value, data, { format = 'text', timezone = resolveTimezone(data) } = {}) => {
+    const date = getAgreementsDate(data?.call?.agreements, data);
+    if (!date) return null;
+    return format === 'bitrix' ? toBitrixDateTime(date, timezone) : formatDate(date, timezone);
+  },
+
+  join: (value, data, { separator = ', ' } = {}) => {
+    if (!Array.isArray(value)) return value;
+    const joined = value.filter(item => item != null && item !== '').join(separator);
+    return joined || null;
+  },
+
+  truncate: (value, data, { length = 255 } = {}) => {
+    return value == null ? value : String(value).substring(0, length);
+  },
+
+  // Шаблон в синтаксисе lib/template.js; {{value}} — текущее значение поля
+  template: (value, data, { template = '', escape = 'none' } = {}) => {
+    const rendered = renderTemplate(template, { ...data, value }, { escape }).trim();
+    return rendered || null;
+  },
+
+  // Шаблон из TEMPLATES_DIR (см. templates/comments.yaml); без name — выбор по правилам
+  commentTemplate: (value, data, { name } = {}) => renderCommentTemplate(data, name) || null
+};
+
+/**
+ * Превращает описание преобразования из файла маппинга в функцию (value, data) => value
+ * @param {Function|String|Object|Array} spec - Функция, имя, { name, ...args } или цепочка
+ * @returns {Function}
+ */
+function resolveTransform(spec) {
+  if (typeof spec === 'function') {
+    return spec;
+  }
+
+  if (Array.isArray(spec)) {
+    const chain = spec.map(resolveTransform);
+    return (value, data) => chain.reduce((current, fn) => fn(current, data), value);
+  }
+
+  const { name, ...args } = typeof spec === 'string' ? { name: spec } : (spec || {});
+  // Только свои преобразования: "constructor", "toString" и т.п. из Object.prototype — неизвестные
+  const fn = Object.hasOwn(transforms, name) ? transforms[name] : null;
+  if (!fn) {
+    throw new Error(`Неизвестное преобразование "${name}"`);
+  }
+
+  // Ошибки в шаблоне показываем сразу при загрузке маппинга, а не на первом звонке
+  if (name === 'template') {
+    compileTemplate(args.template || '', { escape: args.escape || 'none' });
+  }
+
+  return (value, data) => fn(value, data, args);
+}
+
+module.exports = {
+  transforms,
+  resolveTransform
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { getTenantSetting, tenantScopedKey } = require('./tenants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('AUTH');
+
+/**
+ * Проверка подписи вебхуков от Sasha AI
+ *
+ * Подпись — HMAC-SHA256 от сырого тела запроса в hex (можно с префиксом "sha256=").
+ * Заголовок времени необязателен: если он есть, время отправки должно попадать в окно
+ * WEBHOOK_TOLERANCE_SEC. Повтор с уже принятым ID доставки отклоняется с 401.
+ * Настройки через переменные окружения:
+ * - WEBHOOK_SECRET: секрет или несколько секретов через запятую (на время ротации)
+ * - WEBHOOK_SIGNATURE_HEADER: заголовок с подписью (по умолчанию x-signature)
+ * - WEBHOOK_TIMESTAMP_HEADER: заголовок с временем отправки (по умолчанию x-timestamp)
+ * - WEBHOOK_DELIVERY_ID_HEADER: заголовок с ID доставки (по умолчанию x-delivery-id)
+ * - WEBHOOK_TOLERANCE_SEC: допустимое расхождение времени в секундах (по умолчанию 300)
+ * Секрет и заголовки берутся из настроек текущего тенанта (см. lib/tenants.js).
+ */
+
+const SHA256_HEX_LENGTH = 64;
+
+// ID уже принятых доставок → время, после которого запись можно забыть
+const seenDeliveries = new Map();
+
+/**
+ * Возвращает список активных секретов из WEBHOOK_SECRET текущего тенанта
+ * @returns {String[]}
+ */
+function getWebhookSecrets() {
+  return (getTenantSetting('WEBHOOK_SECRET') || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Сравнивает подпись с HMAC от payload. Не бросает исключений на подписи
+ * неправильной длины или не в hex — просто возвращает false.
+ * @param {String} payload - Сырое тело запроса
+ * @param {String} signature - Подпись из заголовка
+ * @param {String} secret
+ * @returns {Boolean}
+ */
+function verifyWebhookSignature(payload, signature, secret) {
+  if (typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  const normalized = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+  if (normalized.length !== SHA256_HEX_LENGTH || !/^[0-9a-f]+$/.test(normalized)) {
+    return false;
+  }
+
+  const computed = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+  return crypto.timingSafeEqual(
+    Buffer.from(computed, 'hex'),
+    Buffer.from(normalized, 'hex')
+  );
+}
+
+/**
+ * Разбирает значение заголовка времени: unix-секунды, миллисекунды или ISO-строка
+ * @param {String} value
+ * @returns {Number|null} - Время в миллисекундах
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    const num = Number(value);
+    // Больше 1e12 — это уже миллисекунды
+    return num > 1e12 ? num : num * 1000;
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function pruneSeenDeliveries(now) {
+  for (const [id, expiresAt] of seenDeliveries) {
+    if (expiresAt <= now) {
+      seenDeliveries.delete(id);
+    }
+  }
+}
+
+/**
+ * Создает middleware, проверяющий подпись, время и ID доставки вебхука.
+ * Если секреты не заданы, проверка отключена (об этом предупреждаем при старте).
+ * @returns {Function} - Express middleware
+ */
+function createWebhookAuth() {
+  const toleranceMs = (parseInt(process.env.WEBHOOK_TOLERANCE_SEC, 10) || 300) * 1000;
+
+  const reject = (res, error) => {
+    log.warn(error);
+    return res.status(401).json({ success: false, error });
+  };
+
+  return (req, res, next) => {
+    const secrets = getWebhookSecrets();
+    if (secrets.length === 0) {
+      return next();
+    }
+
+    const signatureHeader = (getTenantSetting('WEBHOOK_SIGNATURE_HEADER') || 'x-signature').toLowerCase();
+    const timestampHeader = (getTenantSetting('WEBHOOK_TIMESTAMP_HEADER') || 'x-timestamp').toLowerCase();
+    const deliveryIdHeader = (getTenantSetting('WEBHOOK_DELIVERY_ID_HEADER') || 'x-delivery-id').toLowerCase();
+
+    const payload = typeof req.body === 'string' ? req.body : '';
+    const signature = req.headers[signatureHeader];
+
+    if (!signature) {
+      return reject(res, `Отсутствует заголовок подписи ${signatureHeader}`);
+    }
+
+    if (!secrets.some(secret => verifyWebhookSignature(payload, signature, secret))) {
+      return reject(res, 'Неверная подпись вебхука');
+    }
+
+    const now = Date.now();
+    const timestampValue = req.headers[timestampHeader];
+    if (timestampValue) {
+      const timestamp = parseTimestamp(timestampValue);
+      if (timestamp === null) {
+        return reject(res, `Некорректное значение заголовка ${timestampHeader}`);
+      }
+      if (Math.abs(now - timestamp) > toleranceMs) {
+        return reject(res, 'Вебхук устарел: время отправки вне допустимого окна');
+      }
+    }
+
+    const deliveryId = req.headers[deliveryIdHeader];
+    if (deliveryId) {
+      // ID доставки уникален только в пределах аккаунта Sasha AI
+      const deliveryKey = tenantScopedKey(deliveryId);
+      pruneSeenDeliveries(now);
+      if (seenDeliveries.has(deliveryKey)) {
+        return reject(res, `Повторная доставка ${deliveryId} отклонена`);
+      }
+      seenDeliveries.set(deliveryKey, now + toleranceMs);
+
+      // Если обработка упала, отправитель должен иметь возможность повторить доставку
+      res.on('finish', () => {
+        if (res.statusCode >= 500) {
+          seenDeliveries.delete(deliveryKey);
+        }
+      });
+    }
+
+    log.debug('Подпись вебхука проверена');
+    next();
+  };
+}
+
+module.exports = {
+  createWebhookAuth,
+  verifyWebhookSignature,
+  getWebhookSecrets
+};
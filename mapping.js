@@ -6,10 +6,20 @@
  * 
  * Структура:
  * - source: путь к данным в вебхуке (например, 'call.agreements.client_name')
- * - transform: функция преобразования (опционально)
+ * - transform: функция преобразования или имя из lib/transforms.js (опционально)
  * - default: значение по умолчанию, если данных нет (опционально)
+ *
+ * Маппинг можно переопределить без правки кода файлом MAPPING_FILE (см. lib/mapping-config.js).
  */
 
+const { resolveTransform } = require('./lib/transforms');
+const { renderCommentTemplate } = require('./lib/comment-templates');
+const { createLogger } = require('./lib/logger');
+const { recordSkippedField } = require('./lib/metrics');
+const { toPhoneField } = require('./lib/phone');
+
+const log = createLogger('MAPPING');
+
 /**
  * Маппинг для ЛИДОВ в Bitrix
  *
@@ -24,94 +34,11 @@ const leadMapping = {
     value: 'UC_E5DGC8' // ← "ЛИДЫ ИИ"
   },
   
+  // Текст комментария собирается из шаблона templates/comments.default.tpl
+  // (или другого, выбранного по кампании/тегу в templates/comments.yaml)
   COMMENTS: {
     source: 'multiple',
-    transform: (value, data) => {
-      const call = data.call || {};
-      const contact = data.contact || {};
-      const agreements = call.agreements || {};
-
-      // Форматирование длительности (миллисекунды → MM:SS)
-      const formatDuration = (ms) => {
-        if (ms == null) return '—';
-        const totalSec = Math.floor(ms / 1000);
-        const min = Math.floor(totalSec / 60);
-        const sec = totalSec % 60;
-        return `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
-      };
-
-      // Форматирование даты в DD.MM.YYYY HH:mm по МСК
-      const formatDateMsk = (dateStr) => {
-        if (!dateStr) return '—';
-        try {
-          const d = new Date(dateStr);
-          if (isNaN(d.getTime())) return '—';
-          // UTC+3 для МСК
-          const msk = new Date(d.getTime() + 3 * 60 * 60 * 1000);
-          const day = String(msk.getUTCDate()).padStart(2, '0');
-          const month = String(msk.getUTCMonth() + 1).padStart(2, '0');
-          const year = msk.getUTCFullYear();
-          const hours = String(msk.getUTCHours()).padStart(2, '0');
-          const min = String(msk.getUTCMinutes()).padStart(2, '0');
-          return `${day}.${month}.${year} ${hours}:${min} по МСК`;
-        } catch {
-          return dateStr;
-        }
-      };
-
-      // Форматирование agreements_time (2026-02-17 18:33:00 UTC → 17.02.2026 21:33 по МСК)
-      const formatAgreementsTime = (timeStr) => {
-        if (!timeStr) return '—';
-        try {
-          const normalized = timeStr.includes('Z') ? timeStr : timeStr.replace(' ', 'T') + 'Z';
-          const d = new Date(normalized);
-          if (isNaN(d.getTime())) return timeStr;
-          const msk = new Date(d.getTime() + 3 * 60 * 60 * 1000);
-          const day = String(msk.getUTCDate()).padStart(2, '0');
-          const month = String(msk.getUTCMonth() + 1).padStart(2, '0');
-          const year = msk.getUTCFullYear();
-          const hours = String(msk.getUTCHours()).padStart(2, '0');
-          const min = String(msk.getUTCMinutes()).padStart(2, '0');
-          return `${day}.${month}.${year} ${hours}:${min} по МСК`;
-        } catch {
-          return timeStr;
-        }
-      };
-
-      const clientName = agreements.client_name || '—';
-      const phone = contact.phone ? `+${contact.phone.replace(/\D/g, '')}` : '—';
-      const duration = formatDuration(call.duration);
-      const startedAt = formatDateMsk(call.startedAt);
-      const recordUrl = call.recordUrl || '—';
-      const agreementsText = agreements.agreements || '—';
-      const agreementsTime = formatAgreementsTime(agreements.agreements_time_local || agreements.agreements_time);
-      const region = contact.dadataPhoneInfo?.region || '—';
-      const tags = (contact.tags && contact.tags.length > 0) ? contact.tags.join(', ') : '—';
-      const clientFacts = agreements.client_facts || '—';
-      const hasAdditionalFields = contact.additionalFields && typeof contact.additionalFields === 'object' && Object.keys(contact.additionalFields).length > 0;
-      const additionalFields = hasAdditionalFields ? JSON.stringify(contact.additionalFields) : '—';
-      const smsText = agreements.smsText || '—';
-
-      return `Имя: ${clientName}
-Телефон: ${phone}
-Длительность звонка: ${duration}
-Время начала звонка: ${startedAt}
-Заинтересованность: —
-Запись звонка: ${recordUrl}
-
-Договоренности: ${agreementsText}
-Время договоренности: ${agreementsTime}
-Возможный регион: ${region}
-Теги: ${tags}
-
-О клиенте:
-${clientFacts}
-
-Доп. поля контакта: ${additionalFields}
-
-Закрывающее сообщение:
-${smsText}`;
-    }
+    transform: (value, data) => renderCommentTemplate(data)
   },
 
   // Поле 2: Имя......
@@ -127,44 +54,49 @@ ${smsText}`;
   // Поле 3: ТелефонН
   PHONE: {
     source: 'contact.phone',  // Телефон контакта
-    transform: (value) => {
-      const phoneFormatted = value ? value.replace(/\D/g, '') : '';
-      if (!phoneFormatted) return null;
-
-      return [{
-        VALUE: phoneFormatted,
-        VALUE_TYPE: 'WORK'
-      }];
-    }
+    // E.164 по стране PHONE_DEFAULT_COUNTRY, VALUE_TYPE — MOBILE/WORK по DaData (см. lib/phone.js)
+    transform: (value, data) => toPhoneField(value, data)
   }
 };
 
 /**
  * Маппинг для СДЕЛОК в Bitrix
- * (можно добавить позже, если понадобится)
+ * Используется, если в CRM_PIPELINE включен deal (см. lib/crm-pipeline.js).
+ * CONTACT_ID и LEAD_ID проставляются пайплайном автоматически.
  */
 const dealMapping = {
-  // Пример структуры (раскомментируйте и настройте по необходимости):
-  /*
   TITLE: {
-    source: 'call.agreements.agreements',
-    transform: (value) => `Сделка: ${value?.substring(0, 100)}`
+    source: 'multiple',
+    transform: (value, data) => {
+      const agreements = data.call?.agreements || {};
+      const clientName = agreements.client_name?.trim() || 'клиент';
+      const agreementsText = agreements.agreements?.trim();
+      return agreementsText
+        ? `Сделка ИИ: ${clientName} — ${agreementsText.substring(0, 100)}`
+        : `Сделка ИИ: ${clientName}`;
+    }
   },
-  */
+
+  COMMENTS: {
+    source: 'call.agreements.agreements',
+    transform: (value) => value?.trim() || null
+  }
 };
 
 /**
  * Маппинг для КОНТАКТОВ в Bitrix
- * (можно добавить позже, если понадобится)
+ * Используется, если в CRM_PIPELINE включен contact (см. lib/crm-pipeline.js)
  */
 const contactMapping = {
-  // Пример структуры (раскомментируйте и настройте по необходимости):
-  /*
   NAME: {
     source: 'call.agreements.client_name',
-    transform: (value) => value?.split(' ')[0] || ''
+    transform: (value) => value?.trim() || null
   },
-  */
+
+  PHONE: {
+    source: 'contact.phone',
+    transform: (value, data) => leadMapping.PHONE.transform(value, data)
+  }
 };
 
 /**
@@ -183,60 +115,82 @@ function getValueByPath(obj, path) {
 /**
  * Применяет маппинг к данным вебхука
  * @param {Object} webhookData - Данные из вебхука
- * @param {Object} mapping - Объект маппинга (leadMapping, dealMapping и т.д.)
+ * @param {Object} mapping - Объект маппинга (leadMapping, dealMapping или загруженный из MAPPING_FILE)
+ * @param {Object[]} [trace] - Если передан, сюда добавляется трассировка каждого поля:
+ *   field, source, transform, rawValue, value, usedDefault и skipped (причина пропуска или null)
  * @returns {Object} - Объект с полями для Bitrix
  */
-function applyMapping(webhookData, mapping) {
+function applyMapping(webhookData, mapping, trace = null) {
   const result = {};
   const skippedFields = [];
   
   for (const [bitrixField, config] of Object.entries(mapping)) {
+    // Источник можно не указывать: есть value — статическое значение, иначе множественный источник
+    const source = config.source || (config.value !== undefined ? 'static' : 'multiple');
+    const step = {
+      field: bitrixField,
+      source,
+      transform: typeof config.transform === 'function' ? 'function' : config.transform || null,
+      rawValue: null,
+      value: null,
+      usedDefault: false,
+      skipped: null
+    };
+    trace?.push(step);
+
     try {
       let value;
+      const transform = config.transform ? resolveTransform(config.transform) : null;
       
-      if (config.source === 'static') {
+      if (source === 'static') {
         // Статическое значение
         value = config.value;
-        console.log(`   [MAPPING] ${bitrixField}: статическое значение = ${value}`);
-      } else if (config.source === 'multiple') {
+        step.rawValue = value;
+      } else if (source === 'multiple') {
         // Специальная обработка для множественных источников
-        value = config.transform ? config.transform(null, webhookData) : null;
-        console.log(`   [MAPPING] ${bitrixField}: множественный источник = ${value ? '✓' : '✗'}`);
+        value = transform ? transform(null, webhookData) : null;
       } else {
-        // Получаем значение по пути
-        const rawValue = getValueByPath(webhookData, config.source);
-        console.log(`   [MAPPING] ${bitrixField}: путь "${config.source}" = ${rawValue !== null ? JSON.stringify(rawValue) : 'null'}`);
-        
-        // Применяем преобразование, если есть
-        if (config.transform) {
-          value = config.transform(rawValue, webhookData);
-          console.log(`   [MAPPING] ${bitrixField}: после transform = ${value !== null ? JSON.stringify(value) : 'null'}`);
-        } else {
-          value = rawValue;
-        }
+        // Получаем значение по пути и применяем преобразование, если есть
+        const rawValue = getValueByPath(webhookData, source);
+        step.rawValue = rawValue;
+        value = transform ? transform(rawValue, webhookData) : rawValue;
+      }
+      
+      // Значение по умолчанию, если данных нет
+      const usedDefault = (value === null || value === undefined || value === '') && config.default !== undefined;
+      if (usedDefault) {
+        value = config.default;
       }
+      step.value = value ?? null;
+      step.usedDefault = usedDefault;
       
       // Добавляем поле только если значение не null/undefined и не пустая строка
       if (value !== null && value !== undefined && value !== '') {
         // Для массивов проверяем, что они не пустые
         if (Array.isArray(value) && value.length === 0) {
+          step.skipped = 'пустой массив';
           skippedFields.push(`${bitrixField} (пустой массив)`);
+          recordSkippedField(bitrixField, 'empty');
           continue;
         }
         result[bitrixField] = value;
-        console.log(`   [MAPPING] ✓ ${bitrixField} добавлено в результат`);
+        // Значение пишем под именем поля Bitrix, чтобы логгер скрыл NAME, PHONE, COMMENTS и т.п.
+        log.debug(`${bitrixField} ← ${source}${usedDefault ? ' (по умолчанию)' : ''}`, { [bitrixField]: value });
       } else {
-        skippedFields.push(`${bitrixField} (${value === null ? 'null' : value === undefined ? 'undefined' : 'пустая строка'})`);
-        console.log(`   [MAPPING] ✗ ${bitrixField} пропущено: ${value === null ? 'null' : value === undefined ? 'undefined' : 'пустая строка'}`);
+        step.skipped = value === null ? 'null' : value === undefined ? 'undefined' : 'пустая строка';
+        skippedFields.push(`${bitrixField} (${step.skipped})`);
+        recordSkippedField(bitrixField, 'empty');
       }
     } catch (error) {
-      console.warn(`   [MAPPING] ❌ Ошибка при обработке поля ${bitrixField}:`, error.message);
-      skippedFields.push(`${bitrixField} (ошибка: ${error.message})`);
+      log.warn(`Ошибка при обработке поля ${bitrixField}`, { field: bitrixField, error: error.message });
+      step.skipped = `ошибка: ${error.message}`;
+      skippedFields.push(`${bitrixField} (${step.skipped})`);
+      recordSkippedField(bitrixField, 'error');
     }
   }
   
   if (skippedFields.length > 0) {
-    console.log(`   [MAPPING] Пропущено полей: ${skippedFields.length}`, skippedFields);
+    log.debug(`Пропущено полей: ${skippedFields.length}`, { skippedFields });
   }
   
   return result;
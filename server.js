@@ -1,13 +1,34 @@
 const express = require('express');
-const crypto = require('crypto');
-const axios = require('axios');
-const { leadMapping, applyMapping } = require('./mapping');
+const { createWebhookAuth, getWebhookSecrets } = require('./lib/webhook-auth');
+const { createDeliveryQueue } = require('./lib/queue');
+const { createAdminRouter } = require('./lib/admin');
+const { createHealthRouter } = require('./lib/health');
+const { createOAuthRouter } = require('./lib/bitrix-oauth');
+const { getBitrixConfigErrors } = require('./lib/bitrix');
+const { registerQueueMetrics, countWebhookOutcomes } = require('./lib/metrics');
+const { createDedupRegistry, getDeliveryKey } = require('./lib/dedup');
+const { initMappingConfig, buildMappingVersion } = require('./lib/mapping-config');
+const { dryRunCrmPipeline } = require('./lib/crm-pipeline');
+const { getTestEndpointsMode, requireTestEndpoints, diffDryRuns } = require('./lib/sandbox');
+const { initRoutingRules } = require('./lib/routing');
+const { initNotifiers, notifyDeliveryOutcome } = require('./lib/notifiers');
+const { getCallMediaQueue } = require('./lib/recordings');
+const { validatePayload, getEventType, DEFAULT_EVENT } = require('./lib/payload-schema');
+const { handleEvent, hasEventHandler } = require('./lib/events');
+const { createLogger, requestContext } = require('./lib/logger');
+const { startDelivery, updateDelivery, recordDeliveryAttempt, trackDelivery, flushDeliveries } = require('./lib/deliveries');
+const { initTenants, getTenants, runWithTenant, resolveTenant, recordTenantStat } = require('./lib/tenants');
 require('dotenv').config();
 
 const app = express();
 
 const PORT = process.env.DOCKERPORT || process.env.PORT || 7777;
 
+const log = createLogger('SERVER');
+const webhookLog = createLogger('WEBHOOK');
+const testLog = createLogger('TEST');
+const dedupLog = createLogger('DEDUP');
+
 // Middleware для получения сырого тела запроса ТОЛЬКО для /webhook (нужно для проверки подписи)
 // Важно: это должно быть ДО express.json(), чтобы Express не пытался парсить JSON дважды
 // Используем express.text() для получения строки, как в документации
@@ -20,249 +41,224 @@ app.use('/webhook', express.text({
 // Express автоматически пропустит /webhook, т.к. тело уже обработано express.raw()
 app.use(express.json({ limit: '10mb' }));
 
-// Middleware для логирования входящих запросов
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
-  
-  // Логируем тело запроса
-  if (req.body) {
-    if (typeof req.body === 'string') {
-      // Для /webhook (express.text())
-      console.log('Body:', req.body);
-    } else if (typeof req.body === 'object' && Object.keys(req.body).length > 0) {
-      // Для других роутов (express.json())
-      console.log('Body:', JSON.stringify(req.body, null, 2));
-    }
-  }
+/**
+ * Ответ 422 с ошибками валидации по полям
+ * @param {Object} res - Express response
+ * @param {Object} logger - Логгер обработчика (webhookLog, testLog)
+ * @param {Object} validation - Результат validatePayload()
+ */
+function respondInvalidPayload(res, logger, validation) {
+  logger.warn(`Данные не прошли валидацию (событие: ${validation.event || '—'})`, {
+    event: validation.event,
+    errors: validation.errors
+  });
   
-  next();
-});
+  return res.status(422).json({
+    success: false,
+    error: 'Данные вебхука не соответствуют схеме',
+    event: validation.event,
+    errors: validation.errors
+  });
+}
 
 /**
- * 
- * @param {Object} payload 
- * @param {String} signature 
- * @param {String} secret 
- * @returns {Boolean}
+ * Флаг из query-параметра: ?dryRun=1, ?dryRun=true
  */
-function verifyWebhookSignature(payload, signature, secret) {
-  const computed = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-
-  return crypto.timingSafeEqual(
-    Buffer.from(computed, 'hex'),
-    Buffer.from(signature, 'hex')
-  );
+function isEnabled(value) {
+  return value === '1' || value === 'true';
 }
 
 /**
- * Функция для заполнения карточки лида в Bitrix
- * Использует маппинг из mapping.js для преобразования данных
- * @param {Object} data - Данные в формате вебхука от Sasha AI
- * @returns {Promise<Object>} - Результат создания лида в Bitrix
+ * Результат обработчика события без ответа Bitrix (data): для реестра дедупликации и ответа вебхуку
+ * @param {Object} result
+ * @returns {Object}
  */
-async function createLeadInBitrix(data) {
-  console.log('\n🔵 [DEBUG] Начало создания лида в Bitrix');
-  console.log('📥 [DEBUG] Входные данные:', JSON.stringify(data, null, 2));
-  
-  const bitrixWebhookUrl = process.env.BITRIX_WEBHOOK_URL;
-  
-  if (!bitrixWebhookUrl) {
-    console.error('❌ [DEBUG] BITRIX_WEBHOOK_URL не установлен в переменных окружения');
-    throw new Error('BITRIX_WEBHOOK_URL не установлен в переменных окружения');
-  }
+function getResultSummary(result) {
+  const summary = { ...result };
+  delete summary.data;
+  return summary;
+}
 
-  console.log('🔗 [DEBUG] Bitrix Webhook URL:', bitrixWebhookUrl);
+/**
+ * Реестр обработанных звонков: защищает от дублей лидов при повторных доставках
+ */
+const dedupRegistry = createDedupRegistry();
 
-  // Применяем маппинг для преобразования данных вебхука в поля Bitrix
-  console.log('🔄 [DEBUG] Применение маппинга...');
-  const leadFields = applyMapping(data, leadMapping);
-  console.log('✅ [DEBUG] Результат маппинга:', JSON.stringify(leadFields, null, 2));
-  
-  // Проверяем, что есть хотя бы одно поле для создания лида
-  if (!leadFields || Object.keys(leadFields).length === 0) {
-    console.error('❌ [DEBUG] После маппинга не осталось ни одного поля!');
-    console.error('   Входные данные:', JSON.stringify(data, null, 2));
-    throw new Error('После маппинга не осталось полей для создания лида. Проверьте структуру входящих данных.');
-  }
-  
-  // Проверяем обязательные поля для Bitrix
-  const requiredFields = ['NAME', 'PHONE'];
-  const missingFields = requiredFields.filter(field => !leadFields[field] || 
-    (Array.isArray(leadFields[field]) && leadFields[field].length === 0) ||
-    (typeof leadFields[field] === 'string' && leadFields[field].trim() === ''));
-  
-  if (missingFields.length > 0) {
-    console.warn('⚠️  [DEBUG] Отсутствуют некоторые обязательные поля:', missingFields);
-    console.warn('   Доступные поля:', Object.keys(leadFields));
-  }
-  
-  // Формируем данные для отправки в Bitrix
-  const leadData = {
-    fields: leadFields
-  };
-  
-  console.log('📤 [DEBUG] Данные для отправки в Bitrix:', JSON.stringify(leadData, null, 2));
-  console.log('📊 [DEBUG] Количество полей:', Object.keys(leadFields).length);
-  console.log('📋 [DEBUG] Список полей:', Object.keys(leadFields).join(', '));
-  
-  // Отправка запроса в Bitrix
-  try {
-    // Убеждаемся, что URL заканчивается на слэш
-    const url = bitrixWebhookUrl.endsWith('/') 
-      ? `${bitrixWebhookUrl}crm.lead.add`
-      : `${bitrixWebhookUrl}/crm.lead.add`;
-    
-    console.log('🌐 [DEBUG] Полный URL для запроса:', url);
-    console.log('📡 [DEBUG] Отправка POST запроса в Bitrix...');
-    
-    const response = await axios.post(
-      url,
-      leadData,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000, // 30 секунд таймаут
-        validateStatus: function (status) {
-          // Принимаем любые статусы для детальной обработки
-          return status >= 200 && status < 600;
-        }
-      }
-    );
-    
-    console.log('📡 [DEBUG] Запрос отправлен, получен ответ');
-    console.log('   HTTP Status:', response.status);
-    
-    console.log('✅ [DEBUG] Ответ получен от Bitrix:');
-    console.log('   Status:', response.status);
-    console.log('   Response data:', JSON.stringify(response.data, null, 2));
-    
-    // Проверяем, что Bitrix действительно создал лид
-    if (response.data.error) {
-      console.error('❌ [DEBUG] Bitrix вернул ошибку:');
-      console.error('   Error:', response.data.error);
-      console.error('   Error description:', response.data.error_description);
-      throw new Error(`Bitrix вернул ошибку: ${response.data.error} - ${response.data.error_description || ''}`);
-    }
-    
-    if (!response.data.result) {
-      console.error('❌ [DEBUG] Bitrix не вернул ID лида!');
-      console.error('   Response:', JSON.stringify(response.data, null, 2));
-      throw new Error('Bitrix не вернул ID созданного лида. Возможно, лид не был создан.');
-    }
-    
-    console.log('✅ [DEBUG] Лид успешно создан в Bitrix!');
-    console.log('   Lead ID:', response.data.result);
-    
-    return {
-      success: true,
-      leadId: response.data.result,
-      data: response.data
-    };
-  } catch (error) {
-    console.error('❌ [DEBUG] Ошибка при создании лида в Bitrix:');
-    console.error('   Error message:', error.message);
-    console.error('   Error code:', error.code);
-    
-    if (error.response) {
-      console.error('   Response status:', error.response.status);
-      console.error('   Response headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('   Response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    
-    if (error.request) {
-      console.error('   Request was made but no response received');
-      console.error('   Request config:', JSON.stringify({
-        url: error.config?.url,
-        method: error.config?.method,
-        data: error.config?.data
-      }, null, 2));
-    }
-    
-    throw new Error(`Ошибка при создании лида в Bitrix: ${error.response?.data?.error_description || error.message}`);
+/**
+ * Обрабатывает событие, только если оно еще не было обработано.
+ * Нужна на случай, когда повтор попал в очередь раньше, чем первая доставка завершилась,
+ * или когда задачу переотправили из dead-letter.
+ * @param {Object} data - Данные вебхука
+ * @param {Object} job - Задача очереди: force — обработать повторно, даже если звонок уже обработан
+ *   (повтор из /admin); повторная попытка сначала ищет в Bitrix созданное предыдущей
+ * @returns {Promise<Object>} - Результат обработчика события (или сохраненный результат с duplicate: true)
+ */
+async function processEventOnce(data, job) {
+  const key = getDeliveryKey(data);
+  const existing = dedupRegistry.get(key);
+
+  if (existing?.status === 'done' && !job.force) {
+    dedupLog.info(`Звонок ${key} уже обработан (${existing.result.action} ${existing.result.entityType} ${existing.result.entityId}), Bitrix не вызываем`);
+    return { ...existing.result, duplicate: true };
   }
+
+  // Попытка не первая: предыдущая могла записать звонок в Bitrix, не дождавшись ответа
+  const resumeSince = job.attempts > 1 ? job.createdAt : null;
+  const result = await handleEvent(getEventType(data), data, { resumeSince });
+  dedupRegistry.markDone(key, getResultSummary(result));
+  return result;
 }
 
+/**
+ * Очередь доставки в Bitrix: вебхук сохраняется на диск и отправляется
+ * фоновым воркером с повторами, чтобы данные звонка не терялись при сбоях Bitrix
+ */
+const deliveryQueue = createDeliveryQueue({
+  handler: processEventOnce,
+  // Итог попыток — в журнал доставок (/admin/deliveries), окончательный итог — получателям уведомлений
+  onAttempt: (job, outcome, tenant) => {
+    recordDeliveryAttempt(job, outcome);
+    notifyDeliveryOutcome(job, outcome, tenant);
+  }
+});
+registerQueueMetrics(deliveryQueue);
+
+// /healthz, /readyz и /metrics — до requestContext, чтобы пробы оркестратора не засоряли логи
+app.use(createHealthRouter({ deliveryQueue }));
+
+// requestId для каждого запроса и строка лога по его завершении (см. lib/logger.js).
+// Тело запроса целиком не логируем: в нем персональные данные клиента
+app.use(requestContext);
+
 /**
  * Обработчик вебхука от Sasha AI
+ * /webhook — тенант default, /webhook/:tenant — тенант из TENANTS_FILE (см. lib/tenants.js).
+ * Подпись, время отправки и ID доставки проверяются в createWebhookAuth()
  */
-app.post('/webhook', async (req, res) => {
-  console.log('\n' + '='.repeat(80));
-  console.log('🔔 [WEBHOOK] Получен новый вебхук от Sasha AI');
-  console.log('='.repeat(80));
+app.post(['/webhook', '/webhook/:tenant'], countWebhookOutcomes, resolveTenant, createWebhookAuth(), trackDelivery, async (req, res) => {
+  recordTenantStat('received');
   
   const payload = req.body; // Теперь это строка благодаря express.text()
   
-  console.log('📋 [WEBHOOK] Заголовки запроса:');
-  console.log('   Content-Type:', req.headers['content-type']);
-  console.log('   Content-Length:', req.headers['content-length']);
-  
   // Проверка наличия тела запроса
   if (!payload) {
-    console.error('❌ [WEBHOOK] Тело запроса пустое');
+    webhookLog.warn('Тело запроса пустое');
     return res.status(400).send('Тело запроса пустое');
   }
   
-  console.log('📦 [WEBHOOK] Размер payload:', payload.length, 'символов');
+  webhookLog.info('Получен вебхук от Sasha AI', { size: payload.length });
+
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (error) {
+    webhookLog.warn('Тело запроса не является корректным JSON', { error: error.message });
+    return res.status(400).json({
+      success: false,
+      error: `Тело запроса не является корректным JSON: ${error.message}`
+    });
+  }
+
+  // Журнал доставок для /admin: payload, маппинг, ответ Bitrix (см. lib/deliveries.js)
+  startDelivery(data, { tenantId: req.tenant.id, id: req.deliveryId });
 
   try {
-    const data = JSON.parse(payload);
-    console.log('✅ [WEBHOOK] JSON успешно распарсен');
-    console.log('📊 [WEBHOOK] Структура данных:');
-    console.log('   - contact:', data.contact ? '✓ присутствует' : '✗ отсутствует');
-    console.log('   - call:', data.call ? '✓ присутствует' : '✗ отсутствует');
-    
     // Валидация наличия данных
     if (!data || Object.keys(data).length === 0) {
-      console.error('❌ [WEBHOOK] Данные не предоставлены');
+      webhookLog.warn('Данные не предоставлены');
       return res.status(400).json({
         success: false,
         error: 'Данные не предоставлены. Отправьте JSON в теле запроса'
       });
     }
     
-    // Валидация обязательных полей
-    if (!data.contact || !data.call) {
-      console.error('❌ [WEBHOOK] Отсутствуют обязательные поля');
-      console.error('   contact:', data.contact ? '✓' : '✗');
-      console.error('   call:', data.call ? '✓' : '✗');
-      return res.status(400).json({
-        success: false,
-        error: 'Отсутствуют обязательные поля: contact или call'
+    // Валидация по схеме вебхука Sasha AI
+    const validation = validatePayload(data);
+    if (!validation.valid) {
+      recordTenantStat('invalid');
+      updateDelivery(req.deliveryId, { errors: validation.errors });
+      return respondInvalidPayload(res, webhookLog, validation);
+    }
+    
+    // Неизвестные события подтверждаем, чтобы Sasha AI не повторяла их доставку
+    if (!hasEventHandler(validation.event)) {
+      recordTenantStat('ignored');
+      res.locals.webhookOutcome = 'ignored';
+      webhookLog.warn(`Событие ${validation.event} не обрабатывается, подтверждаем без записи в Bitrix`, {
+        event: validation.event
+      });
+      return res.json({
+        success: true,
+        ignored: true,
+        event: validation.event,
+        message: `Событие ${validation.event} принято, но не обрабатывается`
       });
     }
     
-    // Детальная информация о данных
-    console.log('📞 [WEBHOOK] Информация о контакте:');
-    console.log('   Phone:', data.contact?.phone || 'не указан');
-    console.log('📞 [WEBHOOK] Информация о звонке:');
-    console.log('   Client name:', data.call?.agreements?.client_name || 'не указано');
-    console.log('   Client facts:', data.call?.agreements?.client_facts ? '✓ присутствуют' : '✗ отсутствуют');
+    // Данные вебхука — только на уровне debug; телефон, имя и факты о клиенте логгер скрывает
+    webhookLog.debug('Данные вебхука', { event: validation.event, callId: data.call?.id, data });
+    
+    // Повторная доставка: возвращаем прежний результат и не создаем второй лид
+    const deliveryKey = getDeliveryKey(data);
+    const existing = dedupRegistry.get(deliveryKey);
     
-    // Создание лида в Bitrix
-    console.log('🚀 [WEBHOOK] Начинаем создание лида в Bitrix...');
-    const result = await createLeadInBitrix(data);
+    if (existing?.status === 'done') {
+      recordTenantStat('duplicate');
+      res.locals.webhookOutcome = 'duplicate';
+      webhookLog.info(`Повторная доставка ${deliveryKey}: звонок уже обработан (${existing.result.action})`);
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: 'Этот звонок уже обработан',
+        ...existing.result
+      });
+    }
     
-    console.log('✅ [WEBHOOK] Лид успешно создан!');
-    console.log('   Lead ID:', result.leadId);
-    console.log('='.repeat(80) + '\n');
+    if (existing?.status === 'pending' && deliveryQueue.hasJob(existing.jobId)) {
+      recordTenantStat('duplicate');
+      res.locals.webhookOutcome = 'duplicate';
+      webhookLog.info(`Повторная доставка ${deliveryKey}: задача ${existing.jobId} уже в очереди`);
+      return res.status(202).json({
+        success: true,
+        duplicate: true,
+        message: 'Вебхук для этого звонка уже в очереди на отправку в Bitrix',
+        jobId: existing.jobId
+      });
+    }
+    
+    if (!deliveryKey) {
+      webhookLog.warn('Нет call.id и пары phone + call.startedAt — дедупликация невозможна');
+    }
     
-    res.json({
+    // Ставим доставку в очередь: в Bitrix ее отправит фоновый воркер
+    const job = deliveryQueue.enqueue(data, { tenantId: req.tenant.id });
+    updateDelivery(req.deliveryId, { jobId: job.id });
+    dedupRegistry.markPending(deliveryKey, job.id);
+    recordTenantStat('queued');
+    
+    // Даем воркеру WEBHOOK_WAIT_MS, чтобы сразу вернуть созданные сущности.
+    // Не успел — отвечаем 202: доставка сохранена и будет отправлена позже
+    const waitMs = parseInt(process.env.WEBHOOK_WAIT_MS ?? '5000', 10) || 0;
+    const outcome = await deliveryQueue.waitForJob(job.id, waitMs);
+    
+    if (outcome.status === 'done') {
+      res.locals.webhookOutcome = 'processed';
+      return res.json({
+        success: true,
+        message: 'Событие обработано',
+        jobId: job.id,
+        ...getResultSummary(outcome.result)
+      });
+    }
+    
+    res.locals.webhookOutcome = outcome.status === 'dead-letter' ? 'dead_letter' : 'queued';
+    res.status(202).json({
       success: true,
-      message: 'Лид успешно создан в Bitrix',
-      leadId: result.leadId,
-      data: result.data
+      message: 'Вебхук принят и поставлен в очередь на отправку в Bitrix',
+      jobId: job.id
     });
   } catch (error) {
-    console.error('\n❌ [WEBHOOK] Ошибка при обработке запроса:');
-    console.error('   Error type:', error.constructor.name);
-    console.error('   Error message:', error.message);
-    console.error('   Error stack:', error.stack);
-    console.log('='.repeat(80) + '\n');
+    webhookLog.error('Ошибка при обработке запроса', { error });
     
     res.status(500).json({
       success: false,
@@ -275,56 +271,84 @@ app.post('/webhook', async (req, res) => {
  * Тестовый endpoint: отправка лида в Bitrix вручную.
  *
  * Использование:
- * - POST /test/bitrix/lead
+ * - POST /test/bitrix/lead (тенант default) или /test/bitrix/lead/:tenant
  * - Content-Type: application/json
  * - Body: JSON в формате вебхука Sasha AI (или частично — важны contact + call)
  *
+ * Пробный прогон (?dryRun=1): в Bitrix ничего не отправляется, в ответе — запросы, которые
+ * были бы отправлены (тело crm.lead.add и др.), и трассировка маппинга по полям.
+ * ?lookup=1 — дополнительно искать существующие контакт и лид (только чтение из Bitrix).
+ * Пробный прогон доступен только для call.completed.
+ *
  * Важно: endpoint не проверяет подпись и предназначен только для тестов.
+ * Доступ задается TEST_ENDPOINTS (см. lib/sandbox.js), в production — только с ADMIN_TOKEN.
  */
-app.post('/test/bitrix/lead', async (req, res) => {
-  console.log('\n' + '='.repeat(80));
-  console.log('🧪 [TEST] Тестовый запрос на создание лида');
-  console.log('='.repeat(80));
-  
+app.post(['/test/bitrix/lead', '/test/bitrix/lead/:tenant'], requireTestEndpoints, resolveTenant, async (req, res) => {
   try {
     const data = req.body;
-    console.log('📥 [TEST] Полученные данные:', JSON.stringify(data, null, 2));
+    testLog.debug('Тестовый запрос на создание лида', { data });
 
     if (!data || typeof data !== 'object') {
-      console.error('❌ [TEST] Данные не предоставлены');
+      testLog.warn('Данные не предоставлены');
       return res.status(400).json({
         success: false,
         error: 'Данные не предоставлены. Отправьте JSON в теле запроса'
       });
     }
 
-    // Минимальная валидация как в /webhook
-    if (!data.contact || !data.call) {
-      console.error('❌ [TEST] Отсутствуют обязательные поля');
-      return res.status(400).json({
-        success: false,
-        error: 'Отсутствуют обязательные поля: contact или call'
+    // Та же валидация по схеме, что и в /webhook
+    const validation = validatePayload(data);
+    if (!validation.valid) {
+      return respondInvalidPayload(res, testLog, validation);
+    }
+
+    if (isEnabled(req.query.dryRun)) {
+      if (validation.event !== DEFAULT_EVENT) {
+        return res.status(400).json({
+          success: false,
+          error: `Пробный прогон поддерживается только для ${DEFAULT_EVENT}`,
+          event: validation.event
+        });
+      }
+
+      const dryRun = await dryRunCrmPipeline(data, { lookup: isEnabled(req.query.lookup) });
+      testLog.info(`Пробный прогон: ${dryRun.requests.map(request => request.method).join(', ') || 'нет запросов'}`, {
+        rule: dryRun.rule,
+        action: dryRun.action
+      });
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: 'Пробный прогон: в Bitrix ничего не отправлено',
+        event: validation.event,
+        ...dryRun
       });
     }
 
-    console.log('🚀 [TEST] Начинаем создание лида в Bitrix...');
-    const result = await createLeadInBitrix(data);
+    const result = await handleEvent(validation.event, data);
 
-    console.log('✅ [TEST] Тестовый лид успешно создан!');
-    console.log('   Lead ID:', result.leadId);
-    console.log('='.repeat(80) + '\n');
+    testLog.info(`Тестовое событие обработано: ${result.action} ${result.entityType} ${result.entityId}`, {
+      event: result.event,
+      rule: result.rule
+    });
 
     return res.json({
       success: true,
-      message: 'Тестовый лид успешно создан в Bitrix',
+      message: 'Тестовое событие успешно обработано',
+      event: result.event,
+      rule: result.rule,
+      action: result.action,
+      entityType: result.entityType,
+      entityId: result.entityId,
       leadId: result.leadId,
+      contactId: result.contactId,
+      dealId: result.dealId,
+      entities: result.entities,
       data: result.data
     });
   } catch (error) {
-    console.error('\n❌ [TEST] Ошибка при тестовой отправке в Bitrix:');
-    console.error('   Error message:', error.message);
-    console.error('   Error stack:', error.stack);
-    console.log('='.repeat(80) + '\n');
+    testLog.error('Ошибка при тестовой отправке в Bitrix', { error });
     
     return res.status(500).json({
       success: false,
@@ -333,15 +357,152 @@ app.post('/test/bitrix/lead', async (req, res) => {
   }
 });
 
+/**
+ * Тестовый endpoint: сравнение двух версий маппинга на одном payload без отправки в Bitrix.
+ *
+ * - POST /test/mapping/diff (тенант default) или /test/mapping/diff/:tenant
+ * - Body: { "payload": <вебхук call.completed>, "mapping": <новая версия>, "base": <старая версия> }
+ *   Версия — содержимое файла маппинга (объект или текст YAML/JSON, как в MAPPING_FILE).
+ *   Без base сравнивается с текущим маппингом тенанта.
+ *
+ * В ответе — пробные прогоны обеих версий и отличия запросов по сущностям (см. diffDryRuns).
+ */
+app.post(['/test/mapping/diff', '/test/mapping/diff/:tenant'], requireTestEndpoints, resolveTenant, async (req, res) => {
+  const { payload, mapping, base } = req.body || {};
+
+  if (!payload || typeof payload !== 'object' || mapping === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Отправьте { "payload": <вебхук>, "mapping": <новая версия маппинга>, "base"?: <старая версия> }'
+    });
+  }
+
+  const validation = validatePayload(payload);
+  if (!validation.valid) {
+    return respondInvalidPayload(res, testLog, validation);
+  }
+  if (validation.event !== DEFAULT_EVENT) {
+    return res.status(400).json({
+      success: false,
+      error: `Сравнение маппинга поддерживается только для ${DEFAULT_EVENT}`,
+      event: validation.event
+    });
+  }
+
+  let versions;
+  try {
+    versions = {
+      base: base === undefined ? null : buildMappingVersion(base),
+      candidate: buildMappingVersion(mapping)
+    };
+  } catch (error) {
+    return res.status(422).json({
+      success: false,
+      error: `Некорректный маппинг: ${error.message}`,
+      errors: error.details
+    });
+  }
+
+  try {
+    const baseRun = await dryRunCrmPipeline(payload, { mappings: versions.base });
+    const candidateRun = await dryRunCrmPipeline(payload, { mappings: versions.candidate });
+    const diff = diffDryRuns(baseRun, candidateRun);
+
+    testLog.info(`Сравнение маппинга: отличия в ${Object.keys(diff).join(', ') || 'нет отличий'}`);
+
+    return res.json({
+      success: true,
+      changed: Object.keys(diff).length > 0,
+      diff,
+      base: baseRun,
+      candidate: candidateRun
+    });
+  } catch (error) {
+    testLog.error('Ошибка при сравнении маппинга', { error });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Внутренняя ошибка сервера'
+    });
+  }
+});
+
+/**
+ * Админские endpoint'ы: очередь и dead-letter (см. lib/admin.js)
+ */
+app.use('/admin', createAdminRouter({ deliveryQueue }));
+
+// Установка локального приложения Bitrix и OAuth callback (см. lib/bitrix-oauth.js)
+app.use('/oauth/bitrix', createOAuthRouter());
+
+// Загружаем TENANTS_FILE, MAPPING_FILE, ROUTING_RULES_FILE и NOTIFIERS_FILE до старта:
+// с некорректной конфигурацией сервер не запускается
+initTenants();
+initMappingConfig();
+initRoutingRules();
+initNotifiers();
+
 // Запуск сервера
-app.listen(PORT, () => {
-  console.log(`🚀 Сервер запущен на порту ${PORT}`);
+const server = app.listen(PORT, () => {
+  log.info(`Сервер запущен на порту ${PORT}`);
+  
+  deliveryQueue.start();
+  // Записи звонков скачиваются своим воркером и не задерживают доставку лидов
+  getCallMediaQueue().start();
+  
+  for (const tenant of getTenants()) {
+    runWithTenant(tenant, () => {
+      const secretsCount = getWebhookSecrets().length;
+      if (secretsCount === 0) {
+        log.warn('WEBHOOK_SECRET не установлен. Проверка подписи отключена!', { tenant: tenant.id });
+      } else if (secretsCount > 1) {
+        log.info(`Активных секретов вебхука: ${secretsCount} (режим ротации)`, { tenant: tenant.id });
+      }
+      
+      for (const error of getBitrixConfigErrors()) {
+        log.warn(`Подключение к Bitrix: ${error}. Отправка в Bitrix не будет работать!`, { tenant: tenant.id });
+      }
+    });
+  }
   
-  if (!process.env.WEBHOOK_SECRET) {
-    console.warn('⚠️  ВНИМАНИЕ: WEBHOOK_SECRET не установлен. Проверка подписи отключена!');
+  if (!process.env.ADMIN_TOKEN) {
+    log.warn('ADMIN_TOKEN не установлен. Раздел /admin отключен.');
   }
   
-  if (!process.env.BITRIX_WEBHOOK_URL) {
-    console.warn('⚠️  ВНИМАНИЕ: BITRIX_WEBHOOK_URL не установлен. Отправка в Bitrix не будет работать!');
+  const testEndpointsMode = getTestEndpointsMode();
+  if (testEndpointsMode === 'open' && process.env.NODE_ENV === 'production') {
+    log.warn('TEST_ENDPOINTS=open в production: /test/... доступны без авторизации и создают записи в Bitrix!');
+  } else {
+    log.info(`Тестовые endpoint'ы /test/...: ${testEndpointsMode}`);
   }
 });
+
+/**
+ * Остановка по SIGTERM (docker stop) и SIGINT: воркеры очередей больше не берут задачи,
+ * сервер дожидается текущих запросов, журнал доставок дописывается на диск.
+ * Невыполненные задачи остаются в DATA_DIR/queue.json и продолжатся после перезапуска.
+ * Если запросы не завершились за SHUTDOWN_TIMEOUT_MS (по умолчанию 10000), выходим без них
+ */
+function shutdown(signal) {
+  log.info(`Получен ${signal}, останавливаем сервер`);
+  deliveryQueue.stop();
+  getCallMediaQueue().stop();
+
+  const exit = () => {
+    flushDeliveries();
+    process.exit(0);
+  };
+
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+  setTimeout(() => {
+    log.warn(`Запросы не завершились за ${timeoutMs} мс, выходим без них`);
+    exit();
+  }, timeoutMs).unref();
+
+  server.close(exit);
+  // Keep-alive соединения без запросов иначе держали бы close() до таймаута
+  server.closeIdleConnections();
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
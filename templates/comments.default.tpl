@@ -0,0 +1,33 @@
+{{! Шаблон поля COMMENTS лида. Синтаксис — см. lib/template.js }}
+Имя: {{call.agreements.client_name | default:"—"}}
+Телефон: {{contact.phone | phone:"+" | default:"—"}}
+Длительность звонка: {{call.duration | duration | default:"—"}}
+Время начала звонка: {{call.startedAt | date | default:"—"}}
+{{#if call.agreements.interest}}
+Заинтересованность: {{call.agreements.interest}}
+{{/if}}
+Запись звонка: {{{call.recordUrl | default:"—"}}}
+
+Договоренности: {{call.agreements.agreements | default:"—"}}
+Время договоренности: {{call.agreements | agreementsTime | default:"—"}}
+Возможный регион: {{contact.dadataPhoneInfo.region | default:"—"}}
+{{#if contact.tags}}
+Теги: {{#each contact.tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+{{/if}}
+{{#if call.agreements.client_facts}}
+
+О клиенте:
+{{call.agreements.client_facts}}
+{{/if}}
+{{#if contact.additionalFields}}
+
+Доп. поля контакта:
+{{#each contact.additionalFields}}
+- {{@key}}: {{this}}
+{{/each}}
+{{/if}}
+{{#if call.agreements.smsText}}
+
+Закрывающее сообщение:
+{{call.agreements.smsText}}
+{{/if}}
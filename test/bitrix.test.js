@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyBitrixError, isWriteMethod, canRetryCall, BitrixError } = require('../lib/bitrix');
+
+const bitrixError = (method, { code, status }) =>
+  new BitrixError('Ошибка Bitrix', { method, code, status, kind: classifyBitrixError({ code, status }) });
+
+describe('classifyBitrixError', () => {
+  it('лимит запросов: QUERY_LIMIT_EXCEEDED или 429', () => {
+    assert.equal(classifyBitrixError({ code: 'QUERY_LIMIT_EXCEEDED', status: 503 }), 'rate_limit');
+    assert.equal(classifyBitrixError({ status: 429 }), 'rate_limit');
+  });
+
+  it('авторизация: коды токена и 401/403', () => {
+    assert.equal(classifyBitrixError({ code: 'expired_token', status: 401 }), 'auth');
+    assert.equal(classifyBitrixError({ code: 'ACCESS_DENIED', status: 403 }), 'auth');
+    assert.equal(classifyBitrixError({ status: 401 }), 'auth');
+  });
+
+  it('ошибка сервера: временные коды Bitrix и 5xx', () => {
+    assert.equal(classifyBitrixError({ code: 'OPERATION_TIME_LIMIT', status: 200 }), 'server');
+    assert.equal(classifyBitrixError({ code: 'INTERNAL_SERVER_ERROR', status: 500 }), 'server');
+    assert.equal(classifyBitrixError({ status: 502 }), 'server');
+  });
+
+  it('сеть: сетевой код без HTTP-статуса', () => {
+    assert.equal(classifyBitrixError({ code: 'ECONNRESET' }), 'network');
+    assert.equal(classifyBitrixError({ code: 'ECONNABORTED' }), 'network');
+    assert.equal(classifyBitrixError({ code: 'ENOTFOUND' }), 'network');
+  });
+
+  it('неверные данные — 400, остальное — unknown', () => {
+    assert.equal(classifyBitrixError({ code: 'ERROR_CORE', status: 400 }), 'validation');
+    assert.equal(classifyBitrixError({ code: 'ERROR_METHOD_NOT_FOUND', status: 404 }), 'unknown');
+    assert.equal(classifyBitrixError({}), 'unknown');
+  });
+
+  it('BitrixError повторяем только для rate_limit, server и network', () => {
+    assert.equal(bitrixError('crm.lead.add', { status: 502 }).retryable, true);
+    assert.equal(bitrixError('crm.lead.add', { code: 'ECONNRESET' }).retryable, true);
+    assert.equal(bitrixError('crm.lead.add', { status: 429 }).retryable, true);
+    assert.equal(bitrixError('crm.lead.add', { code: 'ERROR_CORE', status: 400 }).retryable, false);
+    assert.equal(bitrixError('crm.lead.add', { code: 'ACCESS_DENIED', status: 403 }).retryable, false);
+  });
+});
+
+describe('isWriteMethod', () => {
+  it('чтение: get, list, fields, поиск дублей и server.time', () => {
+    for (const method of ['crm.lead.get', 'crm.lead.list', 'crm.deal.fields', 'crm.duplicate.findbycomm', 'server.time']) {
+      assert.equal(isWriteMethod(method), false, method);
+    }
+  });
+
+  it('запись: add, update, комментарии, загрузка файлов и batch', () => {
+    for (const method of ['crm.lead.add', 'crm.lead.update', 'crm.timeline.comment.add', 'disk.folder.uploadfile', 'batch']) {
+      assert.equal(isWriteMethod(method), true, method);
+    }
+  });
+});
+
+describe('canRetryCall', () => {
+  it('чтение повторяется при любой временной ошибке', () => {
+    assert.equal(canRetryCall('crm.lead.list', bitrixError('crm.lead.list', { status: 502 })), true);
+    assert.equal(canRetryCall('crm.lead.list', bitrixError('crm.lead.list', { code: 'ECONNABORTED' })), true);
+  });
+
+  it('запись повторяется, только если Bitrix ее точно не выполнил', () => {
+    assert.equal(canRetryCall('crm.lead.add', bitrixError('crm.lead.add', { code: 'QUERY_LIMIT_EXCEEDED', status: 503 })), true);
+    assert.equal(canRetryCall('crm.lead.add', bitrixError('crm.lead.add', { code: 'ECONNREFUSED' })), true);
+    assert.equal(canRetryCall('crm.lead.add', bitrixError('crm.lead.add', { code: 'ENOTFOUND' })), true);
+  });
+
+  it('запись не повторяется после таймаута, обрыва и 5xx: могла выполниться', () => {
+    assert.equal(canRetryCall('crm.lead.add', bitrixError('crm.lead.add', { code: 'ECONNABORTED' })), false);
+    assert.equal(canRetryCall('crm.lead.add', bitrixError('crm.lead.add', { code: 'ECONNRESET' })), false);
+    assert.equal(canRetryCall('batch', bitrixError('batch', { status: 502 })), false);
+  });
+
+  it('постоянная ошибка не повторяется', () => {
+    assert.equal(canRetryCall('crm.lead.list', bitrixError('crm.lead.list', { code: 'ACCESS_DENIED', status: 403 })), false);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimezone,
+  getClientTimezone,
+  resolveTimezone,
+  parseTimezone,
+  formatDate,
+  toBitrixDateTime,
+  parseDate,
+  getAgreementsDate
+} = require('../lib/datetime');
+const { runWithTenant } = require('../lib/tenants');
+
+const withRegion = (region) => ({ contact: { dadataPhoneInfo: { region } } });
+const withTimezone = (timezone) => ({ contact: { dadataPhoneInfo: { timezone } } });
+
+/**
+ * Выполняет fn с настройками тенанта (TIMEZONE, TIMEZONE_FROM_CONTACT)
+ */
+const withSettings = (settings, fn) => runWithTenant({ id: 'test', settings, stats: {} }, fn);
+
+describe('getClientTimezone: пояс по региону DaData', () => {
+  it('Томская область — Asia/Tomsk, а не Омск', () => {
+    assert.equal(getClientTimezone(withRegion('Томская обл')), 'Asia/Tomsk');
+    assert.equal(getClientTimezone(withRegion('г Томск')), 'Asia/Tomsk');
+  });
+
+  it('Омская область и Омск — Asia/Omsk', () => {
+    assert.equal(getClientTimezone(withRegion('Омская обл')), 'Asia/Omsk');
+    assert.equal(getClientTimezone(withRegion('г Омск')), 'Asia/Omsk');
+  });
+
+  it('timezone из DaData важнее региона', () => {
+    const data = { contact: { dadataPhoneInfo: { timezone: 'UTC+7', region: 'Омская обл' } } };
+    assert.equal(getClientTimezone(data), 'Etc/GMT-7');
+  });
+
+  it('московский регион и пустые данные — null', () => {
+    assert.equal(getClientTimezone(withRegion('г Москва')), null);
+    assert.equal(getClientTimezone({}), null);
+    assert.equal(getClientTimezone(null), null);
+  });
+});
+
+describe('resolveTimezone: пояс клиента или тенанта', () => {
+  it('без DaData — TIMEZONE тенанта, по умолчанию Europe/Moscow', () => {
+    assert.equal(resolveTimezone({}), 'Europe/Moscow');
+    withSettings({ TIMEZONE: 'Asia/Yekaterinburg' }, () => {
+      assert.equal(resolveTimezone({}), 'Asia/Yekaterinburg');
+    });
+  });
+
+  it('неизвестный TIMEZONE — Europe/Moscow', () => {
+    withSettings({ TIMEZONE: 'Mars/Olympus' }, () => {
+      assert.equal(resolveTimezone({}), 'Europe/Moscow');
+    });
+  });
+
+  it('TIMEZONE_FROM_CONTACT=false — всегда пояс тенанта', () => {
+    assert.equal(resolveTimezone(withTimezone('UTC+5')), 'Etc/GMT-5');
+    withSettings({ TIMEZONE_FROM_CONTACT: 'false', TIMEZONE: 'Europe/Samara' }, () => {
+      assert.equal(resolveTimezone(withTimezone('UTC+5')), 'Europe/Samara');
+    });
+  });
+});
+
+describe('parseTimezone: смещения с минутами', () => {
+  it('UTC+5:30 и +03:30 — фиксированное смещение', () => {
+    assert.equal(parseTimezone('UTC+5:30'), '+05:30');
+    assert.equal(parseTimezone('+03:30'), '+03:30');
+    assert.equal(parseTimezone('GMT-03:30'), '-03:30');
+  });
+
+  it('целые часы по-прежнему в Etc/GMT', () => {
+    assert.equal(parseTimezone('UTC+5'), 'Etc/GMT-5');
+    assert.equal(parseTimezone('GMT+05:00'), 'Etc/GMT-5');
+    assert.equal(parseTimezone('UTC-3'), 'Etc/GMT+3');
+    assert.equal(parseTimezone('UTC+0'), 'Etc/UTC');
+    assert.equal(parseTimezone('UTC'), 'Etc/UTC');
+  });
+
+  it('несколько поясов — первый, имя IANA — как есть', () => {
+    assert.equal(parseTimezone('UTC+3/UTC+4'), 'Etc/GMT-3');
+    assert.equal(parseTimezone('Asia/Yekaterinburg'), 'Asia/Yekaterinburg');
+  });
+
+  it('неразборчивое значение и смещение вне диапазона — null', () => {
+    assert.equal(parseTimezone(''), null);
+    assert.equal(parseTimezone(undefined), null);
+    assert.equal(parseTimezone('Mars/Olympus'), null);
+    assert.equal(parseTimezone('UTC+15'), null);
+    assert.equal(parseTimezone('UTC+5:75'), null);
+  });
+
+  it('isValidTimezone: имена IANA и фиксированные смещения', () => {
+    assert.equal(isValidTimezone('Europe/Moscow'), true);
+    assert.equal(isValidTimezone('+05:30'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+    assert.equal(isValidTimezone(''), false);
+  });
+
+  it('вывод и разбор времени в поясе +05:30', () => {
+    const date = new Date('2026-02-17T10:30:00.000Z');
+
+    assert.equal(formatDate(date, '+05:30'), '17.02.2026 16:00 (UTC+5:30)');
+    assert.equal(toBitrixDateTime(date, '+05:30'), '2026-02-17T16:00:00+05:30');
+    assert.equal(parseDate('2026-02-17 16:00', { timezone: '+05:30' }).toISOString(), '2026-02-17T10:30:00.000Z');
+  });
+});
+
+describe('parseDate', () => {
+  it('строка без пояса — время по часам timezone (по умолчанию UTC)', () => {
+    assert.equal(parseDate('2026-02-17 18:33:00').toISOString(), '2026-02-17T18:33:00.000Z');
+    assert.equal(parseDate('2026-02-17 18:33', { timezone: 'Europe/Moscow' }).toISOString(), '2026-02-17T15:33:00.000Z');
+    assert.equal(parseDate('2026-02-17', { timezone: 'Asia/Yekaterinburg' }).toISOString(), '2026-02-16T19:00:00.000Z');
+  });
+
+  it('строка со смещением или Z — точный момент, timezone не влияет', () => {
+    const moment = '2026-02-17T18:33:00.000Z';
+    assert.equal(parseDate('2026-02-17T18:33:00Z', { timezone: 'Asia/Omsk' }).toISOString(), moment);
+    assert.equal(parseDate('2026-02-17T21:33:00+03:00', { timezone: 'Asia/Omsk' }).toISOString(), moment);
+  });
+
+  it('переход на летнее время: смещение на сам момент', () => {
+    // В Берлине 29.03.2026 в 02:00 часы переводятся на 03:00
+    assert.equal(parseDate('2026-03-29 01:30', { timezone: 'Europe/Berlin' }).toISOString(), '2026-03-29T00:30:00.000Z');
+    assert.equal(parseDate('2026-03-29 03:30', { timezone: 'Europe/Berlin' }).toISOString(), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('Date и число — как есть, пустое и мусор — null', () => {
+    assert.equal(parseDate(0).toISOString(), '1970-01-01T00:00:00.000Z');
+    assert.equal(parseDate(new Date('2026-02-17T00:00:00Z')).toISOString(), '2026-02-17T00:00:00.000Z');
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate(null), null);
+    assert.equal(parseDate('завтра'), null);
+  });
+});
+
+describe('getAgreementsDate', () => {
+  it('agreements_time — UTC, важнее местного времени', () => {
+    const agreements = { agreements_time: '2026-02-18 09:00:00', agreements_time_local: '2026-02-18 10:00:00' };
+    assert.equal(getAgreementsDate(agreements, withTimezone('UTC+5')).toISOString(), '2026-02-18T09:00:00.000Z');
+  });
+
+  it('agreements_time_local — по поясу клиента, без него — по поясу тенанта', () => {
+    const agreements = { agreements_time_local: '2026-02-18 14:00:00' };
+    assert.equal(getAgreementsDate(agreements, withTimezone('UTC+5')).toISOString(), '2026-02-18T09:00:00.000Z');
+    assert.equal(getAgreementsDate(agreements, {}).toISOString(), '2026-02-18T11:00:00.000Z');
+  });
+
+  it('нет времени — null', () => {
+    assert.equal(getAgreementsDate({}, {}), null);
+    assert.equal(getAgreementsDate(undefined, {}), null);
+  });
+});
+
+describe('formatDate и toBitrixDateTime', () => {
+  const date = new Date('2026-02-17T18:33:00.000Z');
+
+  it('Москва — "по МСК", другой пояс — смещение от UTC', () => {
+    assert.equal(formatDate(date, 'Europe/Moscow'), '17.02.2026 21:33 по МСК');
+    assert.equal(formatDate(date, 'Asia/Yekaterinburg'), '17.02.2026 23:33 (UTC+5)');
+    assert.equal(formatDate(date, 'America/New_York'), '17.02.2026 13:33 (UTC-5)');
+    assert.equal(formatDate(date, 'Etc/UTC'), '17.02.2026 18:33 (UTC)');
+  });
+
+  it('"по МСК" — только поясам с московским временем, а не всем UTC+3', () => {
+    assert.equal(formatDate(date, 'Europe/Simferopol'), '17.02.2026 21:33 по МСК');
+    assert.equal(formatDate(date, 'Europe/Volgograd'), '17.02.2026 21:33 по МСК');
+    assert.equal(formatDate(date, 'Europe/Minsk'), '17.02.2026 21:33 (UTC+3)');
+    assert.equal(formatDate(date, 'Europe/Istanbul'), '17.02.2026 21:33 (UTC+3)');
+    assert.equal(formatDate(date, 'Asia/Riyadh'), '17.02.2026 21:33 (UTC+3)');
+  });
+
+  it('ISO 8601 со смещением пояса, дата может смениться', () => {
+    assert.equal(toBitrixDateTime(date, 'Europe/Moscow'), '2026-02-17T21:33:00+03:00');
+    assert.equal(toBitrixDateTime(date, 'Asia/Kamchatka'), '2026-02-18T06:33:00+12:00');
+    assert.equal(toBitrixDateTime(date, 'America/New_York'), '2026-02-17T13:33:00-05:00');
+  });
+});
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Payload вебхука из test/fixtures — каждый раз новая копия, тест может ее менять
+ * @param {String} name - Имя файла без .json, например call-completed.full
+ * @returns {Object}
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+module.exports = {
+  loadFixture
+};
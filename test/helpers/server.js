@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { createMockBitrix } = require('../../tools/mock-bitrix');
+
+/**
+ * Сервер для end-to-end тестов: server.js в отдельном процессе с чистым окружением
+ * и временным DATA_DIR, Bitrix — mock из tools/mock-bitrix.js в процессе теста
+ */
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 10000;
+
+// Быстрые повторы и без ограничения частоты, чтобы тесты не ждали секундами
+const DEFAULT_ENV = {
+  LOG_LEVEL: 'info',
+  QUEUE_POLL_INTERVAL_MS: '50',
+  QUEUE_RETRY_BASE_MS: '100',
+  BITRIX_RETRY_DELAY_MS: '50',
+  BITRIX_RATE_LIMIT_PER_SEC: '1000',
+  BITRIX_RATE_LIMIT_BURST: '1000',
+  WEBHOOK_WAIT_MS: '5000'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Запускает server.js и ждет /healthz
+ * @param {Object} [env] - Переменные окружения поверх DEFAULT_ENV (BITRIX_WEBHOOK_URL и т.п.)
+ * @returns {Promise<Object>} - { url, dataDir, request(method, path, options), logs(), stop() }
+ */
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasha-test-'));
+  const output = [];
+
+  // cwd — временная папка: .env разработчика не должен попадать в тесты
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dataDir,
+    env: { PATH: process.env.PATH, ...DEFAULT_ENV, ...env, PORT: String(port), DATA_DIR: dataDir },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(String(chunk)));
+  child.stderr.on('data', chunk => output.push(String(chunk)));
+
+  const url = `http://127.0.0.1:${port}`;
+  const client = axios.create({ baseURL: url, validateStatus: () => true });
+
+  /**
+   * Останавливает сервер по SIGTERM
+   * @param {Object} [options]
+   * @param {Boolean} [options.keepData] - Не удалять DATA_DIR (проверить, что сервер записал перед выходом)
+   * @returns {Promise<Number|null>} - Код выхода
+   */
+  async function stop({ keepData = false } = {}) {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+    if (!keepData) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    return child.exitCode;
+  }
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`server.js завершился при старте:\n${output.join('')}`);
+    }
+    try {
+      await client.get('/healthz');
+      break;
+    } catch (error) {
+      if (Date.now() > deadline) {
+        await stop();
+        throw new Error(`server.js не запустился за ${START_TIMEOUT_MS} мс:\n${output.join('')}`);
+      }
+      await sleep(100);
+    }
+  }
+
+  return {
+    url,
+    dataDir,
+    request: (method, requestPath, options = {}) => client.request({ method, url: requestPath, ...options }),
+    logs: () => output.join(''),
+    stop
+  };
+}
+
+/**
+ * Mock Bitrix на свободном порту
+ * @param {Object} [options] - См. createMockBitrix()
+ * @returns {Promise<Object>} - mock с полем webhookUrl
+ */
+async function startMockBitrix(options) {
+  const mock = createMockBitrix(options);
+  mock.webhookUrl = await mock.start(0);
+  return mock;
+}
+
+/**
+ * Вызовы mock'а с разворачиванием batch: [{ method, params }] в порядке выполнения
+ * @param {Object} mock
+ * @returns {Object[]}
+ */
+function getBitrixCalls(mock) {
+  return mock.calls.flatMap(call => {
+    if (call.method !== 'batch') {
+      return [call];
+    }
+    return Object.values(call.params.cmd || {}).map(command => ({ method: command.split('?')[0], batch: true }));
+  });
+}
+
+/**
+ * Подпись вебхука, как ее ставит Sasha AI (HMAC-SHA256 от сырого тела в hex)
+ * @param {String} body
+ * @param {String} secret
+ * @returns {String}
+ */
+function signPayload(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+module.exports = {
+  startServer,
+  startMockBitrix,
+  getBitrixCalls,
+  signPayload
+};
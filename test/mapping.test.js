@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { applyMapping, getValueByPath, leadMapping, contactMapping, dealMapping } = require('../mapping');
+const { buildMappingVersion } = require('../lib/mapping-config');
+const { loadFixture } = require('./helpers/fixtures');
+
+const EXAMPLE_MAPPING = path.join(__dirname, '..', 'config', 'mapping.example.yaml');
+
+describe('getValueByPath', () => {
+  it('достает вложенное значение и возвращает null для отсутствующего пути', () => {
+    const data = loadFixture('call-completed.full');
+
+    assert.equal(getValueByPath(data, 'call.agreements.agreements_time'), '2026-02-18 09:00:00');
+    assert.equal(getValueByPath(data, 'call.agreements.missing'), null);
+    assert.equal(getValueByPath(data, 'nothing.here'), null);
+  });
+});
+
+describe('applyMapping: маппинг из mapping.js', () => {
+  it('полный звонок: имя, телефон в E.164 с типом по DaData, COMMENTS из шаблона', () => {
+    const fields = applyMapping(loadFixture('call-completed.full'), leadMapping);
+
+    assert.equal(fields.STATUS_ID, 'UC_E5DGC8');
+    assert.equal(fields.NAME, 'Иван Петров');
+    assert.deepEqual(fields.PHONE, [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]);
+    assert.match(fields.COMMENTS, /^Телефон: \+79001234567$/m);
+    assert.match(fields.COMMENTS, /^Длительность звонка: 02:05$/m);
+    // Пояс клиента из DaData (UTC+5), а не московский
+    assert.match(fields.COMMENTS, /^Время начала звонка: 17\.02\.2026 15:30 \(UTC\+5\)$/m);
+    assert.match(fields.COMMENTS, /^Время договоренности: 18\.02\.2026 14:00 \(UTC\+5\)$/m);
+  });
+
+  it('данные клиента в COMMENTS не превращаются в BB-коды', () => {
+    const fields = applyMapping(loadFixture('call-completed.full'), leadMapping);
+
+    assert.match(fields.COMMENTS, /&#91;b&#93;автошкола&#91;\/b&#93;/);
+    assert.doesNotMatch(fields.COMMENTS, /\[b\]/);
+  });
+
+  it('минимальный звонок: пустые поля не попадают в результат, причина — в трассировке', () => {
+    const trace = [];
+    const fields = applyMapping(loadFixture('call-completed.minimal'), leadMapping, trace);
+
+    assert.equal('NAME' in fields, false);
+    assert.deepEqual(fields.PHONE, [{ VALUE: '+79001112233', VALUE_TYPE: 'MOBILE' }]);
+    assert.match(fields.COMMENTS, /^Договоренности: —$/m);
+
+    const name = trace.find(step => step.field === 'NAME');
+    assert.equal(name.source, 'call.agreements.client_name');
+    assert.equal(name.skipped, 'null');
+    assert.deepEqual(trace.map(step => step.field), Object.keys(leadMapping));
+  });
+
+  it('контакт и сделка', () => {
+    const data = loadFixture('call-completed.full');
+
+    assert.deepEqual(applyMapping(data, contactMapping), {
+      NAME: 'Иван Петров',
+      PHONE: [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]
+    });
+    assert.equal(
+      applyMapping(data, dealMapping).TITLE,
+      'Сделка ИИ: Иван Петров — Перезвонить завтра и рассказать о тарифе «Вождение»'
+    );
+  });
+});
+
+describe('applyMapping: описание полей', () => {
+  const data = loadFixture('call-completed.full');
+
+  it('default подставляется, только если значения нет', () => {
+    const mapping = {
+      NAME: { source: 'call.agreements.client_name', transform: 'trim', default: 'Без имени' },
+      SOURCE_ID: { source: 'call.agreements.source', default: 'CALL' }
+    };
+    const trace = [];
+
+    assert.deepEqual(applyMapping(data, mapping, trace), { NAME: 'Иван Петров', SOURCE_ID: 'CALL' });
+    assert.deepEqual(trace.map(step => step.usedDefault), [false, true]);
+  });
+
+  it('пустой массив пропускается', () => {
+    const trace = [];
+    const fields = applyMapping({ contact: { tags: [] } }, { UF_TAGS: { source: 'contact.tags' } }, trace);
+
+    assert.deepEqual(fields, {});
+    assert.equal(trace[0].skipped, 'пустой массив');
+  });
+
+  it('ошибка преобразования пропускает только это поле', () => {
+    const trace = [];
+    const fields = applyMapping(data, {
+      TITLE: { value: 'Звонок' },
+      BROKEN: {
+        source: 'call.id',
+        transform: () => {
+          throw new Error('сломалось');
+        }
+      }
+    }, trace);
+
+    assert.deepEqual(fields, { TITLE: 'Звонок' });
+    assert.equal(trace[1].skipped, 'ошибка: сломалось');
+  });
+
+  it('неизвестное преобразование — ошибка поля, а не всего маппинга', () => {
+    const trace = [];
+    const fields = applyMapping(data, { NAME: { source: 'call.agreements.client_name', transform: 'nope' } }, trace);
+
+    assert.deepEqual(fields, {});
+    assert.match(trace[0].skipped, /Неизвестное преобразование "nope"/);
+  });
+});
+
+describe('config/mapping.example.yaml', () => {
+  const version = buildMappingVersion(fs.readFileSync(EXAMPLE_MAPPING, 'utf8'));
+
+  it('проходит проверку и дополняет маппинг из mapping.js', () => {
+    const fields = applyMapping(loadFixture('call-completed.full'), version.lead);
+
+    assert.match(fields.TITLE, /^Звонок ИИ: +Иван Петров/);
+    assert.equal(fields.SOURCE_DESCRIPTION, 'горячий, [b]автошкола[/b]');
+    assert.equal(fields.STATUS_ID, 'UC_E5DGC8');
+    assert.ok(fields.COMMENTS);
+  });
+
+  it('минимальный звонок: имя по умолчанию', () => {
+    const fields = applyMapping(loadFixture('call-completed.minimal'), version.lead);
+
+    assert.equal(fields.NAME, 'Без имени');
+    assert.equal(fields.TITLE, 'Звонок ИИ');
+  });
+
+  it('ошибки в файле маппинга перечисляются в details', () => {
+    assert.throws(
+      () => buildMappingVersion({ lead: { NAME: { source: 'call.id', transform: 'nope' } } }),
+      error => Array.isArray(error.details) && error.details.some(detail => detail.includes('nope'))
+    );
+  });
+});
@@ -0,0 +1,269 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { startServer, startMockBitrix } = require('./helpers/server');
+const { loadFixture } = require('./helpers/fixtures');
+const { truncateHtml } = require('../lib/notifiers');
+
+const TELEGRAM_TOKEN = 'test-token';
+const WAIT_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function uniqueCall(name, id) {
+  const payload = loadFixture(name);
+  payload.call.id = `${payload.call.id}-${id}`;
+  return payload;
+}
+
+/**
+ * Получатель вебхуков и Bot API Telegram: /hook — 200, /broken — 500, /bot<token>/sendMessage — { ok: true }
+ */
+async function startHttpStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+      res.writeHead(req.url === '/broken' ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * SMTP-заглушка: принимает любые письма и складывает их в messages ({ from, to, data })
+ */
+async function startSmtpStub() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push({ ...message, data: message.data.join('\n') });
+            socket.write('250 OK\r\n');
+          } else {
+            message.data.push(line.replace(/^\./, ''));
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          message = { from: line, to: [], data: [] };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    messages,
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Тело письма nodemailer кодирует quoted-printable: =D0=B2 → байты UTF-8, = в конце строки — перенос
+ */
+function decodeQuotedPrintable(text) {
+  const bytes = text.replace(/=\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+/**
+ * Ждет первых уведомлений: они уходят в фоне, уже после ответа на вебхук
+ * @param {Function} getItems - () => полученные на сейчас запросы или письма
+ * @param {String} what - Что ждем, для текста ошибки
+ * @returns {Promise<Object[]>}
+ */
+async function waitFor(getItems, what) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  for (;;) {
+    const items = getItems();
+    if (items.length > 0) {
+      return items;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`${what}: нет за ${WAIT_TIMEOUT_MS} мс`);
+    }
+    await sleep(50);
+  }
+}
+
+describe('truncateHtml', () => {
+  it('короткий текст не меняется', () => {
+    assert.equal(truncateHtml('<b>Звонок</b> записан', 4096), '<b>Звонок</b> записан');
+  });
+
+  it('обрезка посреди тега или сущности отбрасывает недописанный хвост', () => {
+    assert.equal(truncateHtml('Клиент: Иван <i>Петров</i>', 16), 'Клиент: Иван ');
+    assert.equal(truncateHtml('Tom &amp; Jerry', 8), 'Tom ');
+  });
+
+  it('теги, открытые до места обрезки, удаляются', () => {
+    assert.equal(truncateHtml('<b>Звонок</b> <i>Договоренности: перезвонить</i>', 31), '<b>Звонок</b> Договоренности');
+    assert.equal(truncateHtml('<a href="https://example.com">ссылка на лид</a>', 36), 'ссылка');
+  });
+});
+
+describe('Уведомления об итогах доставки', () => {
+  let bitrix;
+  let stub;
+  let smtp;
+  let server;
+  let tmpDir;
+
+  const hookRequests = () => stub.requests.filter(request => request.url === '/hook');
+  const telegramRequests = () => stub.requests.filter(request => request.url.startsWith('/bot'));
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    stub = await startHttpStub();
+    smtp = await startSmtpStub();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasha-notifiers-'));
+    const notifiersFile = path.join(tmpDir, 'notifiers.json');
+    fs.writeFileSync(notifiersFile, JSON.stringify({
+      notifiers: [
+        { name: 'hook', type: 'webhook', url: `${stub.url}/hook`, headers: { 'X-Token': 'secret' } },
+        { name: 'broken', type: 'webhook', url: `${stub.url}/broken`, on: ['success'] },
+        { name: 'tg', type: 'telegram', chatId: '-100500', on: ['success'] },
+        {
+          name: 'mail',
+          type: 'email',
+          to: 'ops@example.com',
+          on: ['failure'],
+          subject: 'Call {{delivery.status}}',
+          template: 'Error: {{delivery.error}}'
+        }
+      ]
+    }));
+
+    server = await startServer({
+      BITRIX_WEBHOOK_URL: bitrix.webhookUrl,
+      NOTIFIERS_FILE: notifiersFile,
+      NOTIFY_TELEGRAM_BOT_TOKEN: TELEGRAM_TOKEN,
+      NOTIFY_TELEGRAM_API_URL: stub.url,
+      NOTIFY_SMTP_URL: smtp.url,
+      NOTIFY_EMAIL_FROM: 'sasha@example.com'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await smtp?.stop();
+    await stub?.stop();
+    await bitrix?.stop();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bitrix.reset();
+    stub.requests.length = 0;
+    smtp.messages.length = 0;
+  });
+
+  it('лид создан: вебхук и Telegram получают success, письма нет', async () => {
+    const response = await server.request('post', '/webhook', { data: uniqueCall('call-completed.full', 'success') });
+    assert.equal(response.status, 200);
+
+    const [hook] = await waitFor(hookRequests, 'Вебхук уведомления');
+    assert.equal(hook.headers['x-token'], 'secret');
+    assert.equal(hook.body.status, 'success');
+    assert.equal(hook.body.event, 'call.completed');
+    assert.equal(hook.body.delivery.leadId, response.data.leadId);
+    assert.match(hook.body.text, /^Звонок записан в Bitrix/);
+
+    const [telegram] = await waitFor(telegramRequests, 'Сообщение в Telegram');
+    assert.equal(telegram.url, `/bot${TELEGRAM_TOKEN}/sendMessage`);
+    assert.equal(telegram.body.chat_id, '-100500');
+    assert.equal(telegram.body.parse_mode, 'HTML');
+    assert.match(telegram.body.text, /Клиент:\s+Иван Петров\s*, \+79001234567/);
+
+    assert.equal(smtp.messages.length, 0);
+  });
+
+  it('ошибка отправки одному получателю не мешает доставке и остальным', async () => {
+    const response = await server.request('post', '/webhook', { data: uniqueCall('call-completed.full', 'broken') });
+    assert.equal(response.status, 200);
+
+    await waitFor(hookRequests, 'Вебхук уведомления');
+    await waitFor(() => stub.requests.filter(request => request.url === '/broken'), 'Вебхук /broken');
+
+    const metrics = await server.request('get', '/metrics');
+    assert.match(metrics.data, /sasha_notifications_total\{type="webhook",result="failed"\} [1-9]/);
+    assert.match(metrics.data, /sasha_notifications_total\{type="telegram",result="sent"\} [1-9]/);
+  });
+
+  it('без изменений в CRM уведомления нет: call.started', async () => {
+    const started = { ...uniqueCall('call-completed.minimal', 'started'), event: 'call.started' };
+    const response = await server.request('post', '/webhook', { data: started });
+    assert.equal(response.status, 200);
+    assert.equal(response.data.action, 'logged');
+
+    // Следом — звонок с лидом: его уведомление приходит, а о call.started — нет
+    await server.request('post', '/webhook', { data: uniqueCall('call-completed.full', 'after-started') });
+    await waitFor(hookRequests, 'Вебхук уведомления');
+    await sleep(200);
+
+    assert.deepEqual(hookRequests().map(request => request.body.event), ['call.completed']);
+  });
+
+  it('dead-letter: письмо и вебхук получают failure с ошибкой', async () => {
+    bitrix.failNext('crm.lead.add', { error: 'ACCESS_DENIED', error_description: 'Нет прав', status: 403 });
+
+    const response = await server.request('post', '/webhook', { data: uniqueCall('call-completed.full', 'failure') });
+    assert.equal(response.status, 202);
+
+    const [message] = await waitFor(() => smtp.messages, 'Письмо');
+    assert.equal(message.from, 'MAIL FROM:<sasha@example.com>');
+    assert.deepEqual(message.to, ['RCPT TO:<ops@example.com>']);
+    assert.match(message.data, /^Subject: Call failure$/m);
+    assert.match(decodeQuotedPrintable(message.data), /Error: .*ACCESS_DENIED/);
+
+    const [hook] = await waitFor(hookRequests, 'Вебхук уведомления');
+    assert.equal(hook.body.status, 'failure');
+    assert.match(hook.body.delivery.error, /ACCESS_DENIED/);
+    assert.equal(telegramRequests().length, 0);
+  });
+});
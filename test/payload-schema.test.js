@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload } = require('../lib/payload-schema');
+const { runWithTenant } = require('../lib/tenants');
+const { loadFixture } = require('./helpers/fixtures');
+
+const strict = (fn) => runWithTenant({ id: 'test', settings: { WEBHOOK_SCHEMA_MODE: 'strict' }, stats: {} }, fn);
+
+describe('validatePayload', () => {
+  it('известное событие проверяется по схеме', () => {
+    const result = validatePayload(loadFixture('call-completed.full'));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.known, true);
+  });
+
+  it('strict: неизвестное событие отклоняется', () => {
+    const result = strict(() => validatePayload({ event: 'call.transferred' }));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [{ path: 'event', message: 'неизвестный тип события "call.transferred"' }]);
+  });
+
+  it('strict: имена свойств Object.prototype — тоже неизвестные события', () => {
+    for (const event of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      const result = strict(() => validatePayload({ event }));
+
+      assert.equal(result.valid, false, event);
+      assert.equal(result.known, false, event);
+    }
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, normalizePhone, getPhoneValueType, toPhoneField } = require('../lib/phone');
+const { runWithTenant } = require('../lib/tenants');
+
+/**
+ * Выполняет fn с настройками тенанта (PHONE_DEFAULT_COUNTRY, PHONE_INVALID)
+ */
+const withSettings = (settings, fn) => runWithTenant({ id: 'test', settings, stats: {} }, fn);
+
+describe('parsePhone', () => {
+  it('российский номер в разных записях — один E.164', () => {
+    for (const value of ['8 (900) 123-45-67', '+7 900 123 45 67', '9001234567', 79001234567]) {
+      const phone = parsePhone(value);
+      assert.equal(phone.e164, '+79001234567', String(value));
+      assert.equal(phone.digits, '79001234567');
+      assert.equal(phone.valid, true);
+      assert.equal(phone.country, 'RU');
+    }
+  });
+
+  it('тип номера: мобильный и стационарный', () => {
+    assert.equal(parsePhone('+79001234567').type, 'MOBILE');
+    assert.equal(parsePhone('+74951234567').type, 'FIXED_LINE');
+  });
+
+  it('номер без "+", не подходящий стране по умолчанию, разбирается как международный', () => {
+    assert.equal(parsePhone('380501234567').e164, '+380501234567');
+    assert.equal(parsePhone('380501234567').country, 'UA');
+  });
+
+  it('страна для номеров без кода — из options.country или PHONE_DEFAULT_COUNTRY', () => {
+    assert.equal(parsePhone('050 123 4567', { country: 'UA' }).e164, '+380501234567');
+    withSettings({ PHONE_DEFAULT_COUNTRY: 'kz' }, () => {
+      assert.equal(parsePhone('8 701 123 4567').e164, '+77011234567');
+      assert.equal(parsePhone('8 701 123 4567').country, 'KZ');
+    });
+  });
+
+  it('некорректный номер: valid false, только цифры', () => {
+    assert.deepEqual(parsePhone('+7 123'), { e164: null, digits: '7123', valid: false, country: null, type: null });
+  });
+
+  it('нет цифр — null', () => {
+    assert.equal(parsePhone(''), null);
+    assert.equal(parsePhone(null), null);
+    assert.equal(parsePhone('нет номера'), null);
+  });
+});
+
+describe('normalizePhone', () => {
+  it('E.164 с "+" или только цифры', () => {
+    assert.equal(normalizePhone('8 900 123-45-67'), '+79001234567');
+    assert.equal(normalizePhone('8 900 123-45-67', { plus: false }), '79001234567');
+    assert.equal(normalizePhone(undefined), null);
+  });
+
+  it('PHONE_INVALID: keep — цифры как есть, skip — null', () => {
+    assert.equal(normalizePhone('12-34'), '1234');
+    withSettings({ PHONE_INVALID: 'skip' }, () => {
+      assert.equal(normalizePhone('12-34'), null);
+      assert.equal(normalizePhone('89001234567'), '+79001234567');
+    });
+    // Неизвестное значение — как keep
+    withSettings({ PHONE_INVALID: 'drop' }, () => {
+      assert.equal(normalizePhone('12-34'), '1234');
+    });
+  });
+});
+
+describe('getPhoneValueType и toPhoneField', () => {
+  const withDadataType = (type) => ({ contact: { dadataPhoneInfo: { type } } });
+
+  it('тип из DaData важнее типа номера', () => {
+    assert.equal(getPhoneValueType('+79001234567', withDadataType('Стационарный')), 'WORK');
+    assert.equal(getPhoneValueType('+74951234567', withDadataType('Мобильный')), 'MOBILE');
+  });
+
+  it('без DaData — по типу номера, иначе fallback', () => {
+    assert.equal(getPhoneValueType('+79001234567', {}), 'MOBILE');
+    assert.equal(getPhoneValueType('+74951234567', {}), 'WORK');
+    assert.equal(getPhoneValueType('12-34', {}), 'WORK');
+    assert.equal(getPhoneValueType('12-34', {}, 'OTHER'), 'OTHER');
+  });
+
+  it('мультиполе PHONE для Bitrix', () => {
+    assert.deepEqual(toPhoneField('8 900 123-45-67', {}), [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]);
+    assert.deepEqual(toPhoneField('8 900 123-45-67', {}, { valueType: 'HOME' }), [{ VALUE: '+79001234567', VALUE_TYPE: 'HOME' }]);
+    assert.equal(toPhoneField('', {}), null);
+  });
+});
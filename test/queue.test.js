@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDeliveryQueue, getRetryDelay } = require('../lib/queue');
+const { DEFAULT_TENANT_ID } = require('../lib/tenants');
+const { BitrixError } = require('../lib/bitrix');
+
+// Очередь читает настройки при создании: быстрые повторы и частый опрос, чтобы тесты не ждали секундами
+const QUEUE_ENV = {
+  QUEUE_MAX_ATTEMPTS: '3',
+  QUEUE_POLL_INTERVAL_MS: '10',
+  QUEUE_RETRY_BASE_MS: '20',
+  QUEUE_RETRY_MAX_MS: '100'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('getRetryDelay', () => {
+  it('экспоненциальная задержка с потолком', () => {
+    assert.equal(getRetryDelay(1, 5000, 600000), 5000);
+    assert.equal(getRetryDelay(2, 5000, 600000), 10000);
+    assert.equal(getRetryDelay(4, 5000, 600000), 40000);
+    assert.equal(getRetryDelay(20, 5000, 600000), 600000);
+  });
+});
+
+describe('createDeliveryQueue', () => {
+  const savedEnv = {};
+  let dataDir;
+  let queue;
+
+  before(() => {
+    for (const [name, value] of Object.entries(QUEUE_ENV)) {
+      savedEnv[name] = process.env[name];
+      process.env[name] = value;
+    }
+  });
+
+  after(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  // Свой DATA_DIR на каждый тест: очередь и dead-letter читаются из файлов при создании
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasha-queue-'));
+    process.env.DATA_DIR = dataDir;
+  });
+
+  const cleanup = () => {
+    queue?.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  /**
+   * Очередь с записью итогов попыток: attempts — [{ status, tenant }]
+   */
+  function createQueue(handler, options = {}) {
+    const attempts = [];
+    queue = createDeliveryQueue({
+      handler,
+      onAttempt: (job, outcome, tenant) => attempts.push({ status: outcome.status, tenant: tenant?.id ?? null }),
+      ...options
+    });
+    return { queue, attempts };
+  }
+
+  it('временная ошибка повторяется, затем задача выполняется', async (t) => {
+    t.after(cleanup);
+    let calls = 0;
+    const { queue, attempts } = createQueue(async (payload, job) => {
+      calls += 1;
+      if (calls < 3) throw new Error('Bitrix недоступен');
+      return { ok: true, payload, attempts: job.attempts };
+    });
+
+    const job = queue.enqueue({ call: { id: 1 } });
+    // Первую попытку enqueue запускает сам, повторы — воркер по таймеру
+    queue.start();
+    const outcome = await queue.waitForJob(job.id, 2000);
+
+    assert.equal(outcome.status, 'done');
+    assert.deepEqual(outcome.result, { ok: true, payload: { call: { id: 1 } }, attempts: 3 });
+    assert.deepEqual(attempts.map(a => a.status), ['retry', 'retry', 'done']);
+    assert.equal(attempts[0].tenant, DEFAULT_TENANT_ID);
+    assert.equal(queue.hasJob(job.id), false);
+  });
+
+  it('после QUEUE_MAX_ATTEMPTS попыток задача уходит в dead-letter', async (t) => {
+    t.after(cleanup);
+    const { queue, attempts } = createQueue(async () => {
+      throw new Error('Bitrix недоступен');
+    });
+
+    const job = queue.enqueue({ call: { id: 2 } });
+    queue.start();
+    const outcome = await queue.waitForJob(job.id, 2000);
+
+    assert.deepEqual(outcome, { status: 'dead-letter', error: 'Bitrix недоступен' });
+    assert.deepEqual(attempts.map(a => a.status), ['retry', 'retry', 'dead-letter']);
+    const [deadLetter] = queue.getDeadLetters();
+    assert.equal(deadLetter.id, job.id);
+    assert.equal(deadLetter.attempts, 3);
+    assert.ok(deadLetter.failedAt);
+  });
+
+  it('retryable === false — в dead-letter сразу, без повторов', async (t) => {
+    t.after(cleanup);
+    const { queue, attempts } = createQueue(async () => {
+      throw new BitrixError('Нет прав', { method: 'crm.lead.add', code: 'ACCESS_DENIED', status: 403, kind: 'auth' });
+    });
+
+    const job = queue.enqueue({});
+    const outcome = await queue.waitForJob(job.id, 1000);
+
+    assert.equal(outcome.status, 'dead-letter');
+    assert.deepEqual(attempts.map(a => a.status), ['dead-letter']);
+    assert.equal(queue.getDeadLetters()[0].attempts, 1);
+  });
+
+  it('задача тенанта, которого нет, уходит в dead-letter без вызова обработчика', async (t) => {
+    t.after(cleanup);
+    let called = false;
+    const { queue, attempts } = createQueue(async () => {
+      called = true;
+    });
+
+    const job = queue.enqueue({}, { tenantId: 'removed' });
+    const outcome = await queue.waitForJob(job.id, 1000);
+
+    assert.equal(outcome.status, 'dead-letter');
+    assert.match(outcome.error, /Тенант "removed" не найден/);
+    assert.equal(called, false);
+    // Тенанта нет — onAttempt получает null, а не default
+    assert.deepEqual(attempts, [{ status: 'dead-letter', tenant: null }]);
+  });
+
+  it('replayDeadLetter возвращает задачу в очередь с обнуленными попытками', async (t) => {
+    t.after(cleanup);
+    let fail = true;
+    const { queue } = createQueue(async () => {
+      if (fail) throw Object.assign(new Error('Неверные поля'), { retryable: false });
+      return 'ok';
+    });
+
+    const job = queue.enqueue({ call: { id: 3 } });
+    await queue.waitForJob(job.id, 1000);
+
+    fail = false;
+    const replayed = queue.replayDeadLetter(job.id);
+    assert.notEqual(replayed.id, job.id);
+    assert.equal(replayed.attempts, 0);
+    assert.deepEqual(replayed.payload, { call: { id: 3 } });
+    assert.deepEqual(queue.getDeadLetters(), []);
+
+    assert.deepEqual(await queue.waitForJob(replayed.id, 1000), { status: 'done', result: 'ok' });
+    assert.equal(queue.replayDeadLetter('missing'), null);
+  });
+
+  it('невыполненные задачи переживают перезапуск: очередь читается из DATA_DIR', async (t) => {
+    t.after(cleanup);
+    const { queue } = createQueue(async () => {
+      throw new Error('Bitrix недоступен');
+    });
+
+    const job = queue.enqueue({ call: { id: 4 } });
+    await sleep(20);
+    queue.stop();
+
+    const restarted = createDeliveryQueue({ handler: async () => 'ok' });
+    assert.equal(restarted.hasJob(job.id), true);
+    assert.equal(restarted.getStats().jobs[0].lastError, 'Bitrix недоступен');
+
+    restarted.start();
+    assert.deepEqual(await restarted.waitForJob(job.id, 1000), { status: 'done', result: 'ok' });
+    restarted.stop();
+  });
+
+  it('номер попытки сохраняется до вызова обработчика', async (t) => {
+    t.after(cleanup);
+    let reloaded = null;
+    const { queue } = createQueue(async (payload, job) => {
+      // Процесс «падает» посреди записи в Bitrix: что увидит очередь после перезапуска
+      reloaded = createDeliveryQueue({ handler: async () => 'ok' }).getStats().jobs.find(j => j.id === job.id);
+      return 'ok';
+    });
+
+    const job = queue.enqueue({ call: { id: 5 } });
+    await queue.waitForJob(job.id, 1000);
+
+    assert.equal(reloaded.attempts, 1);
+  });
+
+  it('очередь с именем хранится в отдельных файлах', async (t) => {
+    t.after(cleanup);
+    createQueue(async () => 'ok', { name: 'media' }).queue.enqueue({});
+
+    assert.ok(fs.existsSync(path.join(dataDir, 'media-queue.json')));
+    assert.equal(fs.existsSync(path.join(dataDir, 'queue.json')), false);
+    await sleep(20);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, startMockBitrix } = require('./helpers/server');
+const { loadFixture } = require('./helpers/fixtures');
+
+const AUDIO = Buffer.from('ID3-fake-mp3-content');
+const WAIT_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Телефония: /call.mp3 — запись, /missing — 404, /redirect — перенаправление на localhost
+ */
+async function startRecordingServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/call.mp3') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      return res.end(AUDIO);
+    }
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/call.mp3` });
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    url: (urlPath) => `http://127.0.0.1:${server.address().port}${urlPath}`,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Ждет, пока задача очереди media не запишет комментарий в таймлайн
+ */
+async function waitForComments(bitrix, count = 1) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  for (;;) {
+    const comments = bitrix.calls.filter(call => call.method === 'crm.timeline.comment.add');
+    if (comments.length >= count) {
+      return comments;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Нет комментариев в таймлайне за ${WAIT_TIMEOUT_MS} мс`);
+    }
+    await sleep(50);
+  }
+}
+
+function callWithRecording(id, recordUrl) {
+  const payload = loadFixture('call-completed.full');
+  payload.call.id = `${payload.call.id}-${id}`;
+  payload.call.recordUrl = recordUrl;
+  return payload;
+}
+
+describe('Запись звонка: CALL_RECORDING=timeline', () => {
+  let bitrix;
+  let records;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    records = await startRecordingServer();
+    server = await startServer({
+      BITRIX_WEBHOOK_URL: bitrix.webhookUrl,
+      CALL_RECORDING: 'timeline',
+      CALL_RECORDING_HOSTS: '127.0.0.1',
+      CALL_TRANSCRIPT: 'true'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await records?.stop();
+    await bitrix?.stop();
+  });
+
+  beforeEach(() => {
+    bitrix.reset();
+    records.requests.length = 0;
+  });
+
+  it('запись ставится отдельной задачей и прикладывается файлом к лиду', async () => {
+    const response = await server.request('post', '/webhook', { data: callWithRecording('timeline', records.url('/call.mp3')) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.media.status, 'queued');
+
+    const [comment] = await waitForComments(bitrix);
+    const { fields } = comment.params;
+    assert.equal(fields.ENTITY_TYPE, 'lead');
+    assert.equal(fields.ENTITY_ID, response.data.leadId);
+    assert.deepEqual(fields.FILES, [['call-call-7f3a2c-timeline.mp3', AUDIO.toString('base64')]]);
+  });
+
+  it('расшифровка — отдельным комментарием', async () => {
+    const payload = callWithRecording('transcript', records.url('/call.mp3'));
+    payload.call.transcript = [{ role: 'assistant', text: 'Здравствуйте!' }, { role: 'user', text: 'Добрый день' }];
+
+    await server.request('post', '/webhook', { data: payload });
+
+    const comments = await waitForComments(bitrix, 2);
+    const transcript = comments.find(call => call.params.fields.COMMENT.startsWith('Расшифровка'));
+    assert.equal(transcript.params.fields.COMMENT, 'Расшифровка звонка:\nИИ: Здравствуйте!\nКлиент: Добрый день');
+  });
+
+  it('запись не скачалась (404) — ссылка в таймлайне', async () => {
+    const url = records.url('/missing');
+    await server.request('post', '/webhook', { data: callWithRecording('missing', url) });
+
+    const [comment] = await waitForComments(bitrix);
+    assert.equal(comment.params.fields.COMMENT, `Запись звонка (ссылка может перестать работать): ${url}`);
+    assert.equal(comment.params.fields.FILES, undefined);
+  });
+
+  it('хоста нет в CALL_RECORDING_HOSTS — не скачивается, только ссылка', async () => {
+    const url = records.url('/call.mp3').replace('127.0.0.1', 'localhost');
+    await server.request('post', '/webhook', { data: callWithRecording('foreign-host', url) });
+
+    const [comment] = await waitForComments(bitrix);
+    assert.match(comment.params.fields.COMMENT, /ссылка может перестать работать/);
+    assert.deepEqual(records.requests, []);
+  });
+
+  it('перенаправление на чужой хост не выполняется', async () => {
+    await server.request('post', '/webhook', { data: callWithRecording('redirect', records.url('/redirect')) });
+
+    const [comment] = await waitForComments(bitrix);
+    assert.equal(comment.params.fields.FILES, undefined);
+    assert.deepEqual(records.requests, ['/redirect']);
+  });
+});
+
+describe('Запись звонка: CALL_RECORDING=disk', () => {
+  let bitrix;
+  let records;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    records = await startRecordingServer();
+    server = await startServer({
+      BITRIX_WEBHOOK_URL: bitrix.webhookUrl,
+      CALL_RECORDING: 'disk',
+      CALL_RECORDING_FOLDER_ID: '42',
+      CALL_RECORDING_HOSTS: '127.0.0.1'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await records?.stop();
+    await bitrix?.stop();
+  });
+
+  it('файл загружается в папку Диска, в таймлайне — ссылка на него', async () => {
+    await server.request('post', '/webhook', { data: callWithRecording('disk', records.url('/call.mp3')) });
+
+    const [comment] = await waitForComments(bitrix);
+    const upload = bitrix.calls.find(call => call.method === 'disk.folder.uploadfile');
+    assert.equal(upload.params.id, '42');
+    assert.deepEqual(upload.params.fileContent, ['call-call-7f3a2c-disk.mp3', AUDIO.toString('base64')]);
+    assert.equal(comment.params.fields.COMMENT, 'Запись звонка: /docs/file/call-call-7f3a2c-disk.mp3');
+  });
+});
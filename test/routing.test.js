@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchConditions, validateConditions } = require('../lib/routing');
+
+describe('validateConditions', () => {
+  it('известные операторы проходят проверку', () => {
+    assert.deepEqual(validateConditions({ 'call.duration': { gte: 30 }, 'contact.tags': { includes: 'vip' } }, 'when'), []);
+  });
+
+  it('имена свойств Object.prototype — неизвестные операторы', () => {
+    const errors = validateConditions({ 'call.duration': { constructor: 1, hasOwnProperty: 'x' } }, 'rules[0].when');
+
+    assert.deepEqual(errors, [
+      'rules[0].when.call.duration: неизвестный оператор "constructor"',
+      'rules[0].when.call.duration: неизвестный оператор "hasOwnProperty"'
+    ]);
+  });
+});
+
+describe('matchConditions', () => {
+  const data = { call: { duration: 45 } };
+
+  it('условие с известным оператором', () => {
+    assert.equal(matchConditions({ 'call.duration': { gt: 30 } }, data), true);
+    assert.equal(matchConditions({ 'call.duration': { lt: 30 } }, data), false);
+  });
+
+  it('неизвестный оператор не выполняется и не совпадает', () => {
+    assert.equal(matchConditions({ 'call.duration': { constructor: 45 } }, data), false);
+    assert.equal(matchConditions({ 'call.duration': { hasOwnProperty: 'duration' } }, data), false);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, startMockBitrix } = require('./helpers/server');
+const { loadFixture } = require('./helpers/fixtures');
+
+describe('Остановка по SIGTERM', () => {
+  let bitrix;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+  });
+
+  after(async () => {
+    await bitrix?.stop();
+  });
+
+  it('журнал доставок дописывается на диск, процесс завершается с кодом 0', async () => {
+    // Отложенная запись журнала дольше теста: без сброса при остановке на диске ничего бы не было
+    const server = await startServer({ BITRIX_WEBHOOK_URL: bitrix.webhookUrl, DELIVERY_LOG_FLUSH_MS: '60000' });
+    const deliveriesFile = path.join(server.dataDir, 'deliveries.json');
+
+    try {
+      const response = await server.request('post', '/webhook', { data: loadFixture('call-completed.full') });
+      assert.equal(response.status, 200);
+      assert.equal(fs.existsSync(deliveriesFile), false);
+
+      assert.equal(await server.stop({ keepData: true }), 0);
+
+      const { entries } = JSON.parse(fs.readFileSync(deliveriesFile, 'utf8'));
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].status, 'processed');
+      assert.equal(entries[0].jobId, response.data.jobId);
+    } finally {
+      fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileTemplate, renderTemplate } = require('../lib/template');
+
+describe('compileTemplate: фильтры', () => {
+  it('фильтры применяются по цепочке', () => {
+    assert.equal(renderTemplate('{{contact.phone | phone:"+" | default:"—"}}', { contact: { phone: '8 900 123-45-67' } }), '+79001234567');
+    assert.equal(renderTemplate('{{contact.phone | default:"—"}}', {}), '—');
+  });
+
+  it('неизвестный фильтр — ошибка при компиляции', () => {
+    assert.throws(() => compileTemplate('{{call.id | nope}}'), /Неизвестный фильтр "nope"/);
+  });
+
+  it('имена свойств Object.prototype — неизвестные фильтры', () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+      assert.throws(() => compileTemplate(`{{call.id | ${name}}}`), new RegExp(`Неизвестный фильтр "${name}"`), name);
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initTenants, getTenant, runWithTenant, getTenantSetting } = require('../lib/tenants');
+
+const savedTenantsFile = process.env.TENANTS_FILE;
+let tmpDir = null;
+
+/**
+ * Загружает тенантов из временного файла
+ * @param {Object} tenants - { id: настройки }
+ */
+function loadTenants(tenants) {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasha-tenants-'));
+  process.env.TENANTS_FILE = path.join(tmpDir, 'tenants.json');
+  fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({ tenants }));
+  initTenants();
+}
+
+describe('initTenants: WEBHOOK_SECRET', () => {
+  const portal = { BITRIX_WEBHOOK_URL: 'https://example.bitrix24.ru/rest/1/xxx/' };
+
+  afterEach(() => {
+    if (savedTenantsFile === undefined) delete process.env.TENANTS_FILE;
+    else process.env.TENANTS_FILE = savedTenantsFile;
+    initTenants();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('тенант без секрета — ошибка в файле', () => {
+    assert.throws(() => loadTenants({ ikora: portal }), /ikora: не задан WEBHOOK_SECRET/);
+    assert.throws(() => loadTenants({ ikora: { ...portal, WEBHOOK_SECRET: [' '] } }), /ikora: не задан WEBHOOK_SECRET/);
+  });
+
+  it('без подписи — только с явным WEBHOOK_AUTH: off', () => {
+    loadTenants({ ikora: { ...portal, WEBHOOK_AUTH: 'off' } });
+    assert.equal(runWithTenant(getTenant('ikora'), () => getTenantSetting('WEBHOOK_SECRET')), undefined);
+
+    assert.throws(() => loadTenants({ ikora: { ...portal, WEBHOOK_AUTH: 'no' } }), /ikora: WEBHOOK_AUTH должен быть on или off/);
+  });
+
+  it('секрет списком — через запятую', () => {
+    loadTenants({ ikora: { ...portal, WEBHOOK_SECRET: ['new-secret', 'old-secret'] } });
+    assert.equal(getTenant('ikora').settings.WEBHOOK_SECRET, 'new-secret,old-secret');
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, startMockBitrix, getBitrixCalls } = require('./helpers/server');
+const { loadFixture } = require('./helpers/fixtures');
+
+const EXAMPLE_MAPPING = path.join(__dirname, '..', 'config', 'mapping.example.yaml');
+// Проверить свой маппинг до деплоя: TEST_MAPPING_FILE=config/mapping.yaml npm test
+const MAPPING_FILE = path.resolve(process.env.TEST_MAPPING_FILE || EXAMPLE_MAPPING);
+
+const FIXTURES = ['call-completed.full', 'call-completed.minimal'];
+
+describe('POST /test/bitrix/lead', () => {
+  let bitrix;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    server = await startServer({ BITRIX_WEBHOOK_URL: bitrix.webhookUrl, CRM_PIPELINE: 'contact,lead' });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await bitrix?.stop();
+  });
+
+  beforeEach(() => bitrix.reset());
+
+  it('создает контакт и лид одним batch', async () => {
+    const response = await server.request('post', '/test/bitrix/lead', { data: loadFixture('call-completed.full') });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.action, 'created');
+    assert.deepEqual(response.data.entities.map(entity => entity.type), ['contact', 'lead']);
+    // Поиск контакта по телефону, затем batch
+    assert.deepEqual(
+      getBitrixCalls(bitrix).map(call => call.method),
+      ['crm.duplicate.findbycomm', 'crm.contact.add', 'crm.lead.add']
+    );
+
+    const lead = bitrix.store.lead.get(response.data.leadId);
+    assert.equal(lead.CONTACT_ID, response.data.contactId);
+    assert.equal(lead.NAME, 'Иван Петров');
+  });
+
+  it('данные не по схеме: 422', async () => {
+    const response = await server.request('post', '/test/bitrix/lead', { data: loadFixture('call-completed.malformed') });
+
+    assert.equal(response.status, 422);
+    assert.ok(response.data.errors.some(error => error.path === 'call.duration'));
+    assert.equal(bitrix.calls.length, 0);
+  });
+
+  it('ошибка команды в batch: 500 с текстом ошибки Bitrix', async () => {
+    bitrix.failNext('crm.lead.add', { error: 'ERROR_CORE', error_description: 'Неверное значение поля', status: 400 });
+
+    const response = await server.request('post', '/test/bitrix/lead', { data: loadFixture('call-completed.full') });
+
+    assert.equal(response.status, 500);
+    assert.match(response.data.error, /ERROR_CORE/);
+    assert.equal(bitrix.store.lead.size, 0);
+  });
+
+  it('?dryRun=1: запросы и трассировка без обращения к Bitrix', async () => {
+    const response = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: loadFixture('call-completed.full') });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.dryRun, true);
+    assert.equal(response.data.batch, true);
+    assert.deepEqual(response.data.requests.map(request => request.method), ['crm.contact.add', 'crm.lead.add']);
+
+    const lead = response.data.requests.find(request => request.key === 'lead');
+    assert.equal(lead.params.fields.CONTACT_ID, '$result[contact]');
+    assert.deepEqual(lead.params.fields.PHONE, [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]);
+    assert.ok(response.data.traces.lead.some(step => step.field === 'NAME' && step.value === 'Иван Петров'));
+    assert.equal(bitrix.calls.length, 0);
+  });
+
+  it('?dryRun=1 только для call.completed', async () => {
+    const payload = { ...loadFixture('call-completed.minimal'), event: 'call.started' };
+    const response = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: payload });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('/test/mapping/diff: изменения новой версии маппинга по полям', async () => {
+    const response = await server.request('post', '/test/mapping/diff', {
+      data: {
+        payload: loadFixture('call-completed.full'),
+        mapping: { lead: { STATUS_ID: 'NEW', SOURCE_ID: 'CALL' } }
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.changed, true);
+    assert.deepEqual(response.data.diff.lead.changed.STATUS_ID, { base: 'UC_E5DGC8', candidate: 'NEW' });
+    assert.deepEqual(response.data.diff.lead.added, { SOURCE_ID: 'CALL' });
+  });
+
+  it('/test/mapping/diff: ошибка в маппинге — 422', async () => {
+    const response = await server.request('post', '/test/mapping/diff', {
+      data: { payload: loadFixture('call-completed.full'), mapping: { lead: { NAME: { transform: 'nope' } } } }
+    });
+
+    assert.equal(response.status, 422);
+    assert.ok(response.data.errors.length > 0);
+  });
+});
+
+describe(`Маппинг ${path.relative(process.cwd(), MAPPING_FILE)} на фикстурах`, () => {
+  let server;
+
+  before(async () => {
+    // Bitrix не нужен: пробный прогон без lookup в него не обращается
+    server = await startServer({ BITRIX_WEBHOOK_URL: 'http://127.0.0.1:9/rest/1/none/', MAPPING_FILE });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  for (const fixture of FIXTURES) {
+    it(`${fixture}: все поля без ошибок преобразований`, async () => {
+      const response = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: loadFixture(fixture) });
+
+      assert.equal(response.status, 200);
+      const failed = Object.values(response.data.traces).flat()
+        .filter(step => step.skipped?.startsWith('ошибка'))
+        .map(step => `${step.field}: ${step.skipped}`);
+      assert.deepEqual(failed, []);
+      assert.ok(response.data.requests.some(request => request.key === 'lead'), 'запрос лида');
+    });
+  }
+
+  if (MAPPING_FILE === EXAMPLE_MAPPING) {
+    it('поля из примера попадают в запрос', async () => {
+      const response = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: loadFixture('call-completed.minimal') });
+      const { fields } = response.data.requests.find(request => request.key === 'lead').params;
+
+      assert.equal(fields.NAME, 'Без имени');
+      assert.equal(fields.TITLE, 'Звонок ИИ');
+    });
+  }
+});
+
+describe('Доступ к /test/... (TEST_ENDPOINTS)', () => {
+  const payload = loadFixture('call-completed.minimal');
+  const servers = [];
+
+  after(async () => {
+    await Promise.all(servers.map(server => server.stop()));
+  });
+
+  async function start(env) {
+    const server = await startServer({ BITRIX_WEBHOOK_URL: 'http://127.0.0.1:9/rest/1/none/', ...env });
+    servers.push(server);
+    return server;
+  }
+
+  it('в production — только с ADMIN_TOKEN', async () => {
+    const server = await start({ NODE_ENV: 'production', ADMIN_TOKEN: 'secret' });
+
+    const anonymous = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: payload });
+    const admin = await server.request('post', '/test/bitrix/lead?dryRun=1', {
+      data: payload,
+      headers: { Authorization: 'Bearer secret' }
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(admin.status, 200);
+  });
+
+  it('TEST_ENDPOINTS=off — 404', async () => {
+    const server = await start({ TEST_ENDPOINTS: 'off' });
+
+    const response = await server.request('post', '/test/bitrix/lead?dryRun=1', { data: payload });
+
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { transforms, resolveTransform } = require('../lib/transforms');
+const { loadFixture } = require('./helpers/fixtures');
+
+describe('transforms', () => {
+  const data = loadFixture('call-completed.full');
+  // Без DaData — пояс тенанта, по умолчанию Europe/Moscow
+  const moscow = { call: data.call };
+
+  it('trim: пустая строка — null', () => {
+    assert.equal(transforms.trim('  Иван '), 'Иван');
+    assert.equal(transforms.trim('   '), null);
+    assert.equal(transforms.trim(null), null);
+  });
+
+  it('phone: разные записи российского номера дают один E.164', () => {
+    for (const value of ['8 (900) 123-45-67', '+7 900 123 45 67', '9001234567', '79001234567']) {
+      assert.equal(transforms.phone(value, data, {}), '+79001234567', value);
+    }
+    assert.equal(transforms.phone('8 900 123-45-67', data, { plus: false }), '79001234567');
+    assert.equal(transforms.phone('', data, {}), null);
+  });
+
+  it('phone: номер без цифр страны по умолчанию — международный', () => {
+    assert.equal(transforms.phone('380501234567', data, {}), '+380501234567');
+  });
+
+  it('phoneField: VALUE_TYPE по DaData или явно заданный', () => {
+    assert.deepEqual(transforms.phoneField('89001234567', data, {}), [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]);
+    assert.deepEqual(
+      transforms.phoneField('89001234567', data, { valueType: 'WORK' }),
+      [{ VALUE: '+79001234567', VALUE_TYPE: 'WORK' }]
+    );
+  });
+
+  it('duration: миллисекунды → MM:SS', () => {
+    assert.equal(transforms.duration(125000), '02:05');
+    assert.equal(transforms.duration(null), null);
+  });
+
+  it('date: по часам клиента, тенанта или заданного пояса', () => {
+    assert.equal(transforms.date('2026-02-17T10:30:00.000Z', data), '17.02.2026 15:30 (UTC+5)');
+    assert.equal(transforms.date('2026-02-17T10:30:00.000Z', moscow), '17.02.2026 13:30 по МСК');
+    assert.equal(transforms.date('2026-02-17T10:30:00.000Z', data, { timezone: 'Asia/Vladivostok' }), '17.02.2026 20:30 (UTC+10)');
+    assert.equal(transforms.mskDate('2026-02-17T10:30:00.000Z', data), '17.02.2026 13:30 по МСК');
+    assert.equal(transforms.date('не дата', data), null);
+  });
+
+  it('bitrixDate: ISO 8601 со смещением пояса', () => {
+    assert.equal(transforms.bitrixDate('2026-02-17T10:30:00.000Z', data), '2026-02-17T15:30:00+05:00');
+  });
+
+  it('agreementsTime: agreements_time (UTC) важнее местного времени', () => {
+    assert.equal(transforms.agreementsTime(null, data), '18.02.2026 14:00 (UTC+5)');
+    assert.equal(transforms.agreementsTime(null, data, { format: 'bitrix' }), '2026-02-18T14:00:00+05:00');
+  });
+
+  it('agreementsTime: agreements_time_local — по часам клиента', () => {
+    const local = loadFixture('call-completed.full');
+    delete local.call.agreements.agreements_time;
+
+    assert.equal(transforms.agreementsTime(null, local, { format: 'bitrix' }), '2026-02-18T14:00:00+05:00');
+    assert.equal(transforms.agreementsTime(null, loadFixture('call-completed.minimal')), null);
+  });
+
+  it('join и truncate', () => {
+    assert.equal(transforms.join(['a', '', null, 'b'], data, { separator: '; ' }), 'a; b');
+    assert.equal(transforms.join([], data), null);
+    assert.equal(transforms.truncate('abcdef', data, { length: 3 }), 'abc');
+  });
+
+  it('template: {{value}} и данные вебхука', () => {
+    const result = transforms.template('B', data, {
+      template: 'Категория {{value}}: {{call.agreements.client_name | trim}}'
+    });
+    assert.equal(result, 'Категория B: Иван Петров');
+  });
+});
+
+describe('resolveTransform', () => {
+  const data = loadFixture('call-completed.full');
+
+  it('имя, объект с параметрами и цепочка', () => {
+    assert.equal(resolveTransform('trim')('  x ', data), 'x');
+    assert.equal(resolveTransform({ name: 'truncate', length: 2 })('abc', data), 'ab');
+    assert.equal(
+      resolveTransform([{ name: 'join', separator: '|' }, { name: 'truncate', length: 9 }])(data.contact.tags, data),
+      'горячий|['
+    );
+  });
+
+  it('функция возвращается как есть', () => {
+    const fn = (value) => value;
+    assert.equal(resolveTransform(fn), fn);
+  });
+
+  it('неизвестное имя и ошибка в шаблоне — сразу при разборе', () => {
+    assert.throws(() => resolveTransform('nope'), /Неизвестное преобразование "nope"/);
+    assert.throws(() => resolveTransform('constructor'), /Неизвестное преобразование "constructor"/);
+    assert.throws(() => resolveTransform({ name: 'toString' }), /Неизвестное преобразование "toString"/);
+    assert.throws(() => resolveTransform({ name: 'template', template: '{{#if call.id}}' }), /Не закрыт блок/);
+  });
+});
@@ -0,0 +1,273 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockBitrix, getBitrixCalls, signPayload } = require('./helpers/server');
+const { loadFixture } = require('./helpers/fixtures');
+
+const ADMIN_TOKEN = 'test-admin';
+
+/**
+ * Вебхук с уникальным call.id: дедупликация не должна мешать соседним тестам
+ */
+function uniqueCall(name, id) {
+  const payload = loadFixture(name);
+  payload.call.id = `${payload.call.id}-${id}`;
+  return payload;
+}
+
+// Тело уходит как есть: подпись считается от сырой строки, а некорректный JSON axios не должен исправлять
+const postWebhook = (server, payload, headers = {}) => server.request('post', '/webhook', {
+  data: typeof payload === 'string' ? payload : JSON.stringify(payload),
+  headers: { 'Content-Type': 'application/json', ...headers },
+  transformRequest: [data => data]
+});
+
+describe('POST /webhook', () => {
+  let bitrix;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    server = await startServer({
+      BITRIX_WEBHOOK_URL: bitrix.webhookUrl,
+      ADMIN_TOKEN,
+      // Таймаут меньше задержки mock'а, повтор — на уровне очереди
+      BITRIX_TIMEOUT_MS: '300',
+      BITRIX_MAX_RETRIES: '1'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await bitrix?.stop();
+  });
+
+  beforeEach(() => bitrix.reset());
+
+  it('полный звонок: лид в Bitrix с полями из маппинга', async () => {
+    const response = await postWebhook(server, uniqueCall('call-completed.full', 'full'));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.success, true);
+    assert.equal(response.data.action, 'created');
+    assert.equal(response.data.entityType, 'lead');
+
+    const [call] = getBitrixCalls(bitrix);
+    assert.equal(call.method, 'crm.lead.add');
+    assert.equal(call.params.fields.NAME, 'Иван Петров');
+    assert.deepEqual(call.params.fields.PHONE, [{ VALUE: '+79001234567', VALUE_TYPE: 'MOBILE' }]);
+    assert.match(call.params.fields.COMMENTS, /Время договоренности: 18\.02\.2026 14:00 \(UTC\+5\)/);
+
+    const lead = bitrix.store.lead.get(response.data.leadId);
+    assert.equal(lead.STATUS_ID, 'UC_E5DGC8');
+  });
+
+  it('минимальный звонок: лид без имени', async () => {
+    const response = await postWebhook(server, uniqueCall('call-completed.minimal', 'minimal'));
+
+    assert.equal(response.status, 200);
+    const [call] = getBitrixCalls(bitrix);
+    assert.equal('NAME' in call.params.fields, false);
+    assert.deepEqual(call.params.fields.PHONE, [{ VALUE: '+79001112233', VALUE_TYPE: 'MOBILE' }]);
+  });
+
+  it('повторная доставка не создает второй лид', async () => {
+    const payload = uniqueCall('call-completed.full', 'duplicate');
+
+    const first = await postWebhook(server, payload);
+    const second = await postWebhook(server, payload);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.data.duplicate, true);
+    assert.equal(second.data.leadId, first.data.leadId);
+    assert.equal(getBitrixCalls(bitrix).filter(call => call.method === 'crm.lead.add').length, 1);
+  });
+
+  it('данные не по схеме: 422 с ошибками по полям, Bitrix не вызывается', async () => {
+    const response = await postWebhook(server, loadFixture('call-completed.malformed'));
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(
+      response.data.errors.map(error => error.path).sort(),
+      ['call.duration', 'call.startedAt', 'contact.phone', 'contact.tags']
+    );
+    assert.equal(bitrix.calls.length, 0);
+  });
+
+  it('некорректный JSON: 400', async () => {
+    const response = await postWebhook(server, '{"contact": ');
+
+    assert.equal(response.status, 400);
+    assert.match(response.data.error, /не является корректным JSON/);
+  });
+
+  it('неизвестное событие подтверждается без записи в Bitrix', async () => {
+    const response = await postWebhook(server, { event: 'call.transferred', call: { id: 1 } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.ignored, true);
+    assert.equal(bitrix.calls.length, 0);
+  });
+
+  it('постоянная ошибка Bitrix: доставка сразу уходит в dead-letter', async () => {
+    bitrix.failNext('crm.lead.add', { error: 'ACCESS_DENIED', error_description: 'Нет прав', status: 403 });
+    const payload = uniqueCall('call-completed.full', 'dead-letter');
+
+    const response = await postWebhook(server, payload);
+    assert.equal(response.status, 202);
+    assert.equal(bitrix.calls.length, 1);
+
+    const deadLetters = await server.request('get', '/admin/dead-letters', {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    const job = deadLetters.data.deadLetters.find(item => item.payload.call.id === payload.call.id);
+    assert.ok(job, 'задача в dead-letter');
+    assert.match(job.lastError, /ACCESS_DENIED/);
+  });
+
+  it('временная ошибка Bitrix повторяется клиентом', async () => {
+    bitrix.failNext('crm.lead.add', { error: 'QUERY_LIMIT_EXCEEDED', status: 503 });
+
+    const response = await postWebhook(server, uniqueCall('call-completed.full', 'rate-limit'));
+
+    assert.equal(response.status, 200);
+    assert.equal(bitrix.calls.filter(call => call.method === 'crm.lead.add').length, 2);
+  });
+
+  it('таймаут Bitrix: запись не повторяется клиентом, очередь находит созданный лид', async () => {
+    // Bitrix создал лид, но ответ не дождались: второй crm.lead.add создал бы дубль
+    bitrix.delayNext('crm.lead.add', 1000);
+
+    const response = await postWebhook(server, uniqueCall('call-completed.full', 'timeout'));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.action, 'created');
+    assert.deepEqual(
+      getBitrixCalls(bitrix).map(call => call.method),
+      ['crm.lead.add', 'crm.lead.list']
+    );
+    assert.equal(bitrix.store.lead.size, 1);
+    assert.equal(response.data.leadId, [...bitrix.store.lead.keys()][0]);
+  });
+});
+
+describe('POST /webhook: LEAD_MATCH_STRATEGY=comment', () => {
+  let bitrix;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    server = await startServer({
+      BITRIX_WEBHOOK_URL: bitrix.webhookUrl,
+      LEAD_MATCH_STRATEGY: 'comment',
+      BITRIX_TIMEOUT_MS: '300',
+      BITRIX_MAX_RETRIES: '1'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await bitrix?.stop();
+  });
+
+  it('таймаут при комментарии: повтор из очереди находит его и не пишет второй', async () => {
+    const first = await postWebhook(server, uniqueCall('call-completed.full', 'comment-first'));
+    assert.equal(first.data.action, 'created');
+
+    // Bitrix добавил комментарий, но ответ не дождались
+    bitrix.delayNext('crm.timeline.comment.add', 1000);
+    const response = await postWebhook(server, uniqueCall('call-completed.full', 'comment-repeat'));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.action, 'commented');
+    assert.equal(response.data.entityId, first.data.leadId);
+    assert.equal(bitrix.calls.filter(call => call.method === 'crm.timeline.comment.add').length, 1);
+    assert.equal(bitrix.calls.filter(call => call.method === 'crm.timeline.comment.list').length, 1);
+    assert.equal(bitrix.store.comment.size, 1);
+  });
+});
+
+describe('POST /webhook с WEBHOOK_SECRET', () => {
+  const secret = 'test-secret';
+  let bitrix;
+  let server;
+
+  before(async () => {
+    bitrix = await startMockBitrix();
+    server = await startServer({ BITRIX_WEBHOOK_URL: bitrix.webhookUrl, WEBHOOK_SECRET: secret });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await bitrix?.stop();
+  });
+
+  /**
+   * Заголовки подписанной доставки: подпись от сырого тела, время и ID доставки — по желанию
+   */
+  function signedHeaders(body, { key = secret, timestamp, deliveryId } = {}) {
+    return {
+      'X-Signature': `sha256=${signPayload(body, key)}`,
+      ...(timestamp !== undefined ? { 'X-Timestamp': String(timestamp) } : {}),
+      ...(deliveryId ? { 'X-Delivery-Id': deliveryId } : {})
+    };
+  }
+
+  it('без подписи — 401', async () => {
+    const response = await postWebhook(server, uniqueCall('call-completed.full', 'unsigned'));
+
+    assert.equal(response.status, 401);
+    assert.equal(bitrix.calls.length, 0);
+  });
+
+  it('с подписью от сырого тела — 200, заголовок времени не обязателен', async () => {
+    const body = JSON.stringify(uniqueCall('call-completed.full', 'signed'));
+
+    const response = await postWebhook(server, body, signedHeaders(body));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data.action, 'created');
+  });
+
+  it('подпись другим секретом — 401', async () => {
+    const body = JSON.stringify(uniqueCall('call-completed.full', 'wrong-secret'));
+
+    const response = await postWebhook(server, body, signedHeaders(body, { key: 'other' }));
+
+    assert.equal(response.status, 401);
+  });
+
+  it('тело изменено после подписи — 401', async () => {
+    const body = JSON.stringify(uniqueCall('call-completed.full', 'tampered'));
+    const headers = signedHeaders(body);
+
+    const response = await postWebhook(server, body.replace('Иван', 'Петр'), headers);
+
+    assert.equal(response.status, 401);
+  });
+
+  it('свежее время — 200, устаревшее — 401', async () => {
+    const fresh = JSON.stringify(uniqueCall('call-completed.full', 'fresh'));
+    const stale = JSON.stringify(uniqueCall('call-completed.full', 'stale'));
+    const now = Math.floor(Date.now() / 1000);
+
+    const accepted = await postWebhook(server, fresh, signedHeaders(fresh, { timestamp: now }));
+    const rejected = await postWebhook(server, stale, signedHeaders(stale, { timestamp: now - 3600 }));
+
+    assert.equal(accepted.status, 200);
+    assert.equal(rejected.status, 401);
+    assert.match(rejected.data.error, /устарел/);
+  });
+
+  it('повтор с тем же X-Delivery-Id — 401', async () => {
+    const body = JSON.stringify(uniqueCall('call-completed.full', 'replay'));
+    const headers = signedHeaders(body, { deliveryId: 'delivery-1' });
+
+    const first = await postWebhook(server, body, headers);
+    const second = await postWebhook(server, body, headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 401);
+    assert.match(second.data.error, /Повторная доставка delivery-1 отклонена/);
+  });
+});
@@ -0,0 +1,450 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Mock Bitrix24 REST API для разработки и тестов
+ *
+ * Запуск: npm run mock:bitrix (или node tools/mock-bitrix.js), затем
+ * BITRIX_WEBHOOK_URL=http://127.0.0.1:7900/rest/1/mocktoken/
+ *
+ * Хранит лиды, контакты и сделки в памяти и поддерживает методы, которые вызывает сервер:
+ * crm.{lead,contact,deal}.{add,update,get,list}, crm.duplicate.findbycomm,
+ * crm.timeline.comment.{add,list}, crm.activity.add, tasks.task.add, disk.folder.uploadfile, server.time и batch.
+ *
+ * Для режима OAuth (lib/bitrix-oauth.js) mock заодно служит сервером авторизации:
+ * BITRIX_OAUTH_SERVER=http://127.0.0.1:7900, BITRIX_PORTAL=127.0.0.1:7900,
+ * BITRIX_CLIENT_ID=local.mock, BITRIX_CLIENT_SECRET=mocksecret. Токены выдаются на /oauth/token/
+ * (grant_type authorization_code — любой code, refresh_token — ранее выданный),
+ * методы вызываются как /rest/<метод> с параметром auth.
+ *
+ * Настройки CLI:
+ * - MOCK_BITRIX_PORT: порт (по умолчанию 7900)
+ * - MOCK_BITRIX_TOKEN: токен в URL вебхука (по умолчанию mocktoken)
+ * - MOCK_BITRIX_RATE_LIMIT: запросов в секунду, сверх которых отвечать QUERY_LIMIT_EXCEEDED
+ *
+ * В тестах используйте createMockBitrix(): calls — журнал вызовов,
+ * failNext(method, error) — ответить ошибкой на следующий вызов метода,
+ * delayNext(method, ms) — задержать ответ на следующий вызов (проверка таймаутов),
+ * issueTokens() — выдать пару токенов OAuth, expireTokens() — «просрочить» access token'ы.
+ */
+
+const ENTITY_TYPES = ['lead', 'contact', 'deal'];
+
+/**
+ * Разбирает строку запроса в формате PHP (fields[PHONE][0][VALUE]=…) во вложенный объект
+ * @param {String} query
+ * @returns {Object}
+ */
+function parseQuery(query) {
+  const result = {};
+
+  for (const [name, value] of new URLSearchParams(query)) {
+    const segments = name.replace(/\]/g, '').split('[');
+    let target = result;
+
+    segments.forEach((segment, index) => {
+      if (index === segments.length - 1) {
+        target[segment] = value;
+        return;
+      }
+      if (target[segment] === undefined) {
+        target[segment] = /^\d+$/.test(segments[index + 1]) ? [] : {};
+      }
+      target = target[segment];
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Подставляет $result[ключ] результатами предыдущих команд batch
+ */
+function substituteResults(value, results) {
+  if (typeof value === 'string') {
+    const match = value.match(/^\$result\[([^\]]+)\]$/);
+    return match && match[1] in results ? results[match[1]] : value;
+  }
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = substituteResults(value[key], results);
+    }
+  }
+  return value;
+}
+
+function bitrixError(status, error, description) {
+  return { status, body: { error, error_description: description } };
+}
+
+function getPhones(entity) {
+  return (entity.PHONE || []).map(phone => String(phone.VALUE));
+}
+
+/**
+ * Создает mock-сервер Bitrix
+ * @param {Object} [options]
+ * @param {String} [options.token='mocktoken'] - Токен в URL вебхука
+ * @param {Number} [options.rateLimit] - Запросов в секунду до QUERY_LIMIT_EXCEEDED (по умолчанию без ограничения)
+ * @param {String} [options.clientId='local.mock'] - client_id приложения для OAuth
+ * @param {String} [options.clientSecret='mocksecret'] - client_secret приложения для OAuth
+ * @returns {Object}
+ */
+function createMockBitrix({ token = 'mocktoken', rateLimit = 0, clientId = 'local.mock', clientSecret = 'mocksecret' } = {}) {
+  const store = Object.fromEntries(ENTITY_TYPES.map(type => [type, new Map()]));
+  // Комментарии таймлайна: ID → { ENTITY_ID, ENTITY_TYPE, COMMENT, CREATED }
+  store.comment = new Map();
+  const calls = [];
+  const failures = [];
+  const delays = [];
+  const timers = new Set();
+  const requestTimes = [];
+  // access token → время истечения; выданные и еще не использованные refresh token'ы
+  const accessTokens = new Map();
+  const refreshTokens = new Set();
+  let nextId = 1;
+
+  function getBaseUrl() {
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  function issueTokens() {
+    const accessToken = `access-${crypto.randomBytes(8).toString('hex')}`;
+    const refreshToken = `refresh-${crypto.randomBytes(8).toString('hex')}`;
+    accessTokens.set(accessToken, Date.now() + 3600 * 1000);
+    refreshTokens.add(refreshToken);
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: 3600,
+      scope: 'crm',
+      domain: 'oauth.bitrix.info',
+      client_endpoint: `${getBaseUrl()}/rest/`,
+      server_endpoint: 'https://oauth.bitrix.info/rest/',
+      member_id: 'mockmember',
+      status: 'L'
+    };
+  }
+
+  function handleTokenRequest(query) {
+    if (query.get('client_id') !== clientId || query.get('client_secret') !== clientSecret) {
+      return bitrixError(401, 'invalid_client', 'Invalid client credentials');
+    }
+
+    if (query.get('grant_type') === 'authorization_code' && query.get('code')) {
+      return { status: 200, body: issueTokens() };
+    }
+    // Как и в Bitrix, refresh token одноразовый
+    if (query.get('grant_type') === 'refresh_token' && refreshTokens.delete(query.get('refresh_token'))) {
+      return { status: 200, body: issueTokens() };
+    }
+    return bitrixError(400, 'invalid_grant', 'Invalid grant');
+  }
+
+  function execute(method, params) {
+    const failureIndex = failures.findIndex(f => f.method === method);
+    if (failureIndex !== -1) {
+      const [failure] = failures.splice(failureIndex, 1);
+      return bitrixError(failure.status || 400, failure.error, failure.error_description || '');
+    }
+
+    if (method === 'server.time') {
+      return { status: 200, body: { result: new Date().toISOString() } };
+    }
+
+    if (method === 'crm.duplicate.findbycomm') {
+      const values = (params.values || []).map(String);
+      const type = String(params.entity_type || '').toLowerCase();
+      const found = {};
+      for (const entityType of type ? [type] : ['lead', 'contact']) {
+        const ids = [...(store[entityType] || new Map()).values()]
+          .filter(entity => getPhones(entity).some(phone => values.includes(phone)))
+          .map(entity => entity.ID);
+        if (ids.length > 0) {
+          found[entityType.toUpperCase()] = ids;
+        }
+      }
+      // Как и настоящий Bitrix, без совпадений отдаем пустой массив
+      return { status: 200, body: { result: Object.keys(found).length > 0 ? found : [] } };
+    }
+
+    if (method === 'crm.timeline.comment.add' || method === 'crm.activity.add') {
+      if (!params.fields) {
+        return bitrixError(400, 'ERROR_CORE', 'Не переданы поля fields');
+      }
+      const id = nextId++;
+      if (method === 'crm.timeline.comment.add') {
+        store.comment.set(id, { ...params.fields, ID: id, CREATED: new Date().toISOString() });
+      }
+      return { status: 200, body: { result: id } };
+    }
+
+    if (method === 'crm.timeline.comment.list') {
+      const { ENTITY_ID: entityId, ENTITY_TYPE: entityType } = params.filter || {};
+      if (!entityId || !entityType) {
+        return bitrixError(400, 'ERROR_CORE', 'Не указаны ENTITY_ID и ENTITY_TYPE');
+      }
+      const list = [...store.comment.values()]
+        .filter(comment => String(comment.ENTITY_ID) === String(entityId) &&
+          String(comment.ENTITY_TYPE).toLowerCase() === String(entityType).toLowerCase())
+        .sort((a, b) => b.ID - a.ID)
+        .map(comment => ({ ...comment, ID: String(comment.ID) }));
+      return { status: 200, body: { result: list, total: list.length } };
+    }
+
+    if (method === 'tasks.task.add') {
+      if (!params.fields?.TITLE) {
+        return bitrixError(400, 'ERROR_CORE', 'Не указано название задачи');
+      }
+      return { status: 200, body: { result: { task: { id: String(nextId++) } } } };
+    }
+
+    if (method === 'disk.folder.uploadfile') {
+      const name = params.data?.NAME || params.fileContent?.[0];
+      if (!params.id || !name) {
+        return bitrixError(400, 'ERROR_CORE', 'Не указаны папка или имя файла');
+      }
+      const id = nextId++;
+      return { status: 200, body: { result: { ID: id, NAME: name, DETAIL_URL: `/docs/file/${name}` } } };
+    }
+
+    const [, entityType, action] = method.match(/^crm\.(lead|contact|deal)\.(add|update|get|list)$/) || [];
+    if (!entityType) {
+      return bitrixError(404, 'ERROR_METHOD_NOT_FOUND', 'Method not found!');
+    }
+
+    const entities = store[entityType];
+
+    if (action === 'add') {
+      if (!params.fields || typeof params.fields !== 'object') {
+        return bitrixError(400, 'ERROR_CORE', 'Не переданы поля fields');
+      }
+      const id = nextId++;
+      entities.set(id, { ...params.fields, ID: id, DATE_CREATE: new Date().toISOString() });
+      return { status: 200, body: { result: id } };
+    }
+
+    const id = Number(params.id);
+
+    if (action === 'update') {
+      if (!entities.has(id)) {
+        return bitrixError(400, 'ERROR_CORE', 'Not found');
+      }
+      entities.set(id, { ...entities.get(id), ...params.fields, ID: id });
+      return { status: 200, body: { result: true } };
+    }
+
+    if (action === 'get') {
+      return entities.has(id)
+        ? { status: 200, body: { result: entities.get(id) } }
+        : bitrixError(400, 'ERROR_CORE', 'Not found');
+    }
+
+    // Фильтры, которые использует сервер: PHONE, LEAD_ID, CONTACT_ID и >=DATE_CREATE
+    const { PHONE: phone, LEAD_ID: leadId, CONTACT_ID: contactId, '>=DATE_CREATE': since } = params.filter || {};
+    const list = [...entities.values()]
+      .filter(entity => !phone || getPhones(entity).includes(String(phone)))
+      .filter(entity => !leadId || String(entity.LEAD_ID) === String(leadId))
+      .filter(entity => !contactId || String(entity.CONTACT_ID) === String(contactId))
+      .filter(entity => !since || Date.parse(entity.DATE_CREATE) >= Date.parse(since))
+      .sort((a, b) => b.ID - a.ID)
+      .map(entity => ({ ID: String(entity.ID) }));
+    return { status: 200, body: { result: list, total: list.length } };
+  }
+
+  function executeBatch(params) {
+    const result = {};
+    const resultError = {};
+
+    for (const [key, command] of Object.entries(params.cmd || {})) {
+      const [method, query = ''] = command.split('?');
+      const response = execute(method, substituteResults(parseQuery(query), result));
+
+      if (response.body.error) {
+        resultError[key] = response.body;
+        if (Number(params.halt)) break;
+      } else {
+        result[key] = response.body.result;
+      }
+    }
+
+    return {
+      status: 200,
+      body: {
+        result: {
+          result,
+          result_error: Object.keys(resultError).length > 0 ? resultError : [],
+          result_total: [],
+          result_next: []
+        }
+      }
+    };
+  }
+
+  function isRateLimited() {
+    if (!rateLimit) return false;
+    const now = Date.now();
+    while (requestTimes.length > 0 && requestTimes[0] <= now - 1000) {
+      requestTimes.shift();
+    }
+    if (requestTimes.length >= rateLimit) return true;
+    requestTimes.push(now);
+    return false;
+  }
+
+  function authorize(webhookToken, params) {
+    if (webhookToken !== undefined) {
+      return webhookToken === token ? null : bitrixError(401, 'NO_AUTH_FOUND', 'Wrong authorization data');
+    }
+
+    if (!accessTokens.has(params.auth)) {
+      return bitrixError(401, 'invalid_token', 'The access token provided is invalid');
+    }
+    return accessTokens.get(params.auth) > Date.now() ? null : bitrixError(401, 'expired_token', 'The access token provided has expired');
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [pathname, queryString = ''] = req.url.split('?');
+      // /rest/<user>/<token>/<метод> — входящий вебхук, /rest/<метод> — OAuth
+      const match = pathname.match(/^\/rest\/(?:(\d+)\/([^/]+)\/)?([\w.]+?)(?:\.json)?$/);
+      let response;
+
+      if (pathname === '/oauth/token/') {
+        response = handleTokenRequest(new URLSearchParams(queryString));
+      } else if (!match) {
+        response = bitrixError(404, 'NOT_FOUND', 'Unknown URL');
+      } else {
+        let params = {};
+        try {
+          params = body ? JSON.parse(body) : {};
+        } catch (error) {
+          params = parseQuery(body);
+        }
+        Object.assign(params, parseQuery(queryString));
+
+        const method = match[3];
+        response = authorize(match[2], params);
+
+        if (!response && isRateLimited()) {
+          response = bitrixError(503, 'QUERY_LIMIT_EXCEEDED', 'Too many requests');
+        } else if (!response) {
+          delete params.auth;
+          calls.push({ method, params });
+          response = method === 'batch' ? executeBatch(params) : execute(method, params);
+        }
+      }
+
+      const send = () => {
+        res.writeHead(response.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response.body));
+      };
+
+      // Вызов уже выполнен, задерживается только ответ — как у Bitrix, который не успел ответить
+      const delayIndex = match ? delays.findIndex(d => d.method === match[3]) : -1;
+      if (delayIndex === -1) {
+        return send();
+      }
+      const [{ ms }] = delays.splice(delayIndex, 1);
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        send();
+      }, ms);
+      timers.add(timer);
+    });
+  });
+
+  return {
+    server,
+    calls,
+    store,
+
+    /**
+     * @param {Number} [port=0] - 0 — любой свободный порт
+     * @returns {Promise<String>} - URL вебхука для BITRIX_WEBHOOK_URL
+     */
+    start(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}/rest/1/${token}/`);
+        });
+      });
+    },
+
+    stop() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+
+    /**
+     * Ответить ошибкой на следующий вызов метода
+     * @param {String} method
+     * @param {{ error: String, error_description?: String, status?: Number }} error
+     */
+    failNext(method, error) {
+      failures.push({ method, ...error });
+    },
+
+    /**
+     * Задержать ответ на следующий вызов метода (для batch — method 'batch')
+     * @param {String} method
+     * @param {Number} ms
+     */
+    delayNext(method, ms) {
+      delays.push({ method, ms });
+    },
+
+    /**
+     * Выдать пару токенов OAuth, как после установки приложения
+     * @returns {Object} - Ответ /oauth/token/
+     */
+    issueTokens,
+
+    /**
+     * Все выданные access token'ы истекли: следующий вызов получит expired_token
+     */
+    expireTokens() {
+      for (const accessToken of accessTokens.keys()) {
+        accessTokens.set(accessToken, 0);
+      }
+    },
+
+    reset() {
+      ENTITY_TYPES.forEach(type => store[type].clear());
+      store.comment.clear();
+      calls.length = 0;
+      failures.length = 0;
+      delays.length = 0;
+      requestTimes.length = 0;
+      accessTokens.clear();
+      refreshTokens.clear();
+    }
+  };
+}
+
+if (require.main === module) {
+  const mock = createMockBitrix({
+    token: process.env.MOCK_BITRIX_TOKEN || 'mocktoken',
+    rateLimit: parseInt(process.env.MOCK_BITRIX_RATE_LIMIT, 10) || 0
+  });
+
+  mock.server.on('request', (req) => {
+    req.on('end', () => console.log(`${new Date().toISOString()} ${req.method} ${req.url}`));
+  });
+
+  mock.start(parseInt(process.env.MOCK_BITRIX_PORT, 10) || 7900).then(url => {
+    console.log(`Mock Bitrix запущен: BITRIX_WEBHOOK_URL=${url}`);
+  });
+}
+
+module.exports = {
+  createMockBitrix,
+  parseQuery
+};